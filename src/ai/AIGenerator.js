@@ -91,6 +91,7 @@ The JSON must have this exact structure:
   "greenRatio": 0.25,
   "transitRatio": 0.1,
   "roadRatio": 0.05,
+  "mixedUseRatio": 0.1,
   "analysis": "Brief analysis of the city design",
   "suggestions": ["suggestion 1", "suggestion 2", "suggestion 3"],
   "cityType": "eco|tech|transit|mixed"
@@ -102,6 +103,7 @@ Rules:
 - For eco/sustainable cities: high greenRatio (0.3-0.5), low industrialRatio
 - For tech cities: high commercialRatio, moderate transitRatio
 - For transit-first: high transitRatio (0.15-0.25), high residentialRatio
+- mixedUseRatio (0-0.6) is the share of residential and commercial land built as mixed-use blocks; raise it for walkable or mixed-use requests
 - Include practical, actionable suggestions`;
 
         const fullPrompt = `${systemPrompt}
@@ -132,7 +134,8 @@ Respond with ONLY the JSON object:`;
                     industrialRatio: Math.min(0.3, Math.max(0, data.industrialRatio || 0.1)),
                     greenRatio: Math.min(0.5, Math.max(0, data.greenRatio || 0.25)),
                     transitRatio: Math.min(0.25, Math.max(0, data.transitRatio || 0.1)),
-                    roadRatio: Math.min(0.15, Math.max(0.03, data.roadRatio || 0.05))
+                    roadRatio: Math.min(0.15, Math.max(0.03, data.roadRatio || 0.05)),
+                    mixedUseRatio: Math.min(0.6, Math.max(0, data.mixedUseRatio || 0))
                 },
                 analysis: data.analysis || 'City layout generated based on your requirements.',
                 suggestions: data.suggestions || [],
@@ -168,6 +171,7 @@ Respond with ONLY the JSON object:`;
             greenRatio: preset.greenRatio || 0.25,
             transitRatio: preset.transitRatio || 0.1,
             roadRatio: 0.05,
+            mixedUseRatio: preset.mixedUseRatio || 0,
             ...params
         };
 
@@ -249,6 +253,11 @@ Respond with ONLY the JSON object:`;
             adjusted.commercialRatio = Math.min(0.3, adjusted.commercialRatio + 0.1);
         }
 
+        // Mixed-use adjustments
+        if (lower.includes('mixed-use') || lower.includes('mixed use') || lower.includes('walkable')) {
+            adjusted.mixedUseRatio = Math.max(adjusted.mixedUseRatio || 0, 0.3);
+        }
+
         // Population-based adjustments
         const popMatch = lower.match(/(\d+),?(\d*)\s*(million|k|thousand)?/);
         if (popMatch) {
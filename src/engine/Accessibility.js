@@ -0,0 +1,54 @@
+/* ========================================
+   Smart City Planner - Accessibility
+   Distance from homes to the nearest green space, transit hub and
+   commercial area, so placement counts and not just quantity
+   ======================================== */
+
+import { ACCESSIBILITY } from '../utils/constants.js';
+import { getCellMetrics, getCellComposition } from '../utils/zoneUtils.js';
+
+export class Accessibility {
+    constructor(cityModel) {
+        this.city = cityModel;
+        this.results = null;
+    }
+
+    /**
+     * Distance transforms for every target, reusing the last run until the city changes
+     * @returns {{revision: number, targets: Array<Object>, fields: Object}} Per target the
+     *   resident-weighted average and the worst distance from a home in meters, null without
+     *   any such destination; fields holds the meters from every cell by target ID
+     */
+    run() {
+        if (this.results && this.results.revision === this.city.revision) return this.results;
+
+        const { gridSize: size, grid, cellSize } = this.city;
+        const homes = [];
+        for (let index = 0; index < size * size; index++) {
+            const cell = grid[Math.floor(index / size)][index % size];
+            const population = getCellMetrics(cell).population;
+            if (getCellComposition(cell).residential && population > 0) homes.push({ index, population });
+        }
+        const residents = homes.reduce((sum, home) => sum + home.population, 0);
+
+        const fields = {};
+        const targets = Object.entries(ACCESSIBILITY.targets).map(([id, target]) => {
+            const field = this.city.distanceField(index => {
+                const composition = getCellComposition(grid[Math.floor(index / size)][index % size]);
+                return target.types.some(type => composition[type] > 0);
+            }).map(cells => cells * cellSize);
+            fields[id] = field;
+
+            const reachable = homes.length > 0 && Number.isFinite(field[homes[0].index]);
+            return {
+                id,
+                name: target.name,
+                average: reachable ? Math.round(homes.reduce((sum, home) => sum + field[home.index] * home.population, 0) / residents) : null,
+                worst: reachable ? Math.max(...homes.map(home => field[home.index])) : null
+            };
+        });
+
+        this.results = { revision: this.city.revision, targets, fields };
+        return this.results;
+    }
+}
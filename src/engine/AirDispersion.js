@@ -0,0 +1,192 @@
+/* ========================================
+   Smart City Planner - Air Dispersion
+   Pollution from industry and road traffic carried by the
+   prevailing wind, and the residents breathing it
+   ======================================== */
+
+import { AIR_DISPERSION, DENSITY_LEVELS } from '../utils/constants.js';
+import { getCellMetrics, getCellComposition, getCellDensity } from '../utils/zoneUtils.js';
+import { TrafficModel } from './TrafficModel.js';
+import { ModeSplitModel } from './ModeSplitModel.js';
+
+export class AirDispersion {
+    /**
+     * @param {CityModel} cityModel
+     * @param {TrafficModel} [traffic] - Peak-hour road volumes
+     */
+    constructor(cityModel, traffic = new TrafficModel(cityModel, new ModeSplitModel(cityModel))) {
+        this.city = cityModel;
+        this.traffic = traffic;
+        this.results = null;
+    }
+
+    /**
+     * Step pollution to a steady state, reusing the last run until the city, the wind or its traffic changes
+     * @returns {{revision: number, windRevision: number, traffic: Object, concentration: Float64Array, residents: number,
+     *   exposed: number, averageExposure: number, peak: number}} Concentrations in µg/m³ per cell, row-major;
+     *   exposed counts the residents above AIR_DISPERSION.threshold
+     */
+    run() {
+        const traffic = this.traffic.run();
+        if (this.results && this.results.revision === this.city.revision &&
+            this.results.windRevision === this.city.windRevision && this.results.traffic === traffic) {
+            return this.results;
+        }
+
+        const { gridSize: size, grid } = this.city;
+        const concentration = this.disperse(this.getEmissions(traffic));
+
+        let residents = 0;
+        let exposed = 0;
+        let exposure = 0;
+        for (let index = 0; index < size * size; index++) {
+            concentration[index] += AIR_DISPERSION.background;
+            const population = getCellMetrics(grid[Math.floor(index / size)][index % size]).population;
+            residents += population;
+            exposure += population * concentration[index];
+            if (concentration[index] > AIR_DISPERSION.threshold) exposed += population;
+        }
+
+        this.results = {
+            revision: this.city.revision,
+            windRevision: this.city.windRevision,
+            traffic,
+            concentration,
+            residents: Math.round(residents),
+            exposed: Math.round(exposed),
+            averageExposure: residents > 0 ? Math.round(exposure / residents * 10) / 10 : AIR_DISPERSION.background,
+            peak: Math.round(Math.max(...concentration) * 10) / 10
+        };
+        return this.results;
+    }
+
+    /**
+     * Emissions per cell in µg/m³ per second: industrial shares scaled by density, and peak-hour
+     * road volumes, heavier where the road is congested
+     * @param {Object} traffic - TrafficModel results
+     * @returns {Float64Array}
+     */
+    getEmissions(traffic) {
+        const { gridSize: size, grid, roads } = this.city;
+        const emissions = new Float64Array(size * size);
+
+        for (let index = 0; index < size * size; index++) {
+            const cell = grid[Math.floor(index / size)][index % size];
+            const industrial = getCellComposition(cell).industrial || 0;
+            if (industrial === 0) continue;
+            const density = getCellDensity(cell);
+            emissions[index] = AIR_DISPERSION.industrialEmission * industrial * (density ? DENSITY_LEVELS[density].multiplier : 1);
+        }
+
+        traffic.edges.forEach(({ volume, ratio }, id) => {
+            const edge = roads.edges.get(id);
+            if (!edge || volume === 0) return;
+            const perCell = volume * AIR_DISPERSION.vehicleEmission * (1 + AIR_DISPERSION.congestionEmission * Math.min(ratio, 1));
+            edge.cells.forEach(index => { emissions[index] += perCell; });
+        });
+
+        return emissions;
+    }
+
+    /**
+     * Carry emissions with the wind until the concentrations settle. The air is stepped on
+     * blocks of cells at least AIR_DISPERSION.blockMeters wide, then interpolated back to the
+     * cells. Air leaving the grid is replaced by clean air
+     * @param {Float64Array} emissions - µg/m³ per second per cell
+     * @returns {Float64Array} µg/m³ above the background per cell
+     */
+    disperse(emissions) {
+        const { gridSize: size, grid, cellSize, wind } = this.city;
+        const { windSpeedRange, diffusion, lifetimeSeconds, greenSeconds, blockMeters, maxBlocksPerSide, maxSteps, tolerance } = AIR_DISPERSION;
+
+        const blockSize = Math.max(1, Math.ceil(blockMeters / cellSize), Math.ceil(size / maxBlocksPerSide));
+        const side = Math.ceil(size / blockSize);
+
+        // One step is the time the fastest wind takes to cross a block; the air moves that share of a block.
+        // Mixing per step shrinks with the block so it spreads as far per second on any block size
+        const seconds = blockSize * cellSize / windSpeedRange.max;
+        const mixing = diffusion / blockSize;
+        const shift = wind.speed / windSpeedRange.max;
+        const radians = wind.direction * Math.PI / 180;
+        // Blowing from the direction, so towards its opposite; y grows southwards
+        const shiftX = -Math.sin(radians) * shift;
+        const shiftY = Math.cos(radians) * shift;
+
+        // Block averages of the emissions and green share
+        const input = new Float64Array(side * side);
+        const green = new Float64Array(side * side);
+        const cells = new Float64Array(side * side);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const block = Math.floor(y / blockSize) * side + Math.floor(x / blockSize);
+                input[block] += emissions[y * size + x];
+                green[block] += getCellComposition(grid[y][x]).green || 0;
+                cells[block]++;
+            }
+        }
+        const kept = new Float64Array(side * side);
+        for (let block = 0; block < side * side; block++) {
+            input[block] *= seconds / cells[block];
+            kept[block] = Math.exp(-seconds / lifetimeSeconds - green[block] / cells[block] * seconds / greenSeconds);
+        }
+
+        const current = new Float64Array(side * side);
+        const moved = new Float64Array(side * side);
+        const at = (x, y) => (x < 0 || y < 0 || x >= side || y >= side ? 0 : current[y * side + x]);
+
+        for (let step = 0; step < maxSteps; step++) {
+            // Advect: every block takes the air from upwind, interpolated between the four blocks around it
+            for (let y = 0; y < side; y++) {
+                for (let x = 0; x < side; x++) {
+                    const sx = x - shiftX;
+                    const sy = y - shiftY;
+                    const x0 = Math.floor(sx);
+                    const y0 = Math.floor(sy);
+                    const fx = sx - x0;
+                    const fy = sy - y0;
+                    moved[y * side + x] =
+                        at(x0, y0) * (1 - fx) * (1 - fy) + at(x0 + 1, y0) * fx * (1 - fy) +
+                        at(x0, y0 + 1) * (1 - fx) * fy + at(x0 + 1, y0 + 1) * fx * fy;
+                }
+            }
+
+            // Mix with the neighbours, then decay and emit
+            let change = 0;
+            let total = 0;
+            for (let y = 0; y < side; y++) {
+                for (let x = 0; x < side; x++) {
+                    const index = y * side + x;
+                    const here = moved[index];
+                    const around = (x > 0 ? moved[index - 1] : 0) + (x < side - 1 ? moved[index + 1] : 0) +
+                        (y > 0 ? moved[index - side] : 0) + (y < side - 1 ? moved[index + side] : 0);
+                    const next = (here + mixing * (around - 4 * here)) * kept[index] + input[index];
+                    change += Math.abs(next - current[index]);
+                    total += next;
+                    current[index] = next;
+                }
+            }
+
+            if (change <= total * tolerance) break;
+        }
+
+        // Back to cells, bilinear between block centers
+        const concentration = new Float64Array(size * size);
+        const clampBlock = b => Math.min(side - 1, Math.max(0, b));
+        for (let y = 0; y < size; y++) {
+            const by = (y + 0.5) / blockSize - 0.5;
+            const y0 = Math.floor(by);
+            const fy = by - y0;
+            for (let x = 0; x < size; x++) {
+                const bx = (x + 0.5) / blockSize - 0.5;
+                const x0 = Math.floor(bx);
+                const fx = bx - x0;
+                const value = (u, v) => current[clampBlock(v) * side + clampBlock(u)];
+                concentration[y * size + x] =
+                    value(x0, y0) * (1 - fx) * (1 - fy) + value(x0 + 1, y0) * fx * (1 - fy) +
+                    value(x0, y0 + 1) * (1 - fx) * fy + value(x0 + 1, y0 + 1) * fx * fy;
+            }
+        }
+
+        return concentration;
+    }
+}
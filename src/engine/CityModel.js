@@ -2,8 +2,28 @@
    Smart City Planner - City Model
    ======================================== */
 
-import { ZONE_TYPES, CITY_SIZES } from '../utils/constants.js';
-import { create2DArray, generateId, deepClone, calculateSustainabilityScore } from '../utils/helpers.js';
+import { ZONE_TYPES, CITY_SIZES, FACILITY_TYPES, DEFAULT_CELL_SIZE, CELL_SIZE_RANGE, ROAD_CLASSES, SIGNAL_SETTINGS, SERVICE_AREAS, AIR_DISPERSION } from '../utils/constants.js';
+import { getLayoutStrategy, DEFAULT_LAYOUT_STRATEGY } from './LayoutStrategies.js';
+import { getTargetRatios, balanceRatios, buildRatioReport } from './RatioBalancer.js';
+import { Terrain } from './Terrain.js';
+import { Districts } from './Districts.js';
+import { TransitLines } from './TransitLines.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { clamp, create2DArray, generateId, deepClone, calculateSustainabilityScore, createRandom, normalizeSeed, generateSeed } from '../utils/helpers.js';
+import { createCell, getCellMetrics, getCellComposition, getCellRoadClass, hasDensity, isSameCell } from '../utils/zoneUtils.js';
+
+// Mixed into the layout seed to give terrain its own random stream
+const TERRAIN_SEED_SALT = 0x5bd1e995;
+
+// Walking distance to transit (in cells) that sets a generated cell's density
+const TRANSIT_DENSITY_RADIUS = { high: 3, medium: 10 };
+
+// Cells of a 2x2 transit hub relative to its top-left cell
+const HUB_OFFSETS = [[0, 0], [1, 0], [0, 1], [1, 1]];
+
+// Generated lines also stop at transit cells this many cells from the track, spaced at least this far apart
+const LINE_STOP_CORRIDOR = 3;
+const LINE_STOP_SPACING = 4;
 
 export class CityModel {
     constructor(size = 'medium') {
@@ -24,6 +44,24 @@ export class CityModel {
             this.targetPopulation = sizeConfig.population;
         }
 
+        // Edge length of a cell in meters
+        this.cellSize = DEFAULT_CELL_SIZE;
+
+        // Flat, fully buildable site until terrain is generated or imported
+        this.terrain = new Terrain(this.gridSize);
+
+        // Named districts drawn over the grid; kept when the layout is regenerated
+        this.districts = new Districts(this.gridSize);
+
+        // Default signal cycle and per-intersection control overrides keyed by node cell index
+        this.signals = { cycle: SIGNAL_SETTINGS.defaultCycle, controls: {} };
+
+        // Network distance and capacity of each service area type
+        this.serviceAreas = deepClone(SERVICE_AREAS.types);
+
+        // Prevailing wind that carries air pollution
+        this.wind = { ...AIR_DISPERSION.wind };
+
         // Initialize grid with empty zones
         this.grid = create2DArray(this.gridSize, this.gridSize, () => ({
             type: 'empty',
@@ -33,6 +71,7 @@ export class CityModel {
         // City statistics
         this.stats = {
             population: 0,
+            jobs: 0,
             energyConsumption: 0,
             carbonFootprint: 0,
             greenCoverage: 0,
@@ -40,25 +79,46 @@ export class CityModel {
             walkability: 50,
             airQuality: 70,
             energyEfficiency: 60,
-            sustainabilityScore: 50
+            sustainabilityScore: 50,
+            energySupply: 0,
+            serviceCoverage: 0,
+            facilityCoverage: {}
         };
 
-        // Zone distribution
-        this.distribution = {
-            empty: this.gridSize * this.gridSize,
-            residential: 0,
-            commercial: 0,
-            industrial: 0,
-            green: 0,
-            transit: 0,
-            road: 0
-        };
+        // Zone distribution, in whole cells by cell type
+        this.distribution = createDistribution(this.gridSize * this.gridSize);
+
+        // Land use, with mixed-use cells split into their component shares
+        this.landUse = createDistribution(this.gridSize * this.gridSize, false);
+
+        // Density-weighted sums over all cells, kept up to date by setZone
+        this.totals = createTotals();
 
-        // Road network
-        this.roads = [];
+        // Seed of the last generated layout (null for hand-drawn cities)
+        this.seed = null;
+        this.random = Math.random;
 
-        // Transit network
-        this.transitLines = [];
+        // Layout strategy used by the last generation
+        this.strategy = null;
+
+        // Target vs. achieved zone shares of the last generation
+        this.generationReport = null;
+
+        // Road graph, kept in step with road cells by setZone
+        this.roads = this.createRoadNetwork();
+
+        // Transit lines running through transit hub cells
+        this.transitLines = new TransitLines();
+
+        // Top-left cells of the hubs placed by the last generation, which its default lines link
+        this.generatedHubs = [];
+
+        // Bumped on every change to the grid, so derived analyses know when to recompute
+        this.revision = 0;
+
+        // Bumped when signal timing or the wind changes, read only by the traffic and air models
+        this.signalsRevision = 0;
+        this.windRevision = 0;
 
         // History for undo/redo
         this.history = [];
@@ -72,26 +132,81 @@ export class CityModel {
      * @param {number} x 
      * @param {number} y 
      * @param {string} type 
+     * @param {Object} [attrs]
+     * @param {string} [attrs.density] - Density tier; repainting the same type keeps the old tier when omitted
+     * @param {Object} [attrs.composition] - Zone type -> share for mixed cells; kept like density when omitted
+     * @param {string} [attrs.roadClass] - Road class for road cells; kept like density when omitted
+     * @returns {boolean} Whether the cell changed
      */
-    setZone(x, y, type) {
-        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) return;
-        if (!ZONE_TYPES[type]) return;
-
-        const oldType = this.grid[y][x].type;
-        if (oldType === type) return;
+    setZone(x, y, type, attrs = {}) {
+        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) return false;
+        if (!ZONE_TYPES[type]) return false;
+        if (!this.terrain.canPlace(x, y, type)) return false;
+
+        const oldCell = this.grid[y][x];
+        const inherited = oldCell.type === type ? oldCell : {};
+        const cell = createCell(type, generateId(), {
+            density: attrs.density ?? inherited.density,
+            composition: attrs.composition ?? inherited.composition,
+            roadClass: attrs.roadClass ?? inherited.roadClass
+        });
+        if (isSameCell(oldCell, cell)) return false;
 
         // Update distribution
-        this.distribution[oldType]--;
+        this.distribution[oldCell.type]--;
         this.distribution[type]++;
 
+        Object.entries(getCellComposition(oldCell)).forEach(([t, share]) => { this.landUse[t] -= share; });
+        Object.entries(getCellComposition(cell)).forEach(([t, share]) => { this.landUse[t] += share; });
+
+        // Update totals
+        const oldMetrics = getCellMetrics(oldCell);
+        const newMetrics = getCellMetrics(cell);
+        Object.keys(this.totals).forEach(key => {
+            this.totals[key] += newMetrics[key] - oldMetrics[key];
+        });
+
         // Update grid
-        this.grid[y][x] = {
-            type,
-            id: generateId()
-        };
+        this.grid[y][x] = cell;
+        this.revision++;
+
+        if (oldCell.type === 'road' || type === 'road') {
+            this.roads.update(x, y);
+        }
+
+        // Lines cannot stop where the hub is gone
+        if (oldCell.type === 'transit' && type !== 'transit') {
+            this.transitLines.removeStationsAt(x, y);
+        }
 
         // Recalculate stats
         this.calculateStats();
+        return true;
+    }
+
+    /**
+     * Lay a road without downgrading a more important road already there,
+     * so junctions keep the class of the busier road
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string} roadClass - Key of ROAD_CLASSES
+     * @returns {boolean} Whether the cell changed
+     */
+    setRoad(x, y, roadClass) {
+        const existing = getCellRoadClass(this.getZone(x, y));
+        if (existing && ROAD_CLASSES[existing].rank >= ROAD_CLASSES[roadClass].rank) return false;
+        return this.setZone(x, y, 'road', { roadClass });
+    }
+
+    /**
+     * Why a zone type cannot be placed on a cell
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string} type 
+     * @returns {string|null} Reason, or null when placement is allowed
+     */
+    getPlacementRestriction(x, y, type) {
+        return this.terrain.getRestriction(x, y, type);
     }
 
     /**
@@ -101,8 +216,9 @@ export class CityModel {
      * @param {number} x2 
      * @param {number} y2 
      * @param {string} type 
+     * @param {Object} [attrs] - Cell attributes passed to setZone
      */
-    fillArea(x1, y1, x2, y2, type) {
+    fillArea(x1, y1, x2, y2, type, attrs = {}) {
         const minX = Math.min(x1, x2);
         const maxX = Math.max(x1, x2);
         const minY = Math.min(y1, y2);
@@ -110,13 +226,56 @@ export class CityModel {
 
         for (let y = minY; y <= maxY; y++) {
             for (let x = minX; x <= maxX; x++) {
-                this.setZone(x, y, type);
+                this.setZone(x, y, type, attrs);
             }
         }
 
         this.saveState();
     }
 
+    /**
+     * Place a whole facility, covering its footprint from the top-left cell
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string} type - A zone type with a footprint
+     * @returns {boolean} Whether any cell changed
+     */
+    placeFacility(x, y, type) {
+        const footprint = ZONE_TYPES[type]?.footprint || 1;
+        let changed = false;
+
+        for (let dy = 0; dy < footprint; dy++) {
+            for (let dx = 0; dx < footprint; dx++) {
+                changed = this.setZone(x + dx, y + dy, type) || changed;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Paint a cell into a district
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string|null} districtId - null removes the cell from its district
+     * @returns {boolean} Whether the cell changed
+     */
+    setDistrict(x, y, districtId) {
+        return this.districts.assign(x, y, districtId);
+    }
+
+    /**
+     * Add a transit hub cell as the next station of a line
+     * @param {string} lineId
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean} Whether the station was added
+     */
+    addTransitStation(lineId, x, y) {
+        if (this.getZone(x, y)?.type !== 'transit') return false;
+        return this.transitLines.addStation(lineId, x, y);
+    }
+
     /**
      * Get zone at position
      * @param {number} x 
@@ -135,52 +294,31 @@ export class CityModel {
         const totalCells = this.gridSize * this.gridSize;
         const builtCells = totalCells - this.distribution.empty;
 
-        // Population
-        this.stats.population = Object.entries(this.distribution).reduce((sum, [type, count]) => {
-            return sum + (ZONE_TYPES[type]?.population || 0) * count;
-        }, 0);
-
-        // Energy consumption
-        this.stats.energyConsumption = Object.entries(this.distribution).reduce((sum, [type, count]) => {
-            return sum + (ZONE_TYPES[type]?.energy || 0) * count;
-        }, 0);
+        // Population, jobs and energy consumption scale with each cell's density
+        this.stats.population = Math.round(this.totals.population);
+        this.stats.jobs = Math.round(this.totals.jobs);
+        this.stats.energyConsumption = Math.round(this.totals.energy);
 
         // Green coverage (percentage)
         this.stats.greenCoverage = builtCells > 0
-            ? Math.round((this.distribution.green / builtCells) * 100)
+            ? Math.round((this.landUse.green / builtCells) * 100)
             : 0;
 
-        // Transit score
-        const transitRatio = builtCells > 0 ? this.distribution.transit / builtCells : 0;
-        const residentialRatio = builtCells > 0 ? this.distribution.residential / builtCells : 0;
-        this.stats.transitScore = Math.round(50 + transitRatio * 200 - residentialRatio * 30);
-        this.stats.transitScore = Math.min(100, Math.max(0, this.stats.transitScore));
-
-        // Walkability
-        const greenBonus = this.stats.greenCoverage * 0.5;
-        const transitBonus = transitRatio * 50;
-        const industrialPenalty = builtCells > 0 ? (this.distribution.industrial / builtCells) * 30 : 0;
-        this.stats.walkability = Math.round(50 + greenBonus + transitBonus - industrialPenalty);
-        this.stats.walkability = Math.min(100, Math.max(0, this.stats.walkability));
-
-        // Air quality
-        const greenAirBonus = this.stats.greenCoverage * 0.8;
-        const industrialAirPenalty = builtCells > 0 ? (this.distribution.industrial / builtCells) * 50 : 0;
-        const transitAirBonus = transitRatio * 20;
-        this.stats.airQuality = Math.round(60 + greenAirBonus + transitAirBonus - industrialAirPenalty);
-        this.stats.airQuality = Math.min(100, Math.max(0, this.stats.airQuality));
+        // The transit score comes from the mode split model (Metrics.getTransitScore), walkability
+        // is the 15-minute city index (Metrics.getWalkability) and air quality comes from the
+        // dispersion model (Metrics.getAirQuality)
 
         // Energy efficiency
         const renewableBonus = this.stats.greenCoverage * 0.3;
-        const industrialEnergyPenalty = builtCells > 0 ? (this.distribution.industrial / builtCells) * 20 : 0;
+        const industrialEnergyPenalty = builtCells > 0 ? (this.landUse.industrial / builtCells) * 20 : 0;
         this.stats.energyEfficiency = Math.round(60 + renewableBonus - industrialEnergyPenalty);
         this.stats.energyEfficiency = Math.min(100, Math.max(0, this.stats.energyEfficiency));
 
         // Carbon footprint (relative, negative is good)
-        const industrialCarbon = this.distribution.industrial * 10;
-        const commercialCarbon = this.distribution.commercial * 5;
-        const greenOffset = this.distribution.green * 8;
-        const transitOffset = this.distribution.transit * 4;
+        const industrialCarbon = this.landUse.industrial * 10;
+        const commercialCarbon = this.landUse.commercial * 5;
+        const greenOffset = this.landUse.green * 8;
+        const transitOffset = this.landUse.transit * 4;
         const netCarbon = industrialCarbon + commercialCarbon - greenOffset - transitOffset;
         const maxCarbon = builtCells * 5;
         this.stats.carbonFootprint = maxCarbon > 0
@@ -188,12 +326,48 @@ export class CityModel {
             : 0;
 
         // Overall sustainability score
-        this.stats.sustainabilityScore = calculateSustainabilityScore(this.distribution);
+        this.stats.sustainabilityScore = calculateSustainabilityScore(this.landUse, this.distribution.mixed);
+
+        this.calculateServiceCoverage();
+    }
+
+    /**
+     * Share of demand met by civic services and utilities (0-100 each).
+     * Painted area counts in whole or partial facilities of the type's footprint,
+     * so a 2x2 school footprint drawn as a single cell serves a quarter of its capacity.
+     */
+    calculateServiceCoverage() {
+        const coverage = {};
+
+        FACILITY_TYPES.forEach(type => {
+            const zone = ZONE_TYPES[type];
+            const facilities = this.distribution[type] / (zone.footprint * zone.footprint);
+            const supply = facilities * zone.capacity;
+            const demand = zone.serves === 'energy' ? this.stats.energyConsumption : this.stats.population;
+
+            if (zone.serves === 'energy') {
+                this.stats.energySupply = Math.round(supply);
+            }
+
+            coverage[type] = demand > 0
+                ? Math.min(100, Math.round((supply / demand) * 100))
+                : (supply > 0 ? 100 : 0);
+        });
+
+        const values = Object.values(coverage);
+        this.stats.facilityCoverage = coverage;
+        this.stats.serviceCoverage = Math.round(values.reduce((a, b) => a + b, 0) / values.length);
     }
 
     /**
      * Generate city layout from AI or preset
      * @param {Object} params 
+     * @param {number|string} [params.seed] - Reproduces a previous layout; a fresh seed is drawn when omitted
+     * @param {string} [params.strategy] - Layout strategy ID from LAYOUT_STRATEGIES
+     * @param {boolean} [params.matchRatios] - Rebalance until every zone share is within tolerance
+     * @param {number} [params.tolerance] - Allowed absolute error per zone share (0-1)
+     * @param {number} [params.mixedUseRatio] - Share of residential and commercial land built as mixed-use blocks (0-1)
+     * @param {string} [params.terrain] - Terrain preset from TERRAIN_PRESETS; the current terrain is kept when omitted
      */
     generateLayout(params) {
         const {
@@ -202,82 +376,191 @@ export class CityModel {
             industrialRatio = 0.1,
             greenRatio = 0.25,
             transitRatio = 0.08,
-            roadRatio = 0.07
+            roadRatio = 0.07,
+            mixedUseRatio = 0,
+            terrain = null,
+            seed = null,
+            strategy = DEFAULT_LAYOUT_STRATEGY,
+            matchRatios = false,
+            tolerance = 0.02
         } = params;
 
+        // Unknown strategies fall back to the concentric model
+        const strategyId = getLayoutStrategy(strategy) ? strategy : DEFAULT_LAYOUT_STRATEGY;
+
         // Clear the grid
         this.clear();
 
-        const totalCells = this.gridSize * this.gridSize;
-        const center = Math.floor(this.gridSize / 2);
+        // Every random decision below draws from the seeded generator
+        this.seed = seed === null || seed === undefined || seed === ''
+            ? generateSeed()
+            : normalizeSeed(seed);
+        this.random = createRandom(this.seed);
+        this.strategy = strategyId;
+
+        // Terrain draws from its own stream so zoning on a flat site is unchanged
+        if (terrain) {
+            this.terrain = Terrain.generate(this.gridSize, terrain, createRandom((this.seed ^ TERRAIN_SEED_SALT) >>> 0));
+        }
+
+        const ratios = {
+            residentialRatio,
+            commercialRatio,
+            industrialRatio,
+            greenRatio,
+            transitRatio,
+            roadRatio
+        };
+
+        getLayoutStrategy(strategyId).generate(this, ratios);
 
-        // Create main roads (grid pattern)
-        this.generateRoadNetwork();
+        // Strategies only use the ratios as tendencies; optionally pull the mix onto target.
+        // Zone shares apply to buildable land; water and protected land stay empty.
+        const targets = getTargetRatios(ratios, this.terrain.getBuildableShare());
+        const iterations = matchRatios ? balanceRatios(this, targets, { tolerance }) : 0;
+
+        // Mixing keeps land-use shares, so the report is built afterwards
+        this.addMixedUse(mixedUseRatio);
+        this.generationReport = buildRatioReport(this, targets, tolerance, iterations);
+
+        // Lines go in once balancing and terrain have settled which hub cells remain
+        this.addDefaultTransitLines();
+
+        this.assignDensities();
+
+        // Calculate final stats
+        this.calculateStats();
+        this.saveState();
+    }
+
+    /**
+     * Blend residential and commercial land into mixed-use blocks, starting where
+     * the two meet. Cells keep 70% of their own use and take 30% of the other, and
+     * equal numbers are drawn from each side so the land-use shares stay put.
+     * @param {number} share - Share of residential and commercial cells to convert (0-1)
+     */
+    addMixedUse(share) {
+        if (!(share > 0)) return;
+
+        const pairs = Math.floor(Math.min(1, share) * (this.distribution.residential + this.distribution.commercial) / 2);
+        const fromResidential = this.nearestCells('residential', 'commercial');
+        const fromCommercial = this.nearestCells('commercial', 'residential');
+        const count = Math.min(pairs, fromResidential.length, fromCommercial.length);
+
+        for (let i = 0; i < count; i++) {
+            const home = fromResidential[i];
+            const shop = fromCommercial[i];
+            this.setZone(home.x, home.y, 'mixed', { composition: { residential: 0.7, commercial: 0.3 } });
+            this.setZone(shop.x, shop.y, 'mixed', { composition: { residential: 0.3, commercial: 0.7 } });
+        }
+    }
+
+    /**
+     * Cells of one type ordered by grid distance to the nearest cell of another
+     * @param {string} type
+     * @param {string} towards
+     * @returns {Array<{x: number, y: number}>}
+     */
+    nearestCells(type, towards) {
+        const distances = this.distanceField(index => this.grid[Math.floor(index / this.gridSize)][index % this.gridSize].type === towards);
+        const cells = [];
 
-        // Define city zones based on distance from center
         for (let y = 0; y < this.gridSize; y++) {
             for (let x = 0; x < this.gridSize; x++) {
-                if (this.grid[y][x].type !== 'empty') continue;
-
-                const distFromCenter = Math.sqrt((x - center) ** 2 + (y - center) ** 2);
-                const maxDist = center * 1.4;
-                const normalizedDist = distFromCenter / maxDist;
-
-                // Randomize zone placement based on ratios and distance
-                const rand = Math.random();
-                let zoneType = 'empty';
-
-                if (normalizedDist > 0.9) {
-                    // Outer ring: industrial and green
-                    if (rand < 0.4) zoneType = 'green';
-                    else if (rand < 0.6) zoneType = 'industrial';
-                } else if (normalizedDist > 0.6) {
-                    // Middle ring: residential
-                    if (rand < residentialRatio * 1.5) zoneType = 'residential';
-                    else if (rand < residentialRatio * 1.5 + greenRatio) zoneType = 'green';
-                } else if (normalizedDist > 0.3) {
-                    // Inner ring: mixed
-                    if (rand < residentialRatio) zoneType = 'residential';
-                    else if (rand < residentialRatio + commercialRatio) zoneType = 'commercial';
-                    else if (rand < residentialRatio + commercialRatio + greenRatio * 0.5) zoneType = 'green';
-                } else {
-                    // Core: commercial and transit
-                    if (rand < commercialRatio * 2) zoneType = 'commercial';
-                    else if (rand < commercialRatio * 2 + transitRatio * 2) zoneType = 'transit';
-                    else if (rand < commercialRatio * 2 + transitRatio * 2 + greenRatio * 0.3) zoneType = 'green';
+                const distance = distances[y * this.gridSize + x];
+                if (this.grid[y][x].type === type && distance < Infinity) {
+                    cells.push({ x, y, distance });
                 }
+            }
+        }
 
-                if (zoneType !== 'empty') {
-                    this.setZone(x, y, zoneType);
-                }
+        return cells.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Grid distance (4-connected steps) from every cell to the nearest source cell
+     * @param {Function} isSource - Called with a flat cell index
+     * @returns {Array<number>} Flat array, Infinity where no source is reachable
+     */
+    distanceField(isSource) {
+        const size = this.gridSize;
+        const distances = new Array(size * size).fill(Infinity);
+        const queue = [];
+
+        for (let index = 0; index < size * size; index++) {
+            if (isSource(index)) {
+                distances[index] = 0;
+                queue.push(index);
             }
         }
 
-        // Add transit hubs at strategic locations
-        this.addTransitHubs();
+        // Multi-source breadth-first search over the grid
+        for (let i = 0; i < queue.length; i++) {
+            const index = queue[i];
+            const x = index % size;
+            const y = Math.floor(index / size);
+            const next = [
+                x > 0 ? index - 1 : -1,
+                x < size - 1 ? index + 1 : -1,
+                y > 0 ? index - size : -1,
+                y < size - 1 ? index + size : -1
+            ];
+            next.forEach(n => {
+                if (n >= 0 && distances[n] === Infinity) {
+                    distances[n] = distances[index] + 1;
+                    queue.push(n);
+                }
+            });
+        }
 
-        // Calculate final stats
-        this.calculateStats();
-        this.saveState();
+        return distances;
+    }
+
+    /**
+     * Set densities around transit: high next to hubs, tapering to low.
+     * Cities without transit taper from the center instead.
+     */
+    assignDensities() {
+        const size = this.gridSize;
+        const center = Math.floor(size / 2) * size + Math.floor(size / 2);
+        const hasTransit = this.distribution.transit > 0;
+        const distances = this.distanceField(index => hasTransit
+            ? this.grid[Math.floor(index / size)][index % size].type === 'transit'
+            : index === center);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const type = this.grid[y][x].type;
+                if (!hasDensity(type)) continue;
+
+                const distance = distances[y * size + x];
+                const density = distance <= TRANSIT_DENSITY_RADIUS.high ? 'high'
+                    : distance <= TRANSIT_DENSITY_RADIUS.medium ? 'medium'
+                        : 'low';
+                this.setZone(x, y, type, { density });
+            }
+        }
     }
 
     /**
-     * Generate road network
+     * Generate road network: a street grid where every other line is an
+     * arterial, crossed by a diagonal highway from corner to corner
      */
     generateRoadNetwork() {
         const spacing = Math.floor(this.gridSize / 8);
+        const lineClass = line => (Math.round(line / spacing) % 2 === 0 ? 'arterial' : 'local');
 
         // Horizontal roads
         for (let y = spacing; y < this.gridSize; y += spacing) {
             for (let x = 0; x < this.gridSize; x++) {
-                this.setZone(x, y, 'road');
+                this.setRoad(x, y, lineClass(y));
             }
         }
 
         // Vertical roads
         for (let x = spacing; x < this.gridSize; x += spacing) {
             for (let y = 0; y < this.gridSize; y++) {
-                this.setZone(x, y, 'road');
+                this.setRoad(x, y, lineClass(x));
             }
         }
 
@@ -287,7 +570,7 @@ export class CityModel {
             for (let j = 0; j < this.gridSize; j++) {
                 const offset = Math.round(j - center);
                 if (center + offset + i >= 0 && center + offset + i < this.gridSize) {
-                    this.setZone(j, center + offset + i, 'road');
+                    this.setRoad(j, center + offset + i, 'highway');
                 }
             }
         }
@@ -301,15 +584,61 @@ export class CityModel {
 
         for (let y = spacing; y < this.gridSize; y += spacing) {
             for (let x = spacing; x < this.gridSize; x += spacing) {
-                // Create a 2x2 transit hub
-                this.setZone(x, y, 'transit');
-                this.setZone(x + 1, y, 'transit');
-                this.setZone(x, y + 1, 'transit');
-                this.setZone(x + 1, y + 1, 'transit');
+                this.placeTransitHub(x, y);
             }
         }
     }
 
+    /**
+     * Place a 2x2 transit hub and remember it for the generated transit lines
+     * @param {number} x - Top-left cell, rounded to the grid
+     * @param {number} y
+     */
+    placeTransitHub(x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        HUB_OFFSETS.forEach(([dx, dy]) => this.setZone(x + dx, y + dy, 'transit'));
+        this.generatedHubs.push({ x, y });
+    }
+
+    /**
+     * Link the generated hubs with metro lines. The hubs are joined by their shortest
+     * spanning tree, which is split into lines longest path first, so branch lines
+     * start at a station on an earlier line and riders can transfer there. Between
+     * hubs the lines stop at transit cells along the way.
+     */
+    addDefaultTransitLines() {
+        // One station per hub, on a cell that is still transit
+        const stations = [];
+        this.generatedHubs.forEach(hub => {
+            const cell = HUB_OFFSETS
+                .map(([dx, dy]) => ({ x: hub.x + dx, y: hub.y + dy }))
+                .find(c => this.getZone(c.x, c.y)?.type === 'transit');
+            if (cell && !stations.some(s => s.x === cell.x && s.y === cell.y)) {
+                stations.push(cell);
+            }
+        });
+
+        const transitCells = [];
+        for (let y = 0; y < this.gridSize; y++) {
+            for (let x = 0; x < this.gridSize; x++) {
+                if (this.grid[y][x].type === 'transit') transitCells.push({ x, y });
+            }
+        }
+
+        splitIntoPaths(spanningTree(stations), stations.length).forEach(path => {
+            const line = this.transitLines.add();
+            path.forEach((index, i) => {
+                const station = stations[index];
+                if (i > 0) {
+                    getStopsBetween(stations[path[i - 1]], station, transitCells)
+                        .forEach(stop => this.transitLines.addStation(line.id, stop.x, stop.y));
+                }
+                this.transitLines.addStation(line.id, station.x, station.y);
+            });
+        });
+    }
+
     /**
      * Clear the entire grid
      */
@@ -319,19 +648,118 @@ export class CityModel {
             id: generateId()
         }));
 
-        this.distribution = {
-            empty: this.gridSize * this.gridSize,
-            residential: 0,
-            commercial: 0,
-            industrial: 0,
-            green: 0,
-            transit: 0,
-            road: 0
-        };
+        this.distribution = createDistribution(this.gridSize * this.gridSize);
+        this.landUse = createDistribution(this.gridSize * this.gridSize, false);
+        this.totals = createTotals();
+        this.roads.reset();
+        this.signals.controls = {};
+        this.transitLines = new TransitLines();
+        this.generatedHubs = [];
+        this.revision++;
 
         this.calculateStats();
     }
 
+    /**
+     * Recount the zone distribution and density-weighted totals from the grid
+     */
+    recountGrid() {
+        this.distribution = createDistribution(0);
+        this.landUse = createDistribution(0, false);
+        this.totals = createTotals();
+
+        for (let y = 0; y < this.gridSize; y++) {
+            for (let x = 0; x < this.gridSize; x++) {
+                const type = ZONE_TYPES[this.grid[y][x].type] ? this.grid[y][x].type : 'empty';
+                this.distribution[type]++;
+                Object.entries(getCellComposition(this.grid[y][x])).forEach(([t, share]) => { this.landUse[t] += share; });
+
+                const metrics = getCellMetrics(this.grid[y][x]);
+                Object.keys(this.totals).forEach(key => { this.totals[key] += metrics[key]; });
+            }
+        }
+
+        // The road graph is derived from the grid; an exported graph is not read back
+        this.roads.rebuild();
+        this.revision++;
+    }
+
+    /**
+     * Set the default signal cycle length
+     * @param {number} seconds
+     */
+    setSignalCycle(seconds) {
+        this.signals.cycle = Math.min(SIGNAL_SETTINGS.maxCycle, Math.max(SIGNAL_SETTINGS.minCycle, seconds));
+        this.signalsRevision++;
+    }
+
+    /**
+     * Override how an intersection is controlled, or go back to the default with null
+     * @param {number} nodeId - Flat cell index of the intersection
+     * @param {{control?: 'signal' | 'stop', cycle?: number}|null} settings
+     */
+    setIntersectionControl(nodeId, settings) {
+        if (settings === null) {
+            delete this.signals.controls[nodeId];
+        } else {
+            const control = { ...this.signals.controls[nodeId], ...settings };
+            if (control.cycle !== undefined) {
+                control.cycle = Math.min(SIGNAL_SETTINGS.maxCycle, Math.max(SIGNAL_SETTINGS.minCycle, control.cycle));
+            }
+            this.signals.controls[nodeId] = control;
+        }
+        this.signalsRevision++;
+    }
+
+    /**
+     * Change how far along the street grid a service area type reaches, or how many residents one facility serves
+     * @param {string} type - Key of SERVICE_AREAS.types
+     * @param {{distance?: number, capacity?: number}} settings - Meters and residents
+     */
+    setServiceArea(type, settings) {
+        const area = this.serviceAreas[type];
+        if (!area) return;
+
+        const { min, max } = SERVICE_AREAS.distanceRange;
+        if (Number.isFinite(settings.distance)) area.distance = clamp(Math.round(settings.distance), min, max);
+        if (Number.isFinite(settings.capacity)) area.capacity = Math.max(0, Math.round(settings.capacity));
+        this.revision++;
+    }
+
+    /**
+     * Change the prevailing wind
+     * @param {{direction?: number, speed?: number}} wind - Degrees it blows from (0 = north) and m/s
+     */
+    setWind(wind) {
+        const { min, max } = AIR_DISPERSION.windSpeedRange;
+        if (Number.isFinite(wind.direction)) this.wind.direction = ((Math.round(wind.direction) % 360) + 360) % 360;
+        if (Number.isFinite(wind.speed)) this.wind.speed = clamp(wind.speed, min, max);
+        this.windRevision++;
+    }
+
+    /**
+     * Change the edge length of a cell, which scales every distance and travel time
+     * @param {number} meters
+     * @returns {boolean} Whether the size changed
+     */
+    setCellSize(meters) {
+        const cellSize = clamp(Math.round(meters), CELL_SIZE_RANGE.min, CELL_SIZE_RANGE.max);
+        if (!Number.isFinite(cellSize) || cellSize === this.cellSize) return false;
+
+        this.cellSize = cellSize;
+        this.roads.setCellSize(cellSize);
+        this.revision++;
+        return true;
+    }
+
+    /**
+     * Road graph over this city's grid
+     * @returns {RoadNetwork}
+     */
+    createRoadNetwork() {
+        return new RoadNetwork(this.gridSize, (x, y) => getCellRoadClass(this.grid[y][x]), this.cellSize);
+    }
+
     /**
      * Save current state to history
      */
@@ -342,7 +770,13 @@ export class CityModel {
         // Add current state
         this.history.push({
             grid: deepClone(this.grid),
+            terrain: this.terrain.toJSON(),
             distribution: { ...this.distribution },
+            landUse: { ...this.landUse },
+            totals: { ...this.totals },
+            districts: this.districts.toJSON(),
+            transitLines: this.transitLines.toJSON(),
+            signalControls: deepClone(this.signals.controls),
             stats: { ...this.stats }
         });
 
@@ -365,8 +799,17 @@ export class CityModel {
         const state = this.history[this.historyIndex];
 
         this.grid = deepClone(state.grid);
+        this.terrain = Terrain.fromJSON(state.terrain, this.gridSize);
         this.distribution = { ...state.distribution };
+        this.landUse = { ...state.landUse };
+        this.totals = { ...state.totals };
+        this.districts = Districts.fromJSON(state.districts, this.gridSize);
+        this.transitLines = TransitLines.fromJSON(state.transitLines);
+        this.signals.controls = deepClone(state.signalControls);
+        this.signalsRevision++;
         this.stats = { ...state.stats };
+        this.roads.rebuild();
+        this.revision++;
 
         return true;
     }
@@ -381,8 +824,17 @@ export class CityModel {
         const state = this.history[this.historyIndex];
 
         this.grid = deepClone(state.grid);
+        this.terrain = Terrain.fromJSON(state.terrain, this.gridSize);
         this.distribution = { ...state.distribution };
+        this.landUse = { ...state.landUse };
+        this.totals = { ...state.totals };
+        this.districts = Districts.fromJSON(state.districts, this.gridSize);
+        this.transitLines = TransitLines.fromJSON(state.transitLines);
+        this.signals.controls = deepClone(state.signalControls);
+        this.signalsRevision++;
         this.stats = { ...state.stats };
+        this.roads.rebuild();
+        this.revision++;
 
         return true;
     }
@@ -397,9 +849,21 @@ export class CityModel {
             name: this.name,
             size: this.size,
             gridSize: this.gridSize,
+            seed: this.seed,
+            strategy: this.strategy,
+            generationReport: this.generationReport,
+            terrain: this.terrain.toJSON(),
+            districts: this.districts.toJSON(),
+            transitLines: this.transitLines.toJSON(),
+            cellSize: this.cellSize,
+            roads: this.roads.toJSON(),
+            signals: this.signals,
+            serviceAreas: this.serviceAreas,
+            wind: this.wind,
             grid: this.grid,
             stats: this.stats,
             distribution: this.distribution,
+            landUse: this.landUse,
             exportedAt: new Date().toISOString()
         };
     }
@@ -422,8 +886,25 @@ export class CityModel {
             this.name = data.name || 'Imported City';
             this.size = data.size || 'medium';
             this.gridSize = data.gridSize || CITY_SIZES[this.size].grid;
+            this.seed = data.seed ?? null;
+            this.strategy = data.strategy ?? null;
+            this.generationReport = data.generationReport ?? null;
+            this.terrain = Terrain.fromJSON(data.terrain, this.gridSize);
+            this.districts = Districts.fromJSON(data.districts, this.gridSize);
+            this.transitLines = TransitLines.fromJSON(data.transitLines);
             this.grid = data.grid;
-            this.distribution = data.distribution;
+            this.cellSize = data.cellSize || DEFAULT_CELL_SIZE;
+            this.signals = {
+                cycle: data.signals?.cycle || SIGNAL_SETTINGS.defaultCycle,
+                controls: { ...data.signals?.controls }
+            };
+            this.serviceAreas = deepClone(SERVICE_AREAS.types);
+            Object.entries(data.serviceAreas || {}).forEach(([type, settings]) => this.setServiceArea(type, settings));
+            this.wind = { ...AIR_DISPERSION.wind };
+            this.setWind(data.wind || {});
+            this.roads = this.createRoadNetwork();
+            // Recount so saves from before newer zone types and densities still line up
+            this.recountGrid();
             this.calculateStats();
             this.saveState();
             return true;
@@ -447,3 +928,138 @@ export class CityModel {
         }
     }
 }
+
+/**
+ * Zone distribution with a count for every zone type
+ * @param {number} emptyCells
+ * @param {boolean} includeComposite - Whether composite types such as mixed get a count
+ * @returns {Object}
+ */
+function createDistribution(emptyCells, includeComposite = true) {
+    const distribution = {};
+    Object.keys(ZONE_TYPES).forEach(type => {
+        if (includeComposite || !ZONE_TYPES[type].composite) distribution[type] = 0;
+    });
+    distribution.empty = emptyCells;
+    return distribution;
+}
+
+/**
+ * Density-weighted sums, all zero
+ * @returns {{population: number, energy: number, jobs: number}}
+ */
+function createTotals() {
+    return { population: 0, energy: 0, jobs: 0 };
+}
+
+/**
+ * Shortest spanning tree over points by straight-line distance (Prim's algorithm)
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<Array<{to: number, length: number}>>} Neighbors of each point
+ */
+function spanningTree(points) {
+    const neighbors = points.map(() => []);
+    if (points.length === 0) return neighbors;
+
+    const inTree = new Array(points.length).fill(false);
+    const best = points.map(() => ({ length: Infinity, from: -1 }));
+    best[0].length = 0;
+
+    for (let added = 0; added < points.length; added++) {
+        let next = -1;
+        best.forEach((b, i) => {
+            if (!inTree[i] && (next < 0 || b.length < best[next].length)) next = i;
+        });
+        inTree[next] = true;
+
+        const { from, length } = best[next];
+        if (from >= 0) {
+            neighbors[from].push({ to: next, length });
+            neighbors[next].push({ to: from, length });
+        }
+
+        points.forEach((p, i) => {
+            const d = Math.hypot(p.x - points[next].x, p.y - points[next].y);
+            if (!inTree[i] && d < best[i].length) best[i] = { length: d, from: next };
+        });
+    }
+
+    return neighbors;
+}
+
+/**
+ * Cells near the straight track between two stations, in order along it and spaced apart
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {Array<{x: number, y: number}>} cells - Candidate stop cells
+ * @returns {Array<{x: number, y: number}>} Stops, excluding both ends
+ */
+function getStopsBetween(from, to, cells) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return [];
+
+    const candidates = cells
+        .map(cell => ({
+            cell,
+            along: ((cell.x - from.x) * dx + (cell.y - from.y) * dy) / length,
+            across: Math.abs((cell.x - from.x) * dy - (cell.y - from.y) * dx) / length
+        }))
+        .filter(c => c.across <= LINE_STOP_CORRIDOR && c.along > 0 && c.along < length)
+        .sort((a, b) => a.along - b.along);
+
+    const stops = [];
+    let last = from;
+    candidates.forEach(({ cell }) => {
+        if (Math.hypot(cell.x - last.x, cell.y - last.y) >= LINE_STOP_SPACING &&
+            Math.hypot(cell.x - to.x, cell.y - to.y) >= LINE_STOP_SPACING) {
+            stops.push(cell);
+            last = cell;
+        }
+    });
+    return stops;
+}
+
+/**
+ * Split a tree into paths, repeatedly taking the longest path over the edges not yet used
+ * @param {Array<Array<{to: number, length: number}>>} neighbors - From spanningTree
+ * @param {number} count - Number of points
+ * @returns {Array<Array<number>>} Point indices along each path
+ */
+function splitIntoPaths(neighbors, count) {
+    const used = new Set();
+    const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+    const paths = [];
+
+    // Longest path over unused edges starting at a point
+    const longestFrom = (start, parent) => {
+        let best = { length: 0, path: [start] };
+        neighbors[start].forEach(({ to, length }) => {
+            if (to === parent || used.has(edgeKey(start, to))) return;
+            const rest = longestFrom(to, start);
+            if (rest.length + length > best.length) {
+                best = { length: rest.length + length, path: [start, ...rest.path] };
+            }
+        });
+        return best;
+    };
+
+    for (;;) {
+        let longest = null;
+        for (let i = 0; i < count; i++) {
+            const candidate = longestFrom(i, -1);
+            if (candidate.path.length > 1 && (!longest || candidate.length > longest.length)) {
+                longest = candidate;
+            }
+        }
+        if (!longest) break;
+
+        for (let i = 1; i < longest.path.length; i++) {
+            used.add(edgeKey(longest.path[i - 1], longest.path[i]));
+        }
+        paths.push(longest.path);
+    }
+
+    return paths;
+}
@@ -0,0 +1,148 @@
+/* ========================================
+   Smart City Planner - Districts
+   Named groups of cells drawn on top of the zone grid
+   ======================================== */
+
+import { DISTRICT_COLORS } from '../utils/constants.js';
+import { generateId, isHexColor, isPlainId } from '../utils/helpers.js';
+
+export class Districts {
+    /**
+     * @param {number} size - Grid size in cells
+     */
+    constructor(size) {
+        this.size = size;
+        this.list = [];
+        // District ID per cell, null where no district is drawn
+        this.cells = new Array(size * size).fill(null);
+    }
+
+    /**
+     * Create a district
+     * @param {string} name
+     * @param {string} [color] - Hex color; the next palette color when omitted
+     * @returns {Object} The new district
+     */
+    add(name, color = null) {
+        const district = {
+            id: generateId(),
+            name: name.trim() || `District ${this.list.length + 1}`,
+            color: color || DISTRICT_COLORS[this.list.length % DISTRICT_COLORS.length]
+        };
+        this.list.push(district);
+        return district;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.list.find(d => d.id === id) || null;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @returns {boolean} Whether the district exists
+     */
+    rename(id, name) {
+        const district = this.get(id);
+        if (!district || !name.trim()) return false;
+        district.name = name.trim();
+        return true;
+    }
+
+    /**
+     * Delete a district and release its cells
+     * @param {string} id
+     * @returns {boolean} Whether the district existed
+     */
+    remove(id) {
+        const index = this.list.findIndex(d => d.id === id);
+        if (index < 0) return false;
+
+        this.list.splice(index, 1);
+        this.cells = this.cells.map(cell => (cell === id ? null : cell));
+        return true;
+    }
+
+    /**
+     * District ID at a cell
+     * @returns {string|null}
+     */
+    getAt(x, y) {
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size) return null;
+        return this.cells[y * this.size + x];
+    }
+
+    /**
+     * Put a cell into a district, or take it out with null
+     * @param {number} x
+     * @param {number} y
+     * @param {string|null} id
+     * @returns {boolean} Whether the cell changed
+     */
+    assign(x, y, id) {
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size) return false;
+        if (id !== null && !this.get(id)) return false;
+
+        const index = y * this.size + x;
+        if (this.cells[index] === id) return false;
+        this.cells[index] = id;
+        return true;
+    }
+
+    /**
+     * Coordinates of every cell in a district
+     * @param {string} id
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getCells(id) {
+        const cells = [];
+        this.cells.forEach((cell, index) => {
+            if (cell === id) cells.push({ x: index % this.size, y: Math.floor(index / this.size) });
+        });
+        return cells;
+    }
+
+    /**
+     * Serializable form
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            list: this.list.map(d => ({ ...d })),
+            cells: this.cells.slice()
+        };
+    }
+
+    /**
+     * Restore districts saved with toJSON
+     * @param {Object} data
+     * @param {number} size
+     * @returns {Districts}
+     */
+    static fromJSON(data, size) {
+        const districts = new Districts(size);
+        if (!data || !Array.isArray(data.list)) return districts;
+
+        // Ids and colors end up in markup, so anything unexpected from a file is replaced;
+        // cells follow their district to its new id
+        const ids = new Map();
+        data.list.forEach(d => {
+            if (!d || ids.has(d.id)) return;
+            const id = isPlainId(d.id) ? d.id : generateId();
+            ids.set(d.id, id);
+            districts.list.push({
+                id,
+                name: typeof d.name === 'string' && d.name.trim() ? d.name : `District ${districts.list.length + 1}`,
+                color: isHexColor(d.color) ? d.color : DISTRICT_COLORS[districts.list.length % DISTRICT_COLORS.length]
+            });
+        });
+        if (Array.isArray(data.cells) && data.cells.length === size * size) {
+            districts.cells = data.cells.map(cell => (cell === null ? null : ids.get(cell) ?? null));
+        }
+        return districts;
+    }
+}
@@ -0,0 +1,88 @@
+/* ========================================
+   Smart City Planner - 15-Minute City Index
+   Essential amenities each home can reach on foot
+   ======================================== */
+
+import { FIFTEEN_MINUTE_CITY } from '../utils/constants.js';
+import { getCellMetrics, getCellComposition } from '../utils/zoneUtils.js';
+import { Isochrones } from './Isochrones.js';
+
+export class FifteenMinuteIndex {
+    constructor(cityModel) {
+        this.city = cityModel;
+        this.isochrones = new Isochrones(cityModel);
+        this.results = null;
+    }
+
+    /**
+     * Count the amenities within a walk of every home, reusing the last run until the city changes
+     * @returns {{revision: number, amenities: Array<Object>, cells: Int8Array, index: number, complete: number}}
+     *   cells holds the amenities reached per residential cell and -1 elsewhere; index is the share of
+     *   amenities the average resident reaches and complete the share of residents who reach all of them
+     */
+    run() {
+        if (this.results && this.results.revision === this.city.revision) return this.results;
+
+        const { gridSize: size, grid } = this.city;
+        const amenities = Object.entries(FIFTEEN_MINUTE_CITY.amenities)
+            .map(([id, amenity]) => ({ id, name: amenity.name, reached: this.getReachedCells(amenity.types), residents: 0 }));
+        const cells = new Int8Array(size * size).fill(-1);
+        let residents = 0;
+        let reachedTotal = 0;
+        let complete = 0;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const cell = grid[y][x];
+                if (!getCellComposition(cell).residential) continue;
+
+                const index = y * size + x;
+                const population = getCellMetrics(cell).population;
+                const reached = amenities.filter(amenity => amenity.reached[index]);
+                reached.forEach(amenity => { amenity.residents += population; });
+
+                cells[index] = reached.length;
+                residents += population;
+                reachedTotal += population * reached.length;
+                if (reached.length === amenities.length) complete += population;
+            }
+        }
+
+        this.results = {
+            revision: this.city.revision,
+            amenities: amenities.map(({ id, name, residents: served }) => ({
+                id,
+                name,
+                coverage: residents > 0 ? Math.round(served / residents * 100) : 0
+            })),
+            cells,
+            index: residents > 0 ? Math.round(reachedTotal / residents / amenities.length * 100) : 0,
+            complete: residents > 0 ? Math.round(complete / residents * 100) : 0
+        };
+        return this.results;
+    }
+
+    /**
+     * Cells within the walk of any cell providing an amenity
+     * @param {Array<string>} types - Zone types that provide it, mixed-use shares included
+     * @returns {Uint8Array} 1 where reached
+     */
+    getReachedCells(types) {
+        const { gridSize: size, grid } = this.city;
+        const sources = [];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const composition = getCellComposition(grid[y][x]);
+                if (types.some(type => composition[type] > 0)) sources.push(y * size + x);
+            }
+        }
+
+        const reached = new Uint8Array(size * size);
+        if (sources.length === 0) return reached;
+
+        this.isochrones.getTravelTimesFrom(sources, 'walk').forEach((minutes, index) => {
+            if (minutes <= FIFTEEN_MINUTE_CITY.minutes) reached[index] = 1;
+        });
+        return reached;
+    }
+}
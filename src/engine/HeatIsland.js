@@ -0,0 +1,108 @@
+/* ========================================
+   Smart City Planner - Urban Heat Island
+   Surface temperature from land cover and buildings,
+   and the residents living in the hottest places
+   ======================================== */
+
+import { URBAN_HEAT, BUILDING_HEIGHTS, DENSITY_LEVELS } from '../utils/constants.js';
+import { getCellMetrics, getCellComposition, getCellDensity } from '../utils/zoneUtils.js';
+
+export class HeatIsland {
+    constructor(cityModel) {
+        this.city = cityModel;
+        this.results = null;
+    }
+
+    /**
+     * Estimate the temperature of every cell, reusing the last run until the city changes
+     * @returns {{revision: number, temperatures: Float64Array, residents: number, vulnerable: number,
+     *   averageResidentTemperature: number, peak: number}} °C per cell, row-major; vulnerable counts the
+     *   residents at least URBAN_HEAT.vulnerableAbove degrees warmer than the countryside
+     */
+    run() {
+        if (this.results && this.results.revision === this.city.revision) return this.results;
+
+        const { gridSize: size, grid } = this.city;
+        const { ruralTemperature, vulnerableAbove } = URBAN_HEAT;
+        const temperatures = this.smooth(this.getSurfaceHeat()).map(degrees => ruralTemperature + degrees);
+
+        let residents = 0;
+        let vulnerable = 0;
+        let warmth = 0;
+        temperatures.forEach((temperature, index) => {
+            const population = getCellMetrics(grid[Math.floor(index / size)][index % size]).population;
+            residents += population;
+            warmth += population * temperature;
+            if (temperature >= ruralTemperature + vulnerableAbove) vulnerable += population;
+        });
+
+        this.results = {
+            revision: this.city.revision,
+            temperatures,
+            residents: Math.round(residents),
+            vulnerable: Math.round(vulnerable),
+            averageResidentTemperature: residents > 0 ? Math.round(warmth / residents * 10) / 10 : ruralTemperature,
+            peak: Math.round(Math.max(...temperatures) * 10) / 10
+        };
+        return this.results;
+    }
+
+    /**
+     * Degrees above the countryside each cell would reach on its own: its land cover shares,
+     * water below it, and the heat held by its buildings
+     * @returns {Float64Array}
+     */
+    getSurfaceHeat() {
+        const { gridSize: size, grid, terrain } = this.city;
+        const heat = new Float64Array(size * size);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const cell = grid[y][x];
+                if (terrain.isWater(x, y)) {
+                    heat[y * size + x] = URBAN_HEAT.water;
+                    continue;
+                }
+
+                const cover = Object.entries(getCellComposition(cell))
+                    .reduce((sum, [type, share]) => sum + (URBAN_HEAT.landCover[type] || 0) * share, 0);
+                const density = getCellDensity(cell);
+                const height = (BUILDING_HEIGHTS[cell.type] || 0) * (density ? DENSITY_LEVELS[density].height : 1);
+                heat[y * size + x] = cover + height * URBAN_HEAT.buildingDegrees;
+            }
+        }
+
+        return heat;
+    }
+
+    /**
+     * Average every cell with its eight neighbours, once per cell of URBAN_HEAT.smoothingMeters
+     * @param {Float64Array} heat
+     * @returns {Float64Array}
+     */
+    smooth(heat) {
+        const { gridSize: size, cellSize } = this.city;
+        const passes = Math.max(1, Math.round(URBAN_HEAT.smoothingMeters / cellSize));
+        let current = heat;
+
+        for (let pass = 0; pass < passes; pass++) {
+            const next = new Float64Array(size * size);
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    let sum = 0;
+                    let count = 0;
+                    for (let ny = Math.max(0, y - 1); ny <= Math.min(size - 1, y + 1); ny++) {
+                        for (let nx = Math.max(0, x - 1); nx <= Math.min(size - 1, x + 1); nx++) {
+                            sum += current[ny * size + nx];
+                            count++;
+                        }
+                    }
+                    next[y * size + x] = sum / count;
+                }
+            }
+            current = next;
+        }
+
+        return current;
+    }
+}
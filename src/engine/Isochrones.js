@@ -0,0 +1,216 @@
+/* ========================================
+   Smart City Planner - Isochrones
+   Travel times from one cell to every other by walking, cycling,
+   transit or car, grouped into reach bands
+   ======================================== */
+
+import { ISOCHRONE_BANDS, ISOCHRONE_MODES, MODE_CHOICE, ROAD_CLASSES, TRANSIT_MODES } from '../utils/constants.js';
+import { getCellMetrics, getCellRoadClass } from '../utils/zoneUtils.js';
+import { MinHeap } from './RoadNetwork.js';
+
+// Grid moves: orthogonal and diagonal neighbours with their length in cells
+const MOVES = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+export class Isochrones {
+    constructor(cityModel) {
+        this.city = cityModel;
+    }
+
+    /**
+     * Travel times and reach bands from a cell
+     * @param {number} x
+     * @param {number} y
+     * @param {string} mode - Key of ISOCHRONE_MODES
+     * @param {Object} [speeds] - Walking and cycling speeds in km/h
+     * @returns {{origin: Object, mode: string, times: Float64Array, bands: Int8Array, reach: Array<Object>}}
+     */
+    compute(x, y, mode, speeds = {}) {
+        const times = this.getTravelTimes(x, y, mode, speeds);
+        const bands = getBands(times);
+        return { origin: { x, y }, mode, times, bands, reach: this.getReach(bands) };
+    }
+
+    /**
+     * Minutes from a cell to every cell, up to the outermost band; Infinity beyond it or where unreachable
+     * @returns {Float64Array} Minutes per cell, row-major
+     */
+    getTravelTimes(x, y, mode, speeds = {}) {
+        return this.getTravelTimesFrom([y * this.city.gridSize + x], mode, speeds);
+    }
+
+    /**
+     * Minutes from the nearest of several cells to every cell, up to the outermost band.
+     * Water is crossed only on roads. Drivers walk to a road, take MODE_CHOICE.carTerminalMinutes
+     * to get going and drive at each road's class speed; transit riders walk to a station, wait
+     * half a headway and ride
+     * @param {Array<number>} origins - Row-major cell indices
+     * @param {string} mode - Key of ISOCHRONE_MODES
+     * @param {Object} [speeds] - Walking and cycling speeds in km/h
+     * @returns {Float64Array} Minutes per cell, row-major
+     */
+    getTravelTimesFrom(origins, mode, speeds = {}) {
+        const { gridSize: size, grid, terrain, cellSize } = this.city;
+        if (!ISOCHRONE_MODES[mode]) throw new Error(`Unknown travel mode "${mode}"`);
+
+        const walkSpeed = speeds.walk || MODE_CHOICE.walkSpeed;
+        const gridSpeed = mode === 'bike' ? speeds.bike || MODE_CHOICE.bikeSpeed : walkSpeed;
+        const limit = ISOCHRONE_BANDS[ISOCHRONE_BANDS.length - 1].minutes;
+        // Minutes to cross one cell at a speed in km/h
+        const crossing = speed => cellSize / 1000 / speed * 60;
+
+        const passable = index => {
+            const cx = index % size;
+            const cy = (index - cx) / size;
+            return !terrain.isWater(cx, cy) || grid[cy][cx].type === 'road';
+        };
+        const roadSpeed = index => {
+            const roadClass = getCellRoadClass(grid[Math.floor(index / size)][index % size]);
+            return roadClass ? ROAD_CLASSES[roadClass].speed : 0;
+        };
+
+        // Nodes: cells on foot (or bike), then cells at the wheel, then boarded transit stops
+        const cells = size * size;
+        const driving = mode === 'car' ? cells : 0;
+        const firstStop = cells + driving;
+        const stops = mode === 'transit' ? this.buildTransitStops() : { list: [], atCell: new Map() };
+        const nodeCount = firstStop + stops.list.length;
+        const times = new Float64Array(nodeCount).fill(Infinity);
+        const queue = new MinHeap();
+        const offer = (node, minutes) => {
+            if (minutes >= times[node]) return;
+            times[node] = minutes;
+            queue.push(node, minutes);
+        };
+
+        origins.forEach(origin => offer(origin, 0));
+
+        while (queue.size > 0) {
+            const { item: node, priority } = queue.pop();
+            if (priority > times[node] || priority > limit) continue;
+
+            if (node >= firstStop) {
+                // On board: alight here, or ride on to the neighbouring stations
+                const stop = stops.list[node - firstStop];
+                offer(stop.cell, priority);
+                stop.links.forEach(({ to, minutes }) => offer(firstStop + to, priority + minutes));
+                continue;
+            }
+
+            const cell = node % cells;
+            const cx = cell % size;
+            const cy = (cell - cx) / size;
+
+            if (node >= cells) {
+                // At the wheel: park here, or drive on along the road
+                offer(cell, priority);
+                const fromSpeed = roadSpeed(cell);
+                MOVES.slice(0, 4).forEach(([dx, dy]) => {
+                    const nx = cx + dx;
+                    const ny = cy + dy;
+                    if (nx < 0 || ny < 0 || nx >= size || ny >= size) return;
+                    const toSpeed = roadSpeed(ny * size + nx);
+                    // Half a cell at each road's speed
+                    if (toSpeed > 0) offer(cells + ny * size + nx, priority + (crossing(fromSpeed) + crossing(toSpeed)) / 2);
+                });
+                continue;
+            }
+
+            MOVES.forEach(([dx, dy, length]) => {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (nx < 0 || ny < 0 || nx >= size || ny >= size) return;
+                const next = ny * size + nx;
+                if (passable(next)) offer(next, priority + length * crossing(gridSpeed));
+            });
+
+            if (driving && roadSpeed(cell) > 0) {
+                offer(cells + cell, priority + MODE_CHOICE.carTerminalMinutes);
+            }
+            (stops.atCell.get(cell) || []).forEach(id => {
+                offer(firstStop + id, priority + stops.list[id].wait);
+            });
+        }
+
+        return times.subarray(0, cells);
+    }
+
+    /**
+     * Boarding points of every line with two or more stations, linked to the stations either side
+     * @returns {{list: Array<Object>, atCell: Map<number, Array<number>>}}
+     */
+    buildTransitStops() {
+        const { gridSize: size, cellSize } = this.city;
+        const list = [];
+        const atCell = new Map();
+
+        this.city.transitLines.list.forEach(line => {
+            if (line.stations.length < 2) return;
+            const speed = TRANSIT_MODES[line.mode].speed;
+            const first = list.length;
+
+            line.stations.forEach(({ x, y }, index) => {
+                const id = list.length;
+                const cell = y * size + x;
+                list.push({ cell, wait: line.headway / 2, links: [] });
+                if (!atCell.has(cell)) atCell.set(cell, []);
+                atCell.get(cell).push(id);
+
+                if (index > 0) {
+                    const previous = line.stations[index - 1];
+                    const dx = Math.abs(x - previous.x);
+                    const dy = Math.abs(y - previous.y);
+                    // Octilinear, as the line is drawn
+                    const cells = Math.min(dx, dy) * Math.SQRT2 + Math.abs(dx - dy);
+                    const minutes = cells * cellSize / 1000 / speed * 60 + MODE_CHOICE.stopDwellSeconds / 60;
+                    list[first + index - 1].links.push({ to: id, minutes });
+                    list[id].links.push({ to: id - 1, minutes });
+                }
+            });
+        });
+
+        return { list, atCell };
+    }
+
+    /**
+     * Area, residents and jobs within each band, counting everything closer too
+     * @param {Int8Array} bands
+     * @returns {Array<{minutes: number, cells: number, areaKm2: number, population: number, jobs: number}>}
+     */
+    getReach(bands) {
+        const { gridSize: size, grid, cellSize } = this.city;
+        const reach = ISOCHRONE_BANDS.map(band => ({ minutes: band.minutes, cells: 0, areaKm2: 0, population: 0, jobs: 0 }));
+
+        bands.forEach((band, index) => {
+            if (band < 0) return;
+            const metrics = getCellMetrics(grid[Math.floor(index / size)][index % size]);
+            for (let i = band; i < reach.length; i++) {
+                reach[i].cells++;
+                reach[i].population += metrics.population;
+                reach[i].jobs += metrics.jobs;
+            }
+        });
+
+        reach.forEach(band => {
+            band.areaKm2 = band.cells * cellSize * cellSize / 1e6;
+            band.population = Math.round(band.population);
+            band.jobs = Math.round(band.jobs);
+        });
+        return reach;
+    }
+}
+
+/**
+ * Index into ISOCHRONE_BANDS of the first band each time falls within, -1 beyond all of them
+ * @param {Float64Array} times
+ * @returns {Int8Array}
+ */
+export function getBands(times) {
+    const bands = new Int8Array(times.length).fill(-1);
+    times.forEach((minutes, index) => {
+        bands[index] = ISOCHRONE_BANDS.findIndex(band => minutes <= band.minutes);
+    });
+    return bands;
+}
@@ -0,0 +1,120 @@
+/* ========================================
+   Smart City Planner - Jobs-Housing Balance
+   Jobs per household and the commute length from matching
+   workers to jobs across the grid
+   ======================================== */
+
+import { TRAFFIC_MODEL, MODE_CHOICE, JOBS_HOUSING } from '../utils/constants.js';
+import { getCellMetrics } from '../utils/zoneUtils.js';
+
+export class JobsHousing {
+    constructor(cityModel) {
+        this.city = cityModel;
+        this.results = null;
+    }
+
+    /**
+     * Balance jobs against households and match workers to jobs, reusing the last run until the city changes
+     * @returns {{revision: number, jobs: number, households: number, ratio: number|null, workers: number,
+     *   matchedWorkers: number, avgCommuteKm: number|null}} ratio is null without homes, avgCommuteKm without matches
+     */
+    run() {
+        if (this.results && this.results.revision === this.city.revision) return this.results;
+
+        const { gridSize, cellSize } = this.city;
+        const blockSize = Math.max(1, Math.ceil(gridSize / TRAFFIC_MODEL.maxZonesPerSide));
+        const zones = this.buildZones(blockSize);
+        const households = zones.reduce((sum, zone) => sum + zone.residents, 0) / JOBS_HOUSING.householdSize;
+        const jobs = zones.reduce((sum, zone) => sum + zone.jobs, 0);
+
+        const commute = this.matchCommutes(zones, blockSize * cellSize / 1000 / 3);
+
+        this.results = {
+            revision: this.city.revision,
+            jobs: Math.round(jobs),
+            households: Math.round(households),
+            ratio: households > 0 ? Math.round(jobs / households * 100) / 100 : null,
+            workers: Math.round(zones.reduce((sum, zone) => sum + zone.workers, 0)),
+            matchedWorkers: Math.round(commute.workers),
+            avgCommuteKm: commute.workers > 0 ? Math.round(commute.workerKm / commute.workers * 10) / 10 : null
+        };
+        return this.results;
+    }
+
+    /**
+     * Send every zone's workers to the nearest jobs still open, closest pairs first, until
+     * the workers or the jobs run out. Distances are straight lines between zone centroids
+     * stretched by MODE_CHOICE.circuity, as in the mode split
+     * @param {Array<Object>} zones
+     * @param {number} intrazonalKm - Commute within a zone
+     * @returns {{workers: number, workerKm: number}} Workers matched and their total commute
+     */
+    matchCommutes(zones, intrazonalKm) {
+        const { cellSize } = this.city;
+        const homes = zones.filter(zone => zone.workers > 0).map(zone => ({ zone, left: zone.workers }));
+        const workplaces = zones.filter(zone => zone.jobs > 0).map(zone => ({ zone, left: zone.jobs }));
+
+        const pairs = [];
+        homes.forEach(home => {
+            workplaces.forEach(workplace => {
+                const km = home.zone === workplace.zone
+                    ? intrazonalKm
+                    : Math.hypot(workplace.zone.x - home.zone.x, workplace.zone.y - home.zone.y) * cellSize / 1000;
+                pairs.push({ home, workplace, km: km * MODE_CHOICE.circuity });
+            });
+        });
+        pairs.sort((a, b) => a.km - b.km);
+
+        let workers = 0;
+        let workerKm = 0;
+        pairs.forEach(({ home, workplace, km }) => {
+            const matched = Math.min(home.left, workplace.left);
+            if (matched <= 0) return;
+            home.left -= matched;
+            workplace.left -= matched;
+            workers += matched;
+            workerKm += matched * km;
+        });
+        return { workers, workerKm };
+    }
+
+    /**
+     * Square zones on the traffic model's blocks, with residents, workers, jobs and an activity centroid
+     * @param {number} blockSize - Cells per zone side
+     * @returns {Array<Object>}
+     */
+    buildZones(blockSize) {
+        const { grid, gridSize } = this.city;
+        const zones = [];
+
+        for (let by = 0; by < gridSize; by += blockSize) {
+            for (let bx = 0; bx < gridSize; bx += blockSize) {
+                let residents = 0;
+                let jobs = 0;
+                let cx = 0;
+                let cy = 0;
+
+                for (let y = by; y < Math.min(gridSize, by + blockSize); y++) {
+                    for (let x = bx; x < Math.min(gridSize, bx + blockSize); x++) {
+                        const metrics = getCellMetrics(grid[y][x]);
+                        const activity = metrics.population + metrics.jobs;
+                        residents += metrics.population;
+                        jobs += metrics.jobs;
+                        cx += (x + 0.5) * activity;
+                        cy += (y + 0.5) * activity;
+                    }
+                }
+
+                if (residents + jobs === 0) continue;
+                zones.push({
+                    x: cx / (residents + jobs),
+                    y: cy / (residents + jobs),
+                    residents,
+                    workers: residents * JOBS_HOUSING.employmentRate,
+                    jobs
+                });
+            }
+        }
+        return zones;
+    }
+}
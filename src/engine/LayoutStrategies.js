@@ -0,0 +1,437 @@
+/* ========================================
+   Smart City Planner - Layout Strategies
+   Urban morphologies used by CityModel.generateLayout
+   ======================================== */
+
+import { createValueNoise } from '../utils/helpers.js';
+import { DEFAULT_ROAD_CLASS } from '../utils/constants.js';
+
+/*
+ * A strategy is an object of the form
+ *   { name, description, generate(city, params) }
+ * where `params` holds the ratio parameters produced by the AI generator and
+ * CITY_PRESETS. Strategies must draw every random number from `city.random`
+ * so seeded layouts stay reproducible. Roads should be given a class from
+ * ROAD_CLASSES; painting never downgrades a busier road it crosses. Hubs placed
+ * with city.placeTransitHub are linked by the generated transit lines.
+ */
+
+/**
+ * Pick a zone type for a cell from its normalized distance to the nearest
+ * center (0 = core, ~1 = edge). This is the original concentric ring model,
+ * shared by the other strategies.
+ * @param {number} normalizedDist
+ * @param {Object} params
+ * @param {number} rand - Uniform number in [0, 1)
+ * @returns {string}
+ */
+function pickRingZone(normalizedDist, params, rand) {
+    const { residentialRatio, commercialRatio, greenRatio, transitRatio } = params;
+
+    if (normalizedDist > 0.9) {
+        // Outer ring: industrial and green
+        if (rand < 0.4) return 'green';
+        if (rand < 0.6) return 'industrial';
+    } else if (normalizedDist > 0.6) {
+        // Middle ring: residential
+        if (rand < residentialRatio * 1.5) return 'residential';
+        if (rand < residentialRatio * 1.5 + greenRatio) return 'green';
+    } else if (normalizedDist > 0.3) {
+        // Inner ring: mixed
+        if (rand < residentialRatio) return 'residential';
+        if (rand < residentialRatio + commercialRatio) return 'commercial';
+        if (rand < residentialRatio + commercialRatio + greenRatio * 0.5) return 'green';
+    } else {
+        // Core: commercial and transit
+        if (rand < commercialRatio * 2) return 'commercial';
+        if (rand < commercialRatio * 2 + transitRatio * 2) return 'transit';
+        if (rand < commercialRatio * 2 + transitRatio * 2 + greenRatio * 0.3) return 'green';
+    }
+
+    return 'empty';
+}
+
+/**
+ * Fill every empty cell using a normalized distance function
+ * @param {CityModel} city
+ * @param {Object} params
+ * @param {Function} distanceFn - (x, y) => normalized distance, or a zone type string to force
+ */
+function fillZones(city, params, distanceFn) {
+    for (let y = 0; y < city.gridSize; y++) {
+        for (let x = 0; x < city.gridSize; x++) {
+            if (city.grid[y][x].type !== 'empty') continue;
+
+            const dist = distanceFn(x, y);
+            const zoneType = typeof dist === 'string'
+                ? dist
+                : pickRingZone(dist, params, city.random());
+
+            if (zoneType !== 'empty') {
+                city.setZone(x, y, zoneType);
+            }
+        }
+    }
+}
+
+/**
+ * Paint a straight line of cells (Bresenham) with a square brush
+ */
+function paintLine(city, x0, y0, x1, y1, width = 1, type = 'road', roadClass = DEFAULT_ROAD_CLASS) {
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    const lo = -Math.floor((width - 1) / 2);
+    const hi = Math.ceil((width - 1) / 2);
+    let err = dx + dy;
+
+    while (true) {
+        for (let oy = lo; oy <= hi; oy++) {
+            for (let ox = lo; ox <= hi; ox++) {
+                if (type === 'road') {
+                    city.setRoad(x0 + ox, y0 + oy, roadClass);
+                } else {
+                    city.setZone(x0 + ox, y0 + oy, type);
+                }
+            }
+        }
+        if (x0 === x1 && y0 === y1) break;
+
+        // Step one axis at a time so diagonal lines stay 4-connected
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x0 += sx;
+        } else if (e2 <= dx) {
+            err += dx;
+            y0 += sy;
+        }
+    }
+}
+
+/**
+ * Paint a closed ring road as a polygon of straight segments
+ */
+function paintRing(city, cx, cy, radius, width = 1, type = 'road', roadClass = DEFAULT_ROAD_CLASS) {
+    const segments = Math.max(12, Math.round(radius * 1.5));
+    for (let i = 0; i < segments; i++) {
+        const a1 = (i / segments) * Math.PI * 2;
+        const a2 = ((i + 1) / segments) * Math.PI * 2;
+        paintLine(
+            city,
+            cx + Math.cos(a1) * radius, cy + Math.sin(a1) * radius,
+            cx + Math.cos(a2) * radius, cy + Math.sin(a2) * radius,
+            width, type, roadClass
+        );
+    }
+}
+
+// Built-in strategies
+export const LAYOUT_STRATEGIES = {
+    concentric: {
+        name: 'Concentric Rings',
+        description: 'Single downtown with residential and industrial rings on a grid with a diagonal boulevard',
+        generate(city, params) {
+            const center = Math.floor(city.gridSize / 2);
+            const maxDist = center * 1.4;
+
+            // Create main roads (grid pattern)
+            city.generateRoadNetwork();
+
+            // Define city zones based on distance from center
+            fillZones(city, params, (x, y) =>
+                Math.sqrt((x - center) ** 2 + (y - center) ** 2) / maxDist
+            );
+
+            // Add transit hubs at strategic locations
+            city.addTransitHubs();
+        }
+    },
+
+    polycentric: {
+        name: 'Polycentric',
+        description: 'Several business districts linked by arterials, each with its own rings',
+        generate(city, params) {
+            const size = city.gridSize;
+            const center = Math.floor(size / 2);
+            const subCount = Math.max(3, Math.min(6, Math.round(size / 25)));
+            const startAngle = city.random() * Math.PI * 2;
+
+            const centers = [{ x: center, y: center, reach: size * 0.3 }];
+            for (let i = 0; i < subCount; i++) {
+                const angle = startAngle + (i / subCount) * Math.PI * 2 + (city.random() - 0.5) * 0.4;
+                const radius = size * (0.28 + city.random() * 0.08);
+                centers.push({
+                    x: Math.round(center + Math.cos(angle) * radius),
+                    y: Math.round(center + Math.sin(angle) * radius),
+                    reach: size * 0.17
+                });
+            }
+
+            // Local street grid, every other line a collector
+            const spacing = Math.max(5, Math.floor(size / 10));
+            for (let i = spacing; i < size; i += spacing) {
+                const roadClass = (i / spacing) % 2 === 0 ? 'collector' : 'local';
+                paintLine(city, 0, i, size - 1, i, 1, 'road', roadClass);
+                paintLine(city, i, 0, i, size - 1, 1, 'road', roadClass);
+            }
+
+            // Arterials from downtown to each sub-center, and an orbital highway through the sub-centers
+            const subs = centers.slice(1);
+            subs.forEach((c, i) => {
+                const next = subs[(i + 1) % subs.length];
+                paintLine(city, center, center, c.x, c.y, 2, 'road', 'arterial');
+                paintLine(city, c.x, c.y, next.x, next.y, 2, 'road', 'highway');
+            });
+
+            fillZones(city, params, (x, y) => Math.min(...centers.map(c =>
+                Math.sqrt((x - c.x) ** 2 + (y - c.y) ** 2) / c.reach
+            )) * 0.9);
+
+            centers.forEach(c => city.placeTransitHub(c.x + 1, c.y + 1));
+        }
+    },
+
+    linear: {
+        name: 'Linear Corridor',
+        description: 'A single development spine with transit along its length and green edges',
+        generate(city, params) {
+            const size = city.gridSize;
+            const center = Math.floor(size / 2);
+            const spacing = Math.max(5, Math.floor(size / 10));
+            const halfWidth = size * 0.42;
+
+            // Spine: a wide boulevard through the middle
+            paintLine(city, 0, center, size - 1, center, 3, 'road', 'arterial');
+
+            // Parallel service streets and cross streets inside the corridor
+            for (let offset = spacing; offset < halfWidth; offset += spacing) {
+                paintLine(city, 0, center - offset, size - 1, center - offset, 1, 'road', 'collector');
+                paintLine(city, 0, center + offset, size - 1, center + offset, 1, 'road', 'collector');
+            }
+            for (let x = spacing; x < size; x += spacing) {
+                paintLine(city, x, Math.round(center - halfWidth), x, Math.round(center + halfWidth));
+            }
+
+            fillZones(city, params, (x, y) => {
+                const fromSpine = Math.abs(y - center) / halfWidth;
+                if (fromSpine > 1) {
+                    return city.random() < params.greenRatio * 2 ? 'green' : 'empty';
+                }
+
+                // Industry gathers at the two ends of the corridor
+                const fromEnd = Math.min(x, size - 1 - x) / size;
+                if (fromEnd < 0.08 && city.random() < params.industrialRatio * 4) {
+                    return 'industrial';
+                }
+
+                return fromSpine * 0.95;
+            });
+
+            // Stations at regular intervals along the spine
+            const stationSpacing = Math.max(8, Math.floor(size / 6));
+            for (let x = Math.floor(stationSpacing / 2); x < size - 1; x += stationSpacing) {
+                city.placeTransitHub(x, center - 3);
+            }
+        }
+    },
+
+    garden: {
+        name: 'Garden City',
+        description: 'A central city ringed by satellite towns, separated by a greenbelt',
+        generate(city, params) {
+            const size = city.gridSize;
+            const center = Math.floor(size / 2);
+            const centralRadius = size * 0.2;
+            const satelliteCount = size < 70 ? 4 : 6;
+            const satelliteRadius = size * 0.09;
+            const orbit = size * 0.36;
+            const startAngle = city.random() * Math.PI * 2;
+
+            const towns = [{ x: center, y: center, radius: centralRadius }];
+            for (let i = 0; i < satelliteCount; i++) {
+                const angle = startAngle + (i / satelliteCount) * Math.PI * 2;
+                towns.push({
+                    x: Math.round(center + Math.cos(angle) * orbit),
+                    y: Math.round(center + Math.sin(angle) * orbit),
+                    radius: satelliteRadius
+                });
+            }
+
+            // Boulevards and ring roads; highways cross the greenbelt to the satellites
+            paintRing(city, center, center, centralRadius, 2, 'road', 'arterial');
+            towns.slice(1).forEach((town, i, sats) => {
+                const next = sats[(i + 1) % sats.length];
+                paintLine(city, center, center, town.x, town.y, 2, 'road', 'highway');
+                paintLine(city, town.x, town.y, next.x, next.y, 1, 'road', 'arterial');
+                paintRing(city, town.x, town.y, town.radius, 1, 'road', 'collector');
+            });
+
+            fillZones(city, params, (x, y) => {
+                for (const town of towns) {
+                    const d = Math.sqrt((x - town.x) ** 2 + (y - town.y) ** 2);
+                    if (d <= town.radius) return (d / town.radius) * 0.9;
+                }
+
+                // Greenbelt with occasional industry along the connecting roads
+                const rand = city.random();
+                const nearRoad = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) =>
+                    city.getZone(x + dx, y + dy)?.type === 'road'
+                );
+                if (nearRoad && rand < params.industrialRatio * 4) return 'industrial';
+                if (rand < 0.55 + params.greenRatio * 0.5) return 'green';
+                return 'empty';
+            });
+
+            towns.forEach(town => city.placeTransitHub(town.x, town.y));
+        }
+    },
+
+    organic: {
+        name: 'Organic',
+        description: 'Irregular, meandering streets with loosely clustered districts',
+        generate(city, params) {
+            const size = city.gridSize;
+            const center = size / 2;
+            const noise = createValueNoise(city.random, size, Math.max(6, size / 8));
+
+            // Wandering streets grown from the center, branching as they go
+            const walkers = [];
+            const mainStreets = Math.max(5, Math.round(size / 15));
+            for (let i = 0; i < mainStreets; i++) {
+                walkers.push({
+                    x: center,
+                    y: center,
+                    heading: (i / mainStreets) * Math.PI * 2 + city.random() * 0.5,
+                    life: size * 0.7,
+                    width: 2
+                });
+            }
+
+            let budget = size * 40;
+            while (walkers.length > 0 && budget-- > 0) {
+                const w = walkers.pop();
+                const step = 3;
+                const nx = w.x + Math.cos(w.heading) * step;
+                const ny = w.y + Math.sin(w.heading) * step;
+
+                if (nx < 0 || ny < 0 || nx >= size || ny >= size || w.life <= 0) continue;
+
+                // Main streets are arterials; their branches are local streets
+                paintLine(city, w.x, w.y, nx, ny, w.width, 'road', w.width > 1 ? 'arterial' : 'local');
+                walkers.push({
+                    x: nx,
+                    y: ny,
+                    heading: w.heading + (city.random() - 0.5) * 0.6,
+                    life: w.life - step,
+                    width: w.width
+                });
+
+                if (city.random() < 0.12) {
+                    walkers.push({
+                        x: nx,
+                        y: ny,
+                        heading: w.heading + (city.random() < 0.5 ? 1 : -1) * (Math.PI / 2 + (city.random() - 0.5) * 0.5),
+                        life: w.life * 0.5,
+                        width: 1
+                    });
+                }
+            }
+
+            const maxDist = center * 1.4;
+            fillZones(city, params, (x, y) => {
+                const d = Math.sqrt((x - center) ** 2 + (y - center) ** 2) / maxDist;
+                return Math.max(0, d + (noise(x, y) - 0.5) * 0.35);
+            });
+
+            // Hubs at the center and halfway along a few main streets
+            city.placeTransitHub(center, center);
+            for (let i = 0; i < 4; i++) {
+                const angle = city.random() * Math.PI * 2;
+                city.placeTransitHub(center + Math.cos(angle) * size * 0.25, center + Math.sin(angle) * size * 0.25);
+            }
+        }
+    },
+
+    superblock: {
+        name: 'Superblocks',
+        description: 'Through-traffic on a coarse grid; interior streets become plazas and greenways',
+        generate(city, params) {
+            const size = city.gridSize;
+            const center = Math.floor(size / 2);
+            const block = Math.max(4, Math.floor(size / 20));
+            const superSize = block * 3;
+            const maxDist = center * 1.4;
+
+            for (let i = block; i < size; i += block) {
+                const isPerimeter = (i / block) % 3 === 0;
+                const type = isPerimeter ? 'road' : 'green';
+                paintLine(city, 0, i, size - 1, i, 1, type, 'arterial');
+                paintLine(city, i, 0, i, size - 1, 1, type, 'arterial');
+            }
+
+            // Perimeter roads carry the through-traffic and must win over greenways where they cross
+            for (let i = superSize; i < size; i += superSize) {
+                paintLine(city, 0, i, size - 1, i, 1, 'road', 'arterial');
+                paintLine(city, i, 0, i, size - 1, 1, 'road', 'arterial');
+            }
+
+            fillZones(city, params, (x, y) => {
+                // Ground-floor retail along the interior greenways
+                const onGreenway = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) =>
+                    city.getZone(x + dx, y + dy)?.type === 'green'
+                );
+                if (onGreenway && city.random() < params.commercialRatio * 1.5) {
+                    return 'commercial';
+                }
+                return Math.sqrt((x - center) ** 2 + (y - center) ** 2) / maxDist;
+            });
+
+            // Stations at every other superblock corner
+            for (let y = superSize; y < size - 1; y += superSize * 2) {
+                for (let x = superSize; x < size - 1; x += superSize * 2) {
+                    city.placeTransitHub(x + 1, y + 1);
+                }
+            }
+        }
+    }
+};
+
+export const DEFAULT_LAYOUT_STRATEGY = 'concentric';
+
+/**
+ * Register a custom layout strategy
+ * @param {string} id
+ * @param {{name: string, description: string, generate: Function}} strategy
+ */
+export function registerLayoutStrategy(id, strategy) {
+    if (typeof strategy?.generate !== 'function') {
+        throw new Error(`Layout strategy "${id}" must implement generate(city, params)`);
+    }
+    LAYOUT_STRATEGIES[id] = strategy;
+}
+
+/**
+ * Get a layout strategy by ID
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getLayoutStrategy(id) {
+    return Object.hasOwn(LAYOUT_STRATEGIES, id) ? LAYOUT_STRATEGIES[id] : null;
+}
+
+/**
+ * Get all layout strategies as list
+ * @returns {Array}
+ */
+export function getLayoutStrategyList() {
+    return Object.entries(LAYOUT_STRATEGIES).map(([id, strategy]) => ({
+        id,
+        name: strategy.name,
+        description: strategy.description
+    }));
+}
@@ -2,12 +2,37 @@
    Smart City Planner - Metrics Calculator
    ======================================== */
 
-import { ZONE_TYPES, METRIC_THRESHOLDS } from '../utils/constants.js';
-import { clamp, mapRange } from '../utils/helpers.js';
+import { ZONE_TYPES, METRIC_THRESHOLDS, FACILITY_TYPES, FIFTEEN_MINUTE_CITY, JOBS_HOUSING, AIR_DISPERSION, NOISE, URBAN_HEAT } from '../utils/constants.js';
+import { clamp, mapRange, calculateSustainabilityScore, formatNumber } from '../utils/helpers.js';
+import { getCellMetrics, getCellComposition } from '../utils/zoneUtils.js';
+import { ModeSplitModel } from './ModeSplitModel.js';
+import { FifteenMinuteIndex } from './FifteenMinuteIndex.js';
+import { Accessibility } from './Accessibility.js';
+import { ServiceAreas } from './ServiceAreas.js';
+import { JobsHousing } from './JobsHousing.js';
+import { TrafficModel } from './TrafficModel.js';
+import { AirDispersion } from './AirDispersion.js';
+import { NoiseModel } from './NoiseModel.js';
+import { HeatIsland } from './HeatIsland.js';
 
 export class Metrics {
     constructor(cityModel) {
         this.city = cityModel;
+        this.modeSplit = new ModeSplitModel(cityModel);
+        // Mode split run the transit score was last taken from
+        this.scoredSplit = null;
+        this.fifteenMinute = new FifteenMinuteIndex(cityModel);
+        // 15-minute index run walkability was last taken from
+        this.scoredIndex = null;
+        this.accessibility = new Accessibility(cityModel);
+        this.serviceAreas = new ServiceAreas(cityModel);
+        this.jobsHousing = new JobsHousing(cityModel);
+        this.traffic = new TrafficModel(cityModel, this.modeSplit);
+        this.airDispersion = new AirDispersion(cityModel, this.traffic);
+        this.noise = new NoiseModel(cityModel, this.traffic);
+        this.heatIsland = new HeatIsland(cityModel);
+        // Dispersion run air quality was last taken from
+        this.scoredAir = null;
     }
 
     /**
@@ -21,9 +46,19 @@ export class Metrics {
             energyEfficiency: this.getEnergyEfficiency(),
             greenCoverage: this.getGreenCoverage(),
             transitScore: this.getTransitScore(),
+            modeSplit: this.getModeSplit(),
             walkability: this.getWalkability(),
+            accessibility: this.getAccessibility(),
             airQuality: this.getAirQuality(),
+            noise: this.getNoise(),
+            heat: this.getHeat(),
             population: this.getPopulation(),
+            jobs: this.getJobs(),
+            jobsHousing: this.getJobsHousing(),
+            serviceCoverage: this.getServiceCoverage(),
+            serviceAreas: this.getServiceAreas(),
+            roadNetwork: this.getRoadNetwork(),
+            districts: this.getDistrictStats(),
             zoneDistribution: this.getZoneDistribution()
         };
     }
@@ -81,9 +116,16 @@ export class Metrics {
     }
 
     /**
-     * Get transit score (0-100)
+     * Get transit score (0-100), from the modeled transit share of trips. It is taken
+     * from each new mode split run, so scenario adjustments hold until the city changes
      */
     getTransitScore() {
+        const split = this.modeSplit.run();
+        if (split !== this.scoredSplit) {
+            this.city.stats.transitScore = split.transitScore;
+            this.scoredSplit = split;
+        }
+
         return {
             value: this.city.stats.transitScore,
             label: this.city.stats.transitScore.toString()
@@ -91,19 +133,55 @@ export class Metrics {
     }
 
     /**
-     * Get walkability score (0-100)
+     * Peak-hour trips by mode, with ridership per transit line and boardings per station
+     * @returns {Object}
+     */
+    getModeSplit() {
+        const { trips, tripsByMode, shares, avgTripKm, coverage, lines, stations } = this.modeSplit.run();
+        return { trips, tripsByMode, shares, avgTripKm, coverage, lines, stations };
+    }
+
+    /**
+     * Get walkability score (0-100): the 15-minute city index, the share of essential amenities
+     * the average resident reaches on foot. Taken from each new run, like the transit score
      */
     getWalkability() {
+        const index = this.fifteenMinute.run();
+        if (index !== this.scoredIndex) {
+            this.city.stats.walkability = index.index;
+            this.scoredIndex = index;
+        }
+
         return {
             value: this.city.stats.walkability,
-            label: this.city.stats.walkability.toString()
+            label: this.city.stats.walkability.toString(),
+            complete: index.complete,
+            amenities: index.amenities
         };
     }
 
     /**
-     * Get air quality index
+     * Average and worst distance in meters from homes to the nearest green space, transit hub and commercial area
+     * @returns {Array<{id: string, name: string, average: number|null, worst: number|null}>}
+     */
+    getAccessibility() {
+        return this.accessibility.run().targets;
+    }
+
+    /**
+     * Get air quality index (0-100), from the dispersion model's average exposure of residents,
+     * with the residents breathing air above AIR_DISPERSION.threshold. Taken from each new run,
+     * like the transit score
      */
     getAirQuality() {
+        const air = this.airDispersion.run();
+        if (air !== this.scoredAir) {
+            const { background, zeroScoreConcentration } = AIR_DISPERSION;
+            this.city.stats.airQuality = Math.round(clamp(
+                100 * (1 - (air.averageExposure - background) / (zeroScoreConcentration - background)), 0, 100));
+            this.scoredAir = air;
+        }
+
         const aq = this.city.stats.airQuality;
         let label, status;
 
@@ -121,7 +199,58 @@ export class Metrics {
             status = 'poor';
         }
 
-        return { value: aq, label, status };
+        return {
+            value: aq,
+            label,
+            status,
+            averageExposure: air.averageExposure,
+            peak: air.peak,
+            exposed: air.exposed,
+            exposedShare: air.residents > 0 ? Math.round(air.exposed / air.residents * 100) : 0
+        };
+    }
+
+    /**
+     * Share of residents above each noise threshold, rated against NOISE.thresholds
+     * @returns {{thresholds: Array<{db: number, residents: number, share: number, status: string}>}}
+     */
+    getNoise() {
+        const thresholds = this.noise.run().thresholds.map((threshold, i) => {
+            const { good, fair } = NOISE.thresholds[i];
+            let status = 'poor';
+            if (threshold.share === 0) status = 'excellent';
+            else if (threshold.share <= good) status = 'good';
+            else if (threshold.share <= fair) status = 'fair';
+            return { ...threshold, status };
+        });
+
+        return { thresholds };
+    }
+
+    /**
+     * Heat-vulnerable residents: those living URBAN_HEAT.vulnerableAbove degrees or more above the countryside
+     * @returns {{value: number, label: string, status: string, share: number, averageResidentTemperature: number,
+     *   peak: number, intensity: number}} intensity is how much warmer the average resident is than the countryside
+     */
+    getHeat() {
+        const { residents, vulnerable, averageResidentTemperature, peak } = this.heatIsland.run();
+        const share = residents > 0 ? Math.round(vulnerable / residents * 100) : 0;
+        const { good, fair } = URBAN_HEAT.vulnerableShare;
+
+        let status = 'poor';
+        if (share === 0) status = 'excellent';
+        else if (share <= good) status = 'good';
+        else if (share <= fair) status = 'fair';
+
+        return {
+            value: vulnerable,
+            label: `${share}%`,
+            status,
+            share,
+            averageResidentTemperature,
+            peak,
+            intensity: Math.round((averageResidentTemperature - URBAN_HEAT.ruralTemperature) * 10) / 10
+        };
     }
 
     /**
@@ -131,6 +260,151 @@ export class Metrics {
         return this.city.stats.population;
     }
 
+    /**
+     * Get total jobs
+     */
+    getJobs() {
+        return this.city.stats.jobs;
+    }
+
+    /**
+     * Jobs per household against the balanced range, and the average commute from matching workers to jobs
+     * @returns {{value: number|null, label: string, status: string, balance: string, households: number, jobs: number,
+     *   workers: number, matchedWorkers: number, avgCommuteKm: number|null, commuteStatus: string}}
+     */
+    getJobsHousing() {
+        const { ratio, avgCommuteKm, ...counts } = this.jobsHousing.run();
+        const { min, max } = JOBS_HOUSING.balancedRatio;
+        const { good, fair } = JOBS_HOUSING.commuteKm;
+
+        let balance = 'balanced';
+        if (ratio !== null && ratio < min) balance = 'housing-rich';
+        else if (ratio !== null && ratio > max) balance = 'jobs-rich';
+
+        let commuteStatus = 'good';
+        if (avgCommuteKm > fair) commuteStatus = 'poor';
+        else if (avgCommuteKm > good) commuteStatus = 'fair';
+
+        return {
+            value: ratio,
+            label: ratio === null ? '-' : ratio.toFixed(2),
+            status: balance === 'balanced' ? 'good' : 'fair',
+            balance,
+            households: counts.households,
+            jobs: counts.jobs,
+            workers: counts.workers,
+            matchedWorkers: counts.matchedWorkers,
+            avgCommuteKm,
+            commuteStatus
+        };
+    }
+
+    /**
+     * Get civic service and utility coverage (0-100)
+     * @returns {{value: number, label: string, facilities: Array<{type: string, name: string, coverage: number}>}}
+     */
+    getServiceCoverage() {
+        const coverage = this.city.stats.facilityCoverage || {};
+        const facilities = FACILITY_TYPES.map(type => ({
+            type,
+            name: ZONE_TYPES[type].name,
+            coverage: coverage[type] || 0
+        }));
+
+        return {
+            value: this.city.stats.serviceCoverage,
+            label: `${this.city.stats.serviceCoverage}%`,
+            facilities
+        };
+    }
+
+    /**
+     * Residents within reach of a school, hospital, fire station and transit hub with room to serve them
+     * @returns {{types: Array<Object>, unservedResidents: number}}
+     */
+    getServiceAreas() {
+        const { types, unservedResidents } = this.serviceAreas.run();
+        return { types, unservedResidents };
+    }
+
+    /**
+     * Get road network size and connectivity
+     * @returns {{value: number, label: string, byClass: Object, intersections: number, deadEnds: number, segments: number, components: number}}
+     */
+    getRoadNetwork() {
+        const summary = this.city.roads.getSummary();
+        const km = Math.round(summary.length / 100) / 10;
+        const byClass = {};
+        Object.entries(summary.lengthByClass).forEach(([roadClass, length]) => {
+            byClass[roadClass] = Math.round(length / 100) / 10;
+        });
+
+        return {
+            value: km,
+            label: `${km} km`,
+            byClass,
+            intersections: summary.intersections,
+            deadEnds: summary.deadEnds,
+            segments: summary.edges,
+            components: summary.components
+        };
+    }
+
+    /**
+     * Per-district population, jobs, jobs-housing ratio, green coverage and sustainability,
+     * computed the same way as the citywide figures but over each district's cells
+     * @returns {Array<{id: string, name: string, color: string, area: number, population: number, jobs: number,
+     *   households: number, jobsHousingRatio: number|null, greenCoverage: number, sustainabilityScore: number}>}
+     */
+    getDistrictStats() {
+        const { districts, grid, gridSize } = this.city;
+        if (districts.list.length === 0) return [];
+
+        const sums = {};
+        districts.list.forEach(district => {
+            const landUse = {};
+            Object.keys(ZONE_TYPES).forEach(type => {
+                if (!ZONE_TYPES[type].composite) landUse[type] = 0;
+            });
+            sums[district.id] = { area: 0, mixed: 0, population: 0, jobs: 0, landUse };
+        });
+
+        for (let y = 0; y < gridSize; y++) {
+            for (let x = 0; x < gridSize; x++) {
+                const sum = sums[districts.getAt(x, y)];
+                if (!sum) continue;
+
+                const cell = grid[y][x];
+                const metrics = getCellMetrics(cell);
+                sum.area++;
+                sum.population += metrics.population;
+                sum.jobs += metrics.jobs;
+                if (cell.type === 'mixed') sum.mixed++;
+                Object.entries(getCellComposition(cell)).forEach(([type, share]) => {
+                    if (type in sum.landUse) sum.landUse[type] += share;
+                });
+            }
+        }
+
+        return districts.list.map(district => {
+            const sum = sums[district.id];
+            const built = sum.area - sum.landUse.empty;
+            const households = sum.population / JOBS_HOUSING.householdSize;
+            return {
+                id: district.id,
+                name: district.name,
+                color: district.color,
+                area: sum.area,
+                population: Math.round(sum.population),
+                jobs: Math.round(sum.jobs),
+                households: Math.round(households),
+                jobsHousingRatio: households > 0 ? Math.round(sum.jobs / households * 100) / 100 : null,
+                greenCoverage: built > 0 ? Math.round((sum.landUse.green / built) * 100) : 0,
+                sustainabilityScore: calculateSustainabilityScore(sum.landUse, sum.mixed)
+            };
+        });
+    }
+
     /**
      * Get zone distribution for charts
      */
@@ -145,7 +419,7 @@ export class Metrics {
             };
         }
 
-        const zones = ['residential', 'commercial', 'industrial', 'green', 'transit', 'road'];
+        const zones = Object.keys(ZONE_TYPES).filter(zone => zone !== 'empty');
         const labels = [];
         const data = [];
         const colors = [];
@@ -194,18 +468,21 @@ export class Metrics {
             });
         }
 
-        if (this.city.stats.transitScore < 60) {
+        if (this.getTransitScore().value < 60 && this.getModeSplit().trips > 0) {
             recommendations.push({
                 title: 'Expand Public Transit',
-                description: 'Add transit hubs and metro lines to reduce car dependency.',
+                description: `Only ${this.getModeSplit().shares.transit}% of trips go by transit. Run lines with frequent service through the densest neighborhoods.`,
                 impact: '+12 Transit Score, -8% Carbon'
             });
         }
 
-        if (this.city.stats.walkability < 50) {
+        const walkability = this.getWalkability();
+        if (walkability.value < 50) {
+            const missing = walkability.amenities.filter(a => a.coverage < 50);
             recommendations.push({
                 title: 'Improve Walkability',
-                description: 'Create pedestrian zones and mixed-use neighborhoods.',
+                description: `Only ${walkability.complete}% of residents reach every essential within a ${FIFTEEN_MINUTE_CITY.minutes}-minute walk.` +
+                    (missing.length > 0 ? ` Hardest to reach: ${missing.map(a => `${a.name} (${a.coverage}%)`).join(', ')}.` : ''),
                 impact: '+15 Walkability, +8 Sustainability'
             });
         }
@@ -218,6 +495,81 @@ export class Metrics {
             });
         }
 
+        const jobsHousing = this.getJobsHousing();
+        if (jobsHousing.balance !== 'balanced') {
+            const { min, max } = JOBS_HOUSING.balancedRatio;
+            recommendations.push({
+                title: 'Balance Jobs & Housing',
+                description: `There are ${jobsHousing.label} jobs per household, against ${min}-${max} for a balanced city. ` +
+                    (jobsHousing.balance === 'housing-rich'
+                        ? 'Add commercial and mixed-use zones near homes.'
+                        : 'Add homes near the job centers.'),
+                impact: '-Commute Length, -Traffic'
+            });
+        }
+
+        const airQuality = this.getAirQuality();
+        if (airQuality.exposed > 0) {
+            recommendations.push({
+                title: 'Keep Pollution Away from Homes',
+                description: `${formatNumber(airQuality.exposed)} residents (${airQuality.exposedShare}%) breathe more than ${AIR_DISPERSION.threshold} µg/m³. ` +
+                    'Move industry downwind of homes, plant green buffers between them or relieve congested roads.',
+                impact: '+Air Quality, +Health'
+            });
+        }
+
+        const loudest = this.getNoise().thresholds.filter(t => t.status === 'fair' || t.status === 'poor').pop();
+        if (loudest) {
+            recommendations.push({
+                title: 'Reduce Noise Exposure',
+                description: `${loudest.share}% of residents live above ${loudest.db} dB. Keep homes back from busy roads, industry and ` +
+                    'surface transit, or plant green buffers in between.',
+                impact: '+Health, -Noise Complaints'
+            });
+        }
+
+        const heat = this.getHeat();
+        if (heat.status === 'fair' || heat.status === 'poor') {
+            recommendations.push({
+                title: 'Cool the Hottest Neighborhoods',
+                description: `${formatNumber(heat.value)} residents (${heat.share}%) live at least ${URBAN_HEAT.vulnerableAbove}°C warmer than the countryside. ` +
+                    'Put parks and street trees where the heat is, among dense blocks, industry and wide roads.',
+                impact: '+Heat Resilience, +Health'
+            });
+        }
+
+        const roadNetwork = this.getRoadNetwork();
+        if (roadNetwork.components > 1) {
+            recommendations.push({
+                title: 'Connect the Road Network',
+                description: `${roadNetwork.components - 1} road section${roadNetwork.components > 2 ? 's are' : ' is'} cut off from the rest of the network.`,
+                impact: '+Accessibility, +Traffic Flow'
+            });
+        }
+
+        // Only flag services once there are residents to serve
+        if (this.city.stats.population > 0) {
+            const gaps = this.getServiceCoverage().facilities.filter(f => f.coverage < 80);
+            if (gaps.length > 0) {
+                recommendations.push({
+                    title: 'Close Service Gaps',
+                    description: `Add capacity for: ${gaps.map(f => `${f.name} (${f.coverage}%)`).join(', ')}.`,
+                    impact: '+Service Coverage, +Sustainability'
+                });
+            }
+
+            const serviceAreas = this.getServiceAreas();
+            if (serviceAreas.unservedResidents > 0) {
+                const outside = serviceAreas.types.filter(t => t.unserved > 0);
+                recommendations.push({
+                    title: 'Reach Unserved Residents',
+                    description: `${formatNumber(serviceAreas.unservedResidents)} residents live outside a service area with room for them: ` +
+                        `${outside.map(t => `${t.name} (${formatNumber(t.unserved)})`).join(', ')}.`,
+                    impact: '+Service Coverage, +Equity'
+                });
+            }
+        }
+
         return recommendations;
     }
 }
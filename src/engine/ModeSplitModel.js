@@ -0,0 +1,394 @@
+/* ========================================
+   Smart City Planner - Mode Split Model
+   Peak-hour trips divided between car, transit, bike and walking,
+   with the riders each transit line and station gets
+   ======================================== */
+
+import { TRAFFIC_MODEL, MODE_CHOICE, TRANSIT_MODES } from '../utils/constants.js';
+import { clamp } from '../utils/helpers.js';
+import { getCellMetrics, getCellDestinationJobs } from '../utils/zoneUtils.js';
+import { MinHeap } from './RoadNetwork.js';
+
+// Candidate boarding stations considered per zone
+const MAX_ACCESS_STATIONS = 8;
+
+export class ModeSplitModel {
+    constructor(cityModel) {
+        this.city = cityModel;
+        this.results = null;
+    }
+
+    /**
+     * Run the model for the morning peak hour, reusing the last run until the grid or the transit lines change
+     * @returns {Object} Peak-hour results
+     */
+    run() {
+        const { transitLines, gridSize, cellSize } = this.city;
+        if (this.results && this.results.revision === this.city.revision &&
+            this.results.transitLines === transitLines && this.results.linesRevision === transitLines.revision) {
+            return this.results;
+        }
+
+        const blockSize = Math.max(1, Math.ceil(gridSize / TRAFFIC_MODEL.maxZonesPerSide));
+        const zones = this.buildZones(blockSize);
+        const network = this.buildTransitNetwork();
+        zones.forEach(zone => { zone.stations = this.getAccessStations(zone, network); });
+
+        const tripsByMode = Object.fromEntries(MODE_CHOICE.modes.map(mode => [mode, 0]));
+        const carShares = new Float64Array(Math.ceil(gridSize / blockSize) ** 2);
+        const boardings = new Float64Array(network.stops.length);
+        const segmentLoads = new Map();
+        const destinations = zones.filter(zone => zone.attractions > 0);
+        const intrazonalKm = blockSize * cellSize / 1000 / 3;
+        let trips = 0;
+        let personKm = 0;
+
+        zones.forEach(origin => {
+            if (origin.productions === 0) return;
+
+            // Gravity distribution by straight-line distance
+            const weighted = destinations.map(destination => {
+                const km = destination === origin
+                    ? intrazonalKm
+                    : Math.hypot(destination.x - origin.x, destination.y - origin.y) * cellSize / 1000;
+                return { destination, km, weight: destination.attractions * Math.exp(-MODE_CHOICE.distanceDecay * km) };
+            });
+            const total = weighted.reduce((sum, w) => sum + w.weight, 0);
+            if (total === 0) return;
+
+            let carTrips = 0;
+            weighted.forEach(({ destination, km, weight }) => {
+                const pairTrips = origin.productions * weight / total;
+                const path = this.getTransitPath(origin, destination, network);
+                const shares = getModeShares(km, path ? path.minutes : null);
+
+                MODE_CHOICE.modes.forEach(mode => { tripsByMode[mode] += pairTrips * shares[mode]; });
+                if (path && shares.transit > 0) {
+                    this.loadTransitPath(path, pairTrips * shares.transit, network, boardings, segmentLoads);
+                }
+                carTrips += pairTrips * shares.car;
+                personKm += pairTrips * km * MODE_CHOICE.circuity;
+            });
+
+            carShares[origin.block] = carTrips / origin.productions;
+            trips += origin.productions;
+        });
+
+        const shares = getPercentages(tripsByMode, trips);
+        this.results = {
+            revision: this.city.revision,
+            transitLines,
+            linesRevision: transitLines.revision,
+            blockSize,
+            carShares,
+            trips: Math.round(trips),
+            tripsByMode: Object.fromEntries(Object.entries(tripsByMode).map(([mode, count]) => [mode, Math.round(count)])),
+            shares,
+            avgTripKm: trips > 0 ? Math.round(personKm / trips * 10) / 10 : 0,
+            coverage: this.getStationCoverage(network),
+            lines: this.getLineRidership(network, boardings, segmentLoads),
+            stations: this.getStationBoardings(network, boardings),
+            transitScore: Math.round(clamp(shares.transit / 100 / MODE_CHOICE.fullScoreTransitShare, 0, 1) * 100)
+        };
+        return this.results;
+    }
+
+    /**
+     * Square zones, on the same blocks as the traffic model, with peak-hour person trip
+     * productions (homes), attractions (commercial and industrial jobs) and an activity centroid
+     * @param {number} blockSize - Cells per zone side
+     * @returns {Array<Object>}
+     */
+    buildZones(blockSize) {
+        const { grid, gridSize } = this.city;
+        const blocksPerSide = Math.ceil(gridSize / blockSize);
+        const zones = [];
+
+        for (let by = 0; by < gridSize; by += blockSize) {
+            for (let bx = 0; bx < gridSize; bx += blockSize) {
+                let productions = 0;
+                let attractions = 0;
+                let weight = 0;
+                let cx = 0;
+                let cy = 0;
+
+                for (let y = by; y < Math.min(gridSize, by + blockSize); y++) {
+                    for (let x = bx; x < Math.min(gridSize, bx + blockSize); x++) {
+                        const cell = grid[y][x];
+                        const cellProductions = getCellMetrics(cell).population * MODE_CHOICE.peakTripRate;
+                        const cellAttractions = getCellDestinationJobs(cell);
+                        productions += cellProductions;
+                        attractions += cellAttractions;
+
+                        const activity = cellProductions + cellAttractions * MODE_CHOICE.peakTripRate;
+                        weight += activity;
+                        cx += (x + 0.5) * activity;
+                        cy += (y + 0.5) * activity;
+                    }
+                }
+
+                if (weight === 0) continue;
+                zones.push({
+                    block: (by / blockSize) * blocksPerSide + bx / blockSize,
+                    x: cx / weight,
+                    y: cy / weight,
+                    productions,
+                    attractions
+                });
+            }
+        }
+
+        return zones;
+    }
+
+    /**
+     * Stops of every line with two or more stations, the rides between them and the
+     * transfers between lines at shared stations, with generalized minutes between every
+     * pair of stops: the first wait, riding, dwelling and any transfers
+     * @returns {{stops: Array<Object>, cost: Float64Array, previous: Int32Array}}
+     */
+    buildTransitNetwork() {
+        const { cellSize } = this.city;
+        const weight = MODE_CHOICE.outOfVehicleWeight;
+        const stops = [];
+        const links = [];
+        const atCell = new Map();
+
+        this.city.transitLines.list.forEach(line => {
+            if (line.stations.length < 2) return;
+            const speed = TRANSIT_MODES[line.mode].speed;
+
+            line.stations.forEach(({ x, y }, index) => {
+                const id = stops.length;
+                stops.push({ id, line, index, x, y });
+                links.push([]);
+
+                if (index > 0) {
+                    const previous = line.stations[index - 1];
+                    const dx = Math.abs(x - previous.x);
+                    const dy = Math.abs(y - previous.y);
+                    // Octilinear, as the line is drawn
+                    const cells = Math.min(dx, dy) * Math.SQRT2 + Math.abs(dx - dy);
+                    const minutes = cells * cellSize / 1000 / speed * 60 + MODE_CHOICE.stopDwellSeconds / 60;
+                    links[id - 1].push({ to: id, minutes });
+                    links[id].push({ to: id - 1, minutes });
+                }
+
+                const key = `${x},${y}`;
+                if (!atCell.has(key)) atCell.set(key, []);
+                atCell.get(key).push(id);
+            });
+        });
+
+        atCell.forEach(ids => ids.forEach(from => ids.forEach(to => {
+            if (stops[from].line === stops[to].line) return;
+            links[from].push({ to, minutes: weight * (MODE_CHOICE.transferMinutes + stops[to].line.headway / 2) });
+        })));
+
+        const size = stops.length;
+        const cost = new Float64Array(size * size).fill(Infinity);
+        const previous = new Int32Array(size * size).fill(-1);
+        stops.forEach(source => {
+            const row = source.id * size;
+            const queue = new MinHeap();
+            cost[row + source.id] = weight * source.line.headway / 2;
+            queue.push(source.id, cost[row + source.id]);
+
+            while (queue.size > 0) {
+                const { item: stop, priority } = queue.pop();
+                if (priority > cost[row + stop]) continue;
+                links[stop].forEach(({ to, minutes }) => {
+                    if (priority + minutes < cost[row + to]) {
+                        cost[row + to] = priority + minutes;
+                        previous[row + to] = stop;
+                        queue.push(to, cost[row + to]);
+                    }
+                });
+            }
+        });
+
+        return { stops, cost, previous };
+    }
+
+    /**
+     * Nearest stops within walking distance of a zone's centroid
+     * @returns {Array<{stop: number, minutes: number}>} Walking minutes
+     */
+    getAccessStations(zone, network) {
+        const cellSize = this.city.cellSize;
+        return network.stops
+            .map(stop => ({ stop: stop.id, cells: Math.abs(stop.x + 0.5 - zone.x) + Math.abs(stop.y + 0.5 - zone.y) }))
+            .filter(s => s.cells <= MODE_CHOICE.stationWalkCells)
+            .sort((a, b) => a.cells - b.cells)
+            .slice(0, MAX_ACCESS_STATIONS)
+            .map(s => ({ stop: s.stop, minutes: s.cells * cellSize / 1000 / MODE_CHOICE.walkSpeed * 60 }));
+    }
+
+    /**
+     * Best transit journey between two zones in generalized minutes, walking both ends
+     * @returns {{from: number, to: number, minutes: number}|null} Null when no line serves the pair
+     */
+    getTransitPath(origin, destination, network) {
+        const size = network.stops.length;
+        const weight = MODE_CHOICE.outOfVehicleWeight;
+        let best = null;
+
+        origin.stations.forEach(board => {
+            const from = network.stops[board.stop];
+            destination.stations.forEach(alight => {
+                const to = network.stops[alight.stop];
+                // Walking beats riding between stops at the same station
+                if (from.x === to.x && from.y === to.y) return;
+
+                const minutes = weight * (board.minutes + alight.minutes) + network.cost[board.stop * size + alight.stop];
+                if (minutes < (best?.minutes ?? Infinity)) {
+                    best = { from: board.stop, to: alight.stop, minutes };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Add riders to the boardings and directional segment loads along a journey
+     */
+    loadTransitPath(path, riders, network, boardings, segmentLoads) {
+        const size = network.stops.length;
+        const row = path.from * size;
+        const sequence = [path.to];
+        while (sequence[0] !== path.from) sequence.unshift(network.previous[row + sequence[0]]);
+
+        boardings[path.from] += riders;
+        for (let i = 1; i < sequence.length; i++) {
+            const from = sequence[i - 1];
+            const to = sequence[i];
+            if (network.stops[from].line === network.stops[to].line) {
+                const key = from * size + to;
+                segmentLoads.set(key, (segmentLoads.get(key) || 0) + riders);
+            } else {
+                boardings[to] += riders;
+            }
+        }
+    }
+
+    /**
+     * Riders per hour on every line, and its busiest segment against its capacity
+     * @returns {Array<Object>}
+     */
+    getLineRidership(network, boardings, segmentLoads) {
+        const size = network.stops.length;
+        return this.city.transitLines.list.map(line => {
+            const mode = TRANSIT_MODES[line.mode];
+            let riders = 0;
+            network.stops.forEach(stop => {
+                if (stop.line === line) riders += boardings[stop.id];
+            });
+
+            let peakLoad = 0;
+            segmentLoads.forEach((load, key) => {
+                if (network.stops[Math.floor(key / size)].line === line) peakLoad = Math.max(peakLoad, load);
+            });
+
+            const capacity = Math.round(mode.vehicleCapacity * 60 / line.headway);
+            return {
+                id: line.id,
+                name: line.name,
+                color: line.color,
+                mode: line.mode,
+                riders: Math.round(riders),
+                peakLoad: Math.round(peakLoad),
+                capacity,
+                loadFactor: Math.round(peakLoad / capacity * 100)
+            };
+        });
+    }
+
+    /**
+     * Boardings per hour at every station, busiest first
+     * @returns {Array<{x: number, y: number, lines: Array<string>, boardings: number}>}
+     */
+    getStationBoardings(network, boardings) {
+        const byCell = new Map();
+        network.stops.forEach(stop => {
+            const key = `${stop.x},${stop.y}`;
+            if (!byCell.has(key)) byCell.set(key, { x: stop.x, y: stop.y, lines: [], boardings: 0 });
+            const station = byCell.get(key);
+            if (!station.lines.includes(stop.line.id)) station.lines.push(stop.line.id);
+            station.boardings += boardings[stop.id];
+        });
+
+        return [...byCell.values()]
+            .map(station => ({ ...station, boardings: Math.round(station.boardings) }))
+            .sort((a, b) => b.boardings - a.boardings);
+    }
+
+    /**
+     * Share of residents within walking distance of a station
+     * @returns {number} Percentage
+     */
+    getStationCoverage(network) {
+        const { grid, gridSize } = this.city;
+        if (network.stops.length === 0) return 0;
+
+        const stations = new Set(network.stops.map(stop => stop.y * gridSize + stop.x));
+        const distances = this.city.distanceField(index => stations.has(index));
+        let covered = 0;
+        let total = 0;
+        for (let y = 0; y < gridSize; y++) {
+            for (let x = 0; x < gridSize; x++) {
+                const population = getCellMetrics(grid[y][x]).population;
+                total += population;
+                if (distances[y * gridSize + x] <= MODE_CHOICE.stationWalkCells) covered += population;
+            }
+        }
+        return total > 0 ? Math.round(covered / total * 100) : 0;
+    }
+}
+
+/**
+ * Multinomial logit shares for a trip; transit is left out where no line serves it
+ * @param {number} km - Straight-line distance
+ * @param {number|null} transitMinutes - Generalized minutes by transit
+ * @returns {Object} Mode -> share
+ */
+function getModeShares(km, transitMinutes) {
+    const pathKm = km * MODE_CHOICE.circuity;
+    const minutes = {
+        car: pathKm / MODE_CHOICE.carSpeed * 60 + MODE_CHOICE.carTerminalMinutes * MODE_CHOICE.outOfVehicleWeight,
+        transit: transitMinutes,
+        bike: pathKm / MODE_CHOICE.bikeSpeed * 60,
+        walk: pathKm / MODE_CHOICE.walkSpeed * 60
+    };
+
+    const utilities = {};
+    MODE_CHOICE.modes.forEach(mode => {
+        utilities[mode] = minutes[mode] === null
+            ? -Infinity
+            : MODE_CHOICE.constants[mode] + MODE_CHOICE.timeWeight * minutes[mode];
+    });
+
+    const best = Math.max(...Object.values(utilities));
+    const exponents = Object.fromEntries(Object.entries(utilities).map(([mode, u]) => [mode, Math.exp(u - best)]));
+    const total = Object.values(exponents).reduce((sum, e) => sum + e, 0);
+    return Object.fromEntries(Object.entries(exponents).map(([mode, e]) => [mode, e / total]));
+}
+
+/**
+ * Whole-number percentages of a total that sum to 100
+ * @param {Object} counts - Key -> count
+ * @param {number} total
+ * @returns {Object} Key -> percentage
+ */
+function getPercentages(counts, total) {
+    const keys = Object.keys(counts);
+    if (total <= 0) return Object.fromEntries(keys.map(key => [key, 0]));
+
+    const exact = keys.map(key => counts[key] / total * 100);
+    const rounded = exact.map(Math.floor);
+    // Hand the leftover points to the largest remainders
+    const order = keys.map((_, i) => i).sort((a, b) => (exact[b] - rounded[b]) - (exact[a] - rounded[a]));
+    const leftover = 100 - rounded.reduce((sum, v) => sum + v, 0);
+    for (let i = 0; i < leftover; i++) rounded[order[i]]++;
+    return Object.fromEntries(keys.map((key, i) => [key, rounded[i]]));
+}
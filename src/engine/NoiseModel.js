@@ -0,0 +1,190 @@
+/* ========================================
+   Smart City Planner - Noise Model
+   Sound levels from roads, industry and transit lines
+   across the grid, and the residents exposed to them
+   ======================================== */
+
+import { NOISE, ROAD_CLASSES, TRANSIT_MODES, DEFAULT_TRANSIT_MODE, DENSITY_LEVELS, HOURLY_TRAFFIC_PROFILE } from '../utils/constants.js';
+import { getCellMetrics, getCellComposition, getCellDensity, getCellRoadClass } from '../utils/zoneUtils.js';
+import { TrafficModel } from './TrafficModel.js';
+import { ModeSplitModel } from './ModeSplitModel.js';
+
+// Samples of green cover taken along the way from a source to a cell
+const GREEN_SAMPLES = 8;
+
+export class NoiseModel {
+    /**
+     * @param {CityModel} cityModel
+     * @param {TrafficModel} [traffic] - Peak-hour road volumes
+     */
+    constructor(cityModel, traffic = new TrafficModel(cityModel, new ModeSplitModel(cityModel))) {
+        this.city = cityModel;
+        this.traffic = traffic;
+        this.results = null;
+    }
+
+    /**
+     * Sum every source's level at every cell, reusing the last run until the city or its traffic changes
+     * @returns {{revision: number, traffic: Object, levels: Float64Array, residents: number,
+     *   thresholds: Array<{db: number, residents: number, share: number}>}} dB(A) per cell, row-major, and the
+     *   residents above each of NOISE.thresholds
+     */
+    run() {
+        const traffic = this.traffic.run();
+        if (this.results && this.results.revision === this.city.revision && this.results.traffic === traffic) {
+            return this.results;
+        }
+
+        const { gridSize: size, grid } = this.city;
+        const levels = this.propagate(this.getSources(traffic));
+
+        let residents = 0;
+        const above = NOISE.thresholds.map(() => 0);
+        for (let index = 0; index < size * size; index++) {
+            const population = getCellMetrics(grid[Math.floor(index / size)][index % size]).population;
+            residents += population;
+            NOISE.thresholds.forEach(({ db }, i) => {
+                if (levels[index] > db) above[i] += population;
+            });
+        }
+
+        this.results = {
+            revision: this.city.revision,
+            traffic,
+            levels,
+            residents: Math.round(residents),
+            thresholds: NOISE.thresholds.map(({ db }, i) => ({
+                db,
+                residents: Math.round(above[i]),
+                share: residents > 0 ? Math.round(above[i] / residents * 100) : 0
+            }))
+        };
+        return this.results;
+    }
+
+    /**
+     * Sound energy of every source cell, scaled so that the sum over a line of cells gives the
+     * line's level at 10 m, and a single cell gives a point's
+     * @param {Object} traffic - TrafficModel results
+     * @returns {Array<{index: number, energy: number}>}
+     */
+    getSources(traffic) {
+        const { gridSize: size, grid, cellSize, roads, transitLines } = this.city;
+        const energy = new Float64Array(size * size);
+        // Point source heard at its level 10 m away; a line of cells summed over its length
+        const pointEnergy = db => 100 * 10 ** (db / 10);
+        const lineEnergy = db => 10 * cellSize / Math.PI * 10 ** (db / 10);
+
+        // Roads carry their busiest segment's traffic, averaged over the day
+        const dayFactor = HOURLY_TRAFFIC_PROFILE.reduce((sum, factor) => sum + factor, 0) / HOURLY_TRAFFIC_PROFILE.length;
+        const vehicles = new Map();
+        traffic.edges.forEach(({ volume }, id) => {
+            const edge = roads.edges.get(id);
+            if (!edge) return;
+            edge.cells.forEach(index => vehicles.set(index, Math.max(vehicles.get(index) || 0, volume * dayFactor)));
+        });
+
+        for (let index = 0; index < size * size; index++) {
+            const cell = grid[Math.floor(index / size)][index % size];
+            const roadClass = getCellRoadClass(cell);
+            if (roadClass) {
+                const { level, vehicles: baseVehicles, speed, minVehicles } = NOISE.road;
+                const flow = Math.max(vehicles.get(index) || 0, minVehicles);
+                energy[index] += lineEnergy(level + 10 * Math.log10(flow / baseVehicles) + 30 * Math.log10(ROAD_CLASSES[roadClass].speed / speed));
+            }
+
+            const industrial = getCellComposition(cell).industrial || 0;
+            if (industrial > 0) {
+                const density = getCellDensity(cell);
+                // Given per hectare, so the same land makes the same noise whatever the cell size
+                energy[index] += pointEnergy(NOISE.industrial) * industrial * (density ? DENSITY_LEVELS[density].multiplier : 1) *
+                    cellSize * cellSize / 10000;
+            }
+        }
+
+        // Transit lines along the legs as drawn: diagonal first, then straight
+        transitLines.list.forEach(line => {
+            const mode = TRANSIT_MODES[line.mode] ? line.mode : DEFAULT_TRANSIT_MODE;
+            const legEnergy = lineEnergy(NOISE.transit.levels[mode] + 10 * Math.log10(NOISE.transit.headway / line.headway));
+            for (let i = 1; i < line.stations.length; i++) {
+                const a = line.stations[i - 1];
+                const b = line.stations[i];
+                const stepX = Math.sign(b.x - a.x);
+                const stepY = Math.sign(b.y - a.y);
+                const diagonal = Math.min(Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+                let x = a.x;
+                let y = a.y;
+                // Each leg adds its cells except the last, which the next leg starts from
+                while (x !== b.x || y !== b.y) {
+                    energy[y * size + x] += legEnergy;
+                    if (Math.abs(x - a.x) < diagonal) {
+                        x += stepX;
+                        y += stepY;
+                    } else if (x !== b.x) {
+                        x += stepX;
+                    } else {
+                        y += stepY;
+                    }
+                }
+                if (i === line.stations.length - 1) energy[b.y * size + b.x] += legEnergy;
+            }
+        });
+
+        const sources = [];
+        energy.forEach((value, index) => {
+            if (value > 0) sources.push({ index, energy: value });
+        });
+        return sources;
+    }
+
+    /**
+     * Level at every cell from every source within NOISE.maxDistance: energy falls with the square
+     * of the distance, and green space on the way takes more off
+     * @param {Array<{index: number, energy: number}>} sources
+     * @returns {Float64Array} dB(A) per cell
+     */
+    propagate(sources) {
+        const { gridSize: size, grid, cellSize } = this.city;
+        const { maxDistance, greenDbPerMeter, maxGreenDb, background } = NOISE;
+        const reach = Math.floor(maxDistance / cellSize);
+        // A source is never closer than the middle of its own cell, nor than the 10 m its level is given at
+        const nearest = Math.max(10, cellSize / 2);
+
+        const green = new Float64Array(size * size);
+        let anyGreen = false;
+        for (let index = 0; index < size * size; index++) {
+            green[index] = getCellComposition(grid[Math.floor(index / size)][index % size]).green || 0;
+            if (green[index] > 0) anyGreen = true;
+        }
+
+        const energy = new Float64Array(size * size).fill(10 ** (background / 10));
+        sources.forEach(source => {
+            const sx = source.index % size;
+            const sy = Math.floor(source.index / size);
+
+            for (let y = Math.max(0, sy - reach); y <= Math.min(size - 1, sy + reach); y++) {
+                for (let x = Math.max(0, sx - reach); x <= Math.min(size - 1, sx + reach); x++) {
+                    const cells = Math.hypot(x - sx, y - sy);
+                    const meters = Math.max(nearest, cells * cellSize);
+                    if (meters > maxDistance) continue;
+
+                    let received = source.energy / (meters * meters);
+                    if (anyGreen && cells > 0) {
+                        // Share of the way covered by green, sampled between the two cells
+                        const samples = Math.min(GREEN_SAMPLES, Math.ceil(cells));
+                        let cover = 0;
+                        for (let k = 0; k < samples; k++) {
+                            const t = (k + 0.5) / samples;
+                            cover += green[Math.round(sy + (y - sy) * t) * size + Math.round(sx + (x - sx) * t)];
+                        }
+                        const db = Math.min(maxGreenDb, cover / samples * cells * cellSize * greenDbPerMeter);
+                        received *= 10 ** (-db / 10);
+                    }
+                    energy[y * size + x] += received;
+                }
+            }
+        });
+
+        return energy.map(value => 10 * Math.log10(value));
+    }
+}
@@ -0,0 +1,273 @@
+/* ========================================
+   Smart City Planner - Zone Ratio Balancer
+   Iteratively converts cells until the zone mix
+   matches the requested ratios
+   ======================================== */
+
+// Zone types that generation parameters control, keyed by their ratio parameter
+export const RATIO_PARAMS = {
+    residential: 'residentialRatio',
+    commercial: 'commercialRatio',
+    industrial: 'industrialRatio',
+    green: 'greenRatio',
+    transit: 'transitRatio',
+    road: 'roadRatio'
+};
+
+const NEIGHBORS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const NEIGHBORS_8 = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Road cells explored when checking that a removal keeps the network connected
+const CONNECTIVITY_SEARCH_LIMIT = 600;
+
+/**
+ * Turn generation params into target shares of the whole grid.
+ * Whatever the ratios leave over is the target for empty land.
+ * @param {Object} params
+ * @param {number} available - Share of the grid that can be zoned (0-1)
+ * @returns {Object} Zone type -> share (0-1)
+ */
+export function getTargetRatios(params, available = 1) {
+    const targets = {};
+    let total = 0;
+
+    Object.entries(RATIO_PARAMS).forEach(([type, key]) => {
+        targets[type] = Math.max(0, params[key] || 0);
+        total += targets[type];
+    });
+
+    // Ratios that overshoot the grid are scaled down proportionally
+    if (total > 1) {
+        Object.keys(targets).forEach(type => { targets[type] /= total; });
+        total = 1;
+    }
+
+    // Ratios describe buildable land; unbuildable cells add to empty
+    Object.keys(targets).forEach(type => { targets[type] *= available; });
+
+    targets.empty = 1 - total * available;
+    return targets;
+}
+
+/**
+ * Compare target and achieved land-use shares
+ * @param {CityModel} city
+ * @param {Object} targets - From getTargetRatios
+ * @param {number} tolerance - Allowed absolute error per zone type (0-1)
+ * @param {number} iterations - Rebalancing iterations used, 0 when not balanced
+ * @returns {Object}
+ */
+export function buildRatioReport(city, targets, tolerance, iterations = 0) {
+    const total = city.gridSize * city.gridSize;
+    const zones = Object.keys(targets).map(type => {
+        const target = targets[type];
+        const achieved = (city.landUse[type] || 0) / total;
+        return {
+            type,
+            target: Math.round(target * 1000) / 1000,
+            achieved: Math.round(achieved * 1000) / 1000,
+            error: Math.round((achieved - target) * 1000) / 1000
+        };
+    });
+    const maxError = Math.max(...zones.map(z => Math.abs(z.error)));
+
+    return {
+        zones,
+        tolerance,
+        maxError,
+        converged: maxError <= tolerance + 1e-9,
+        iterations
+    };
+}
+
+/**
+ * Rebalance the grid towards the target shares
+ * @param {CityModel} city
+ * @param {Object} targets - From getTargetRatios
+ * @param {Object} options
+ * @param {number} options.tolerance - Allowed absolute error per zone type (0-1)
+ * @param {number} options.maxIterations
+ * @returns {number} Iterations used
+ */
+export function balanceRatios(city, targets, { tolerance = 0.02, maxIterations = 60 } = {}) {
+    const total = city.gridSize * city.gridSize;
+    const types = Object.keys(targets);
+    const blocked = new Set();
+    let iterations = 0;
+
+    while (iterations < maxIterations) {
+        const diffs = types.map(type => ({
+            type,
+            diff: (city.distribution[type] || 0) - Math.round(targets[type] * total)
+        }));
+
+        if (diffs.every(d => Math.abs(d.diff) / total <= tolerance)) break;
+
+        // Largest deficit filled from the largest surplus that can still give cells
+        const deficits = diffs.filter(d => d.diff < 0).sort((a, b) => a.diff - b.diff);
+        const surpluses = diffs.filter(d => d.diff > 0).sort((a, b) => b.diff - a.diff);
+        let pair = null;
+        for (const deficit of deficits) {
+            const surplus = surpluses.find(s => !blocked.has(`${s.type}>${deficit.type}`));
+            if (surplus) {
+                pair = { from: surplus, to: deficit };
+                break;
+            }
+        }
+        if (!pair) break;
+
+        iterations++;
+        let amount = Math.min(pair.from.diff, -pair.to.diff);
+
+        // New roads are laid a few at a time so they extend lines rather than pave blocks
+        if (pair.to.type === 'road') {
+            amount = Math.max(1, Math.ceil(amount / 4));
+        }
+
+        const moved = pair.from.type === 'road'
+            ? removeRoads(city, pair.to.type, amount)
+            : convertCells(city, pair.from.type, pair.to.type, amount);
+
+        if (moved === 0) {
+            blocked.add(`${pair.from.type}>${pair.to.type}`);
+        }
+    }
+
+    return iterations;
+}
+
+/**
+ * Convert the cells of one type that best suit another type
+ */
+function convertCells(city, from, to, amount) {
+    const candidates = [];
+
+    for (let y = 0; y < city.gridSize; y++) {
+        for (let x = 0; x < city.gridSize; x++) {
+            if (city.grid[y][x].type !== from) continue;
+
+            const score = to === 'road'
+                ? roadSuitability(city, x, y)
+                : NEIGHBORS_8.filter(([dx, dy]) => city.getZone(x + dx, y + dy)?.type === to).length;
+
+            if (to === 'road' && score === 0) continue;
+            candidates.push({ x, y, score: score + city.random() * 0.5 });
+        }
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    let moved = 0;
+    for (const cell of candidates) {
+        if (moved >= amount) break;
+        if (city.setZone(cell.x, cell.y, to)) moved++;
+    }
+    return moved;
+}
+
+/**
+ * How well a cell continues the road network:
+ * 3 = closes a gap, 2 = extends a straight road, 1 = touches a road, 0 = isolated
+ */
+function roadSuitability(city, x, y) {
+    const isRoad = (cx, cy) => city.getZone(cx, cy)?.type === 'road';
+
+    if ((isRoad(x - 1, y) && isRoad(x + 1, y)) || (isRoad(x, y - 1) && isRoad(x, y + 1))) return 3;
+    if (NEIGHBORS_4.some(([dx, dy]) => isRoad(x + dx, y + dy) && isRoad(x + 2 * dx, y + 2 * dy))) return 2;
+    if (NEIGHBORS_4.some(([dx, dy]) => isRoad(x + dx, y + dy))) return 1;
+    return 0;
+}
+
+/**
+ * Most common non-road zone around a cell
+ */
+function surroundingZone(city, x, y, fallback) {
+    const counts = {};
+    NEIGHBORS_8.forEach(([dx, dy]) => {
+        const type = city.getZone(x + dx, y + dy)?.type;
+        if (type && type !== 'road') counts[type] = (counts[type] || 0) + 1;
+    });
+
+    const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return best ? best[0] : fallback;
+}
+
+/**
+ * Remove road cells without disconnecting the network.
+ * Dead ends left behind by a removal are pruned first so whole
+ * segments disappear instead of leaving stubs. Freed cells blend into
+ * their surroundings; later iterations move that surplus on to `to`.
+ */
+function removeRoads(city, to, amount) {
+    const roadNeighbors = (x, y) => NEIGHBORS_4
+        .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+        .filter(n => city.getZone(n.x, n.y)?.type === 'road');
+
+    const tryRemove = (x, y) => {
+        if (city.getZone(x, y)?.type !== 'road') return null;
+        const neighbors = roadNeighbors(x, y);
+        if (neighbors.length > 1 && !staysConnected(city, x, y, neighbors)) return null;
+        return city.setZone(x, y, surroundingZone(city, x, y, to)) ? neighbors : null;
+    };
+
+    const candidates = [];
+    for (let y = 0; y < city.gridSize; y++) {
+        for (let x = 0; x < city.gridSize; x++) {
+            if (city.grid[y][x].type === 'road') candidates.push({ x, y, order: city.random() });
+        }
+    }
+    candidates.sort((a, b) => a.order - b.order);
+
+    let moved = 0;
+    const deadEnds = [];
+
+    for (const cell of candidates) {
+        while (deadEnds.length > 0 && moved < amount) {
+            const next = deadEnds.pop();
+            if (roadNeighbors(next.x, next.y).length > 1) continue;
+            const freed = tryRemove(next.x, next.y);
+            if (freed) {
+                moved++;
+                deadEnds.push(...freed);
+            }
+        }
+        if (moved >= amount) break;
+
+        const freed = tryRemove(cell.x, cell.y);
+        if (freed) {
+            moved++;
+            deadEnds.push(...freed);
+        }
+    }
+
+    return moved;
+}
+
+/**
+ * Check that all road neighbors of a cell can still reach each other
+ * once the cell is removed, searching a bounded neighborhood
+ */
+function staysConnected(city, x, y, neighbors) {
+    const size = city.gridSize;
+    const key = (cx, cy) => cy * size + cx;
+    const targets = new Set(neighbors.slice(1).map(n => key(n.x, n.y)));
+    const visited = new Set([key(x, y), key(neighbors[0].x, neighbors[0].y)]);
+    const queue = [neighbors[0]];
+
+    while (queue.length > 0 && visited.size < CONNECTIVITY_SEARCH_LIMIT) {
+        const current = queue.shift();
+        targets.delete(key(current.x, current.y));
+        if (targets.size === 0) return true;
+
+        for (const [dx, dy] of NEIGHBORS_4) {
+            const nx = current.x + dx;
+            const ny = current.y + dy;
+            const k = key(nx, ny);
+            if (visited.has(k) || city.getZone(nx, ny)?.type !== 'road') continue;
+            visited.add(k);
+            queue.push({ x: nx, y: ny });
+        }
+    }
+
+    return targets.size === 0;
+}
@@ -2,8 +2,30 @@
    Smart City Planner - Canvas Renderer
    ======================================== */
 
-import { ZONE_TYPES, LAYER_COLORS, ANIMATION } from '../utils/constants.js';
+import { ZONE_TYPES, LAYER_COLORS, ANIMATION, DENSITY_LEVELS, TERRAIN_TYPES, ROAD_CLASSES, DEFAULT_ROAD_CLASS, TRAFFIC_MODEL, SIGNAL_SETTINGS, TRANSIT_MODES, DEFAULT_TRANSIT_MODE, ISOCHRONE_BANDS, FIFTEEN_MINUTE_CITY, ACCESSIBILITY, AIR_DISPERSION, NOISE, URBAN_HEAT } from '../utils/constants.js';
 import { clamp, hexToRgba, lerpColor, mapRange } from '../utils/helpers.js';
+import { getCellDensity, getCellMetrics, getCellComposition, getCellRoadClass } from '../utils/zoneUtils.js';
+import { getCongestionLevel } from './TrafficModel.js';
+
+// Congestion levels drawn with the traffic palette
+const CONGESTION_COLORS = {
+    light: LAYER_COLORS.traffic.low,
+    moderate: LAYER_COLORS.traffic.medium,
+    heavy: LAYER_COLORS.traffic.high
+};
+
+// Level of service drawn on the same palette: A-C flow, D-E strain, F fails
+const LEVEL_OF_SERVICE_COLORS = {
+    A: CONGESTION_COLORS.light,
+    B: CONGESTION_COLORS.light,
+    C: CONGESTION_COLORS.light,
+    D: CONGESTION_COLORS.moderate,
+    E: CONGESTION_COLORS.moderate,
+    F: CONGESTION_COLORS.heavy
+};
+
+// Population of the densest possible cell, used to normalize the heatmap
+const MAX_CELL_POPULATION = ZONE_TYPES.residential.population * Math.max(...Object.values(DENSITY_LEVELS).map(d => d.multiplier));
 
 export class Renderer {
     constructor(canvas, cityModel) {
@@ -19,24 +41,66 @@ export class Renderer {
 
         // Layer visibility
         this.layers = {
+            terrain: true,
             zones: true,
             roads: true,
             traffic: false,
+            congestion: false,
             population: false,
             energy: false,
-            transit: false
+            transit: false,
+            isochrones: false,
+            fifteenMinute: false,
+            unserved: false,
+            pollution: false,
+            noise: false,
+            heat: false,
+            ...Object.fromEntries(Object.values(ACCESSIBILITY.targets).map(target => [target.layer, false])),
+            districts: true
         };
 
         // Animation state
         this.animationFrame = null;
-        this.particles = [];
         this.time = 0;
 
+        // Vehicles driving the modeled routes, and how busy the roads are relative to the morning peak
+        this.vehicles = [];
+        this.vehicleRoutes = null;
+        this.routeWeights = [];
+        this.trafficLevel = 1;
+        this.trafficFrame = 0;
+
         // Hover state
         this.hoverCell = null;
 
-        // Initialize particles for traffic animation
-        this.initParticles();
+        // Volume/capacity ratio per road segment and intersection delays for the congestion layer,
+        // and the segment or intersection picked in the Traffic tab
+        this.congestion = null;
+        this.intersections = null;
+        this.highlightedEdge = null;
+        this.highlightedNode = null;
+
+        // Reach bands from the cell picked with the isochrone tool
+        this.isochrones = null;
+
+        // Essential amenities within a walk of each residential cell, -1 elsewhere
+        this.fifteenMinuteCells = null;
+
+        // Meters from every cell to the nearest of each accessibility target, by target ID
+        this.accessFields = null;
+
+        // Residents per cell outside the service area of at least one facility type
+        this.unservedCells = null;
+
+        // Air pollution concentration per cell in µg/m³ and the wind carrying it
+        this.pollution = null;
+        this.wind = null;
+
+        // Day-average sound level per cell in dB(A)
+        this.noiseLevels = null;
+
+        // Afternoon surface temperature per cell in °C
+        this.temperatures = null;
 
         // Resize handling
         this.resize();
@@ -68,81 +132,160 @@ export class Renderer {
     }
 
     /**
-     * Initialize traffic particles
+     * Routes vehicles are drawn along; each is picked in proportion to its modeled trips
+     * @param {Array<{cells: Array<number>, trips: number}>} routes - Road cell indices from origin to destination
      */
-    initParticles() {
-        this.particles = [];
-        const count = ANIMATION.trafficParticleCount;
+    setVehicleRoutes(routes) {
+        if (routes === this.vehicleRoutes) return;
 
-        for (let i = 0; i < count; i++) {
-            this.particles.push({
-                x: Math.random() * this.city.gridSize,
-                y: Math.random() * this.city.gridSize,
-                vx: (Math.random() - 0.5) * 0.5,
-                vy: (Math.random() - 0.5) * 0.5,
-                size: 2 + Math.random() * 2,
-                speed: 0.5 + Math.random() * 1.5
-            });
-        }
+        this.vehicleRoutes = routes;
+        this.vehicles = [];
+        let total = 0;
+        this.routeWeights = routes.map(route => (total += route.trips));
+    }
+
+    /**
+     * @param {number} level - Traffic relative to the morning peak
+     */
+    setTrafficLevel(level) {
+        this.trafficLevel = level;
     }
 
     /**
-     * Update particle positions for traffic animation
+     * Advance vehicles along their routes. Vehicles slow down on congested
+     * segments and queue behind cells whose lanes in their direction are full;
+     * new ones start until the count matches the traffic level.
      */
     updateParticles() {
-        const roadCells = [];
+        const routes = this.vehicleRoutes;
+        if (!routes || routes.length === 0) {
+            this.vehicles = [];
+            return;
+        }
+        this.trafficFrame++;
+
+        // Vehicles per cell and direction of travel
+        const size = this.city.gridSize;
+        const laneKey = (cells, i) => cells[i] * 4 + [1, -1, size, -size].indexOf(cells[i + 1] - cells[i]);
+        const lanesAt = index => Math.max(1, this.getCellRoadClass(index).lanes / 2);
+        const occupancy = new Map();
+        const leave = key => occupancy.set(key, occupancy.get(key) - 1);
+        this.vehicles.forEach(vehicle => {
+            const key = laneKey(vehicle.route.cells, Math.floor(vehicle.position));
+            occupancy.set(key, (occupancy.get(key) || 0) + 1);
+        });
 
-        // Find all road cells
-        for (let y = 0; y < this.city.gridSize; y++) {
-            for (let x = 0; x < this.city.gridSize; x++) {
-                if (this.city.grid[y][x].type === 'road') {
-                    roadCells.push({ x, y });
-                }
-            }
+        // Start new vehicles where their first cell has room
+        const target = Math.round(ANIMATION.trafficParticleCount * size / 50 * this.trafficLevel);
+        for (let i = 0; i < ANIMATION.trafficSpawnRate && this.vehicles.length < target; i++) {
+            const route = this.pickRoute();
+            const key = laneKey(route.cells, 0);
+            if ((occupancy.get(key) || 0) >= lanesAt(route.cells[0])) continue;
+
+            occupancy.set(key, (occupancy.get(key) || 0) + 1);
+            // waiting counts the frames spent queued
+            this.vehicles.push({ route, position: 0, waiting: 0 });
         }
 
-        if (roadCells.length === 0) return;
-
-        this.particles.forEach(p => {
-            // Move particle
-            p.x += p.vx * p.speed;
-            p.y += p.vy * p.speed;
-
-            // Wrap around
-            if (p.x < 0) p.x = this.city.gridSize;
-            if (p.x > this.city.gridSize) p.x = 0;
-            if (p.y < 0) p.y = this.city.gridSize;
-            if (p.y > this.city.gridSize) p.y = 0;
-
-            // Check if on a road
-            const cellX = Math.floor(p.x);
-            const cellY = Math.floor(p.y);
-            const cell = this.city.getZone(cellX, cellY);
-
-            if (cell && cell.type !== 'road') {
-                // Snap to nearest road
-                const nearest = roadCells.reduce((min, road) => {
-                    const dist = Math.abs(road.x - p.x) + Math.abs(road.y - p.y);
-                    return dist < min.dist ? { road, dist } : min;
-                }, { road: null, dist: Infinity });
-
-                if (nearest.road) {
-                    p.x = nearest.road.x + 0.5;
-                    p.y = nearest.road.y + 0.5;
-
-                    // Random new direction
-                    if (Math.random() < 0.5) {
-                        p.vx = Math.random() < 0.5 ? 0.5 : -0.5;
-                        p.vy = 0;
-                    } else {
-                        p.vx = 0;
-                        p.vy = Math.random() < 0.5 ? 0.5 : -0.5;
-                    }
+        this.vehicles = this.vehicles.filter(vehicle => {
+            const cells = vehicle.route.cells;
+            const current = Math.floor(vehicle.position);
+            const position = vehicle.position + this.getVehicleStep(cells[current]);
+
+            // Arrived
+            if (position >= cells.length - 1) {
+                leave(laneKey(cells, current));
+                return false;
+            }
+
+            if (Math.floor(position) > current) {
+                const next = laneKey(cells, Math.floor(position));
+
+                // Queue, but squeeze through eventually so a gridlocked junction clears
+                const full = (occupancy.get(next) || 0) >= lanesAt(cells[Math.floor(position)]) &&
+                    vehicle.waiting < ANIMATION.trafficQueuePatience;
+                if (full || this.isRedLight(cells[current], cells[Math.floor(position)])) {
+                    vehicle.position = current + 0.99;
+                    vehicle.waiting++;
+                    return true;
                 }
+                leave(laneKey(cells, current));
+                occupancy.set(next, (occupancy.get(next) || 0) + 1);
             }
+
+            vehicle.position = position;
+            vehicle.waiting = 0;
+            return true;
         });
     }
 
+    /**
+     * Whether a signal stops a vehicle moving from one cell into an intersection.
+     * Each signal shows green east-west, then north-south, offset by its cell so they are not all in step
+     * @param {number} from - Flat cell index
+     * @param {number} to - Flat cell index
+     * @returns {boolean}
+     */
+    isRedLight(from, to) {
+        const signal = this.intersections && this.intersections.get(to);
+        if (!signal || signal.control !== 'signal') return false;
+
+        const time = (this.trafficFrame * SIGNAL_SETTINGS.secondsPerFrame + to) % signal.cycle;
+        const eastWest = Math.abs(to - from) === 1;
+        if (eastWest) return time >= signal.greens.ew;
+
+        const start = signal.greens.ew + SIGNAL_SETTINGS.lostTime;
+        return time < start || time >= start + signal.greens.ns;
+    }
+
+    /**
+     * Random route, weighted by trips
+     * @returns {Object}
+     */
+    pickRoute() {
+        const weights = this.routeWeights;
+        const target = Math.random() * weights[weights.length - 1];
+        let low = 0;
+        let high = weights.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (weights[mid] < target) low = mid + 1;
+            else high = mid;
+        }
+        return this.vehicleRoutes[low];
+    }
+
+    /**
+     * Road class of a cell by flat index, falling back to a local street once the road is gone
+     * @param {number} index
+     * @returns {Object}
+     */
+    getCellRoadClass(index) {
+        const cell = this.city.grid[Math.floor(index / this.city.gridSize)][index % this.city.gridSize];
+        return ROAD_CLASSES[getCellRoadClass(cell)] || ROAD_CLASSES[DEFAULT_ROAD_CLASS];
+    }
+
+    /**
+     * Volume/capacity ratio of the segment through a cell, 0 at junctions or without traffic data
+     * @param {number} index
+     * @returns {number}
+     */
+    getCellLoad(index) {
+        if (!this.congestion) return 0;
+        const edge = this.city.roads.getEdgeAt(index % this.city.gridSize, Math.floor(index / this.city.gridSize));
+        return (edge && this.congestion.get(edge.id)) || 0;
+    }
+
+    /**
+     * Cells a vehicle moves in one frame: the design speed slowed by the BPR delay of the segment
+     * @param {number} index
+     * @returns {number}
+     */
+    getVehicleStep(index) {
+        const delay = 1 + TRAFFIC_MODEL.bprAlpha * Math.pow(this.getCellLoad(index), TRAFFIC_MODEL.bprBeta);
+        return ANIMATION.trafficParticleSpeed * this.getCellRoadClass(index).speed / 100 / delay;
+    }
+
     /**
      * Set layer visibility
      * @param {string} layer 
@@ -287,11 +430,20 @@ export class Renderer {
         // Draw grid background
         this.drawGridBackground(cellSize);
 
+        // Water is always drawn; relief and protected land follow the terrain layer
+        this.drawTerrain(cellSize);
+
         // Draw zones
         if (this.layers.zones) {
             this.drawZones(cellSize);
         }
 
+        // Draw road segment congestion and intersection level of service
+        if (this.layers.congestion) {
+            this.drawCongestion(cellSize);
+            this.drawIntersections(cellSize);
+        }
+
         // Draw population heatmap
         if (this.layers.population) {
             this.drawPopulationHeatmap(cellSize);
@@ -302,6 +454,41 @@ export class Renderer {
             this.drawEnergyGrid(cellSize);
         }
 
+        // Draw 15-minute city heatmap
+        if (this.layers.fifteenMinute) {
+            this.drawFifteenMinuteHeatmap(cellSize);
+        }
+
+        // Draw distance heatmaps to the nearest park, transit hub or commercial area
+        Object.entries(ACCESSIBILITY.targets).forEach(([id, target]) => {
+            if (this.layers[target.layer]) this.drawAccessHeatmap(cellSize, id);
+        });
+
+        // Draw residents outside service areas
+        if (this.layers.unserved) {
+            this.drawUnserved(cellSize);
+        }
+
+        // Draw surface temperature
+        if (this.layers.heat) {
+            this.drawHeat(cellSize);
+        }
+
+        // Draw noise levels
+        if (this.layers.noise) {
+            this.drawNoise(cellSize);
+        }
+
+        // Draw air pollution and the wind direction
+        if (this.layers.pollution) {
+            this.drawPollution(cellSize);
+        }
+
+        // Draw travel-time reach bands
+        if (this.layers.isochrones) {
+            this.drawIsochrones(cellSize);
+        }
+
         // Draw transit routes
         if (this.layers.transit) {
             this.drawTransitRoutes(cellSize);
@@ -312,6 +499,16 @@ export class Renderer {
             this.drawTrafficParticles(cellSize);
         }
 
+        // Draw district outlines and names
+        if (this.layers.districts) {
+            this.drawDistricts(cellSize);
+        }
+
+        // Outline the selected road segment or intersection
+        if (this.highlightedEdge !== null || this.highlightedNode !== null) {
+            this.drawHighlight(cellSize);
+        }
+
         // Draw hover highlight
         if (this.hoverCell) {
             this.drawHoverHighlight(cellSize);
@@ -345,6 +542,52 @@ export class Renderer {
         ctx.fillRect(this.offsetX, this.offsetY, gridWidth, gridHeight);
     }
 
+    /**
+     * Draw water, hillshaded relief and protected land
+     */
+    drawTerrain(cellSize) {
+        const ctx = this.ctx;
+        const terrain = this.city.terrain;
+        const maxElevation = terrain.getMaxElevation();
+
+        for (let y = 0; y < this.city.gridSize; y++) {
+            for (let x = 0; x < this.city.gridSize; x++) {
+                const kind = terrain.getKind(x, y);
+                const screenX = this.offsetX + x * cellSize;
+                const screenY = this.offsetY + y * cellSize;
+
+                if (kind === 'water') {
+                    ctx.fillStyle = TERRAIN_TYPES.water.color;
+                    ctx.fillRect(screenX, screenY, cellSize, cellSize);
+                    continue;
+                }
+                if (!this.layers.terrain) continue;
+
+                // Light from the north-west: faces that rise towards it are brighter
+                const elevation = terrain.getElevation(x, y);
+                const relief = (terrain.getElevation(x - 1, y - 1) - terrain.getElevation(x + 1, y + 1)) / 20;
+                const shade = clamp(elevation / maxElevation * 0.12 - relief * 0.15, -0.2, 0.2);
+                if (Math.abs(shade) > 0.01) {
+                    ctx.fillStyle = shade > 0 ? `rgba(255, 255, 255, ${shade})` : `rgba(0, 0, 0, ${-shade})`;
+                    ctx.fillRect(screenX, screenY, cellSize, cellSize);
+                }
+
+                if (kind === 'protected') {
+                    ctx.fillStyle = hexToRgba(TERRAIN_TYPES.protected.color, 0.45);
+                    ctx.fillRect(screenX, screenY, cellSize, cellSize);
+                    if (cellSize >= 6) {
+                        ctx.strokeStyle = hexToRgba(TERRAIN_TYPES.protected.color, 0.9);
+                        ctx.lineWidth = 1;
+                        ctx.beginPath();
+                        ctx.moveTo(screenX, screenY + cellSize);
+                        ctx.lineTo(screenX + cellSize, screenY);
+                        ctx.stroke();
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Draw all zones
      */
@@ -360,9 +603,28 @@ export class Renderer {
                 const screenY = this.offsetY + y * cellSize;
                 const zoneData = ZONE_TYPES[zone.type];
 
-                // Draw zone
-                ctx.fillStyle = zoneData.color;
-                ctx.fillRect(screenX + 1, screenY + 1, cellSize - 2, cellSize - 2);
+                if (zone.type === 'road') {
+                    if (this.layers.roads) this.drawRoadCell(x, y, zone, screenX, screenY, cellSize);
+                    continue;
+                }
+
+                // Draw zone, faded for low density
+                const density = getCellDensity(zone);
+                ctx.globalAlpha = density ? DENSITY_LEVELS[density].opacity : 1;
+                if (zone.type === 'mixed') {
+                    this.drawMixedCell(zone, screenX, screenY, cellSize);
+                } else {
+                    ctx.fillStyle = zoneData.color;
+                    ctx.fillRect(screenX + 1, screenY + 1, cellSize - 2, cellSize - 2);
+                }
+                ctx.globalAlpha = 1;
+
+                // High density gets a bright rim
+                if (density === 'high' && cellSize >= 6) {
+                    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(screenX + 1.5, screenY + 1.5, cellSize - 3, cellSize - 3);
+                }
 
                 // Add subtle gradient overlay
                 const gradient = ctx.createLinearGradient(screenX, screenY, screenX, screenY + cellSize);
@@ -370,10 +632,69 @@ export class Renderer {
                 gradient.addColorStop(1, 'rgba(0, 0, 0, 0.1)');
                 ctx.fillStyle = gradient;
                 ctx.fillRect(screenX + 1, screenY + 1, cellSize - 2, cellSize - 2);
+
+                if (zoneData.glyph && cellSize >= 8) {
+                    this.drawFacilityGlyph(x, y, zone.type, screenX, screenY, cellSize);
+                }
             }
         }
     }
 
+    /**
+     * Draw a road cell as a carriageway of its class's width and color,
+     * joined towards each neighboring road cell
+     */
+    drawRoadCell(x, y, zone, screenX, screenY, cellSize) {
+        const ctx = this.ctx;
+        const roadClass = ROAD_CLASSES[getCellRoadClass(zone)];
+        const width = Math.max(2, cellSize * roadClass.drawWidth);
+        const half = cellSize / 2;
+        const cx = screenX + half;
+        const cy = screenY + half;
+        const isRoad = (nx, ny) => this.city.getZone(nx, ny)?.type === 'road';
+
+        ctx.fillStyle = ZONE_TYPES.road.lightColor;
+        ctx.fillRect(screenX, screenY, cellSize, cellSize);
+
+        ctx.fillStyle = roadClass.color;
+        ctx.fillRect(cx - width / 2, cy - width / 2, width, width);
+        if (isRoad(x + 1, y)) ctx.fillRect(cx, cy - width / 2, half, width);
+        if (isRoad(x - 1, y)) ctx.fillRect(screenX, cy - width / 2, half, width);
+        if (isRoad(x, y + 1)) ctx.fillRect(cx - width / 2, cy, width, half);
+        if (isRoad(x, y - 1)) ctx.fillRect(cx - width / 2, screenY, width, half);
+    }
+
+    /**
+     * Draw a mixed-use cell as vertical stripes, one per use, sized by share
+     */
+    drawMixedCell(zone, screenX, screenY, cellSize) {
+        const ctx = this.ctx;
+        const inner = cellSize - 2;
+        let offset = 0;
+
+        Object.entries(getCellComposition(zone)).forEach(([type, share]) => {
+            const width = inner * share;
+            ctx.fillStyle = ZONE_TYPES[type].color;
+            // Overlap by a fraction of a pixel so stripes leave no seams
+            ctx.fillRect(screenX + 1 + offset, screenY + 1, width + 0.5, inner);
+            offset += width;
+        });
+    }
+
+    /**
+     * Label a civic facility once, on the top-left cell of its block
+     */
+    drawFacilityGlyph(x, y, type, screenX, screenY, cellSize) {
+        if (this.city.getZone(x - 1, y)?.type === type || this.city.getZone(x, y - 1)?.type === type) return;
+
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.font = `bold ${Math.round(cellSize * 0.7)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(ZONE_TYPES[type].glyph, screenX + cellSize / 2, screenY + cellSize / 2);
+    }
+
     /**
      * Draw population density heatmap
      */
@@ -382,15 +703,14 @@ export class Renderer {
 
         for (let y = 0; y < this.city.gridSize; y++) {
             for (let x = 0; x < this.city.gridSize; x++) {
-                const zone = this.city.grid[y][x];
-                const zoneData = ZONE_TYPES[zone.type];
-                if (!zoneData || zoneData.population === 0) continue;
+                const population = getCellMetrics(this.city.grid[y][x]).population;
+                if (population <= 0) continue;
 
                 const screenX = this.offsetX + x * cellSize;
                 const screenY = this.offsetY + y * cellSize;
 
                 // Calculate density (0-1)
-                const density = zoneData.population / 1000;
+                const density = Math.min(1, population / MAX_CELL_POPULATION);
 
                 // Interpolate color based on density
                 let color;
@@ -406,6 +726,229 @@ export class Renderer {
         }
     }
 
+    /**
+     * Color homes from red to green by how many essential amenities are within a walk
+     */
+    drawFifteenMinuteHeatmap(cellSize) {
+        if (!this.fifteenMinuteCells) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const amenityCount = Object.keys(FIFTEEN_MINUTE_CITY.amenities).length;
+        const { low, medium, high } = LAYER_COLORS.walkability;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const reached = this.fifteenMinuteCells[y * size + x];
+                if (reached < 0) continue;
+
+                const share = reached / amenityCount;
+                const color = share < 0.5 ? lerpColor(low, medium, share / 0.5) : lerpColor(medium, high, (share - 0.5) / 0.5);
+                ctx.fillStyle = hexToRgba(color, 0.6);
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+
+    /**
+     * Color every land cell from green to red by its distance to the nearest of one target
+     * @param {number} cellSize
+     * @param {string} id - Key of ACCESSIBILITY.targets
+     */
+    drawAccessHeatmap(cellSize, id) {
+        const field = this.accessFields?.[id];
+        if (!field) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const { low, medium, high } = LAYER_COLORS.walkability;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const meters = field[y * size + x];
+                if (!Number.isFinite(meters) || this.city.terrain.isWater(x, y)) continue;
+
+                const t = Math.min(1, meters / ACCESSIBILITY.heatmapMeters);
+                const color = t < 0.5 ? lerpColor(high, medium, t / 0.5) : lerpColor(medium, low, (t - 0.5) / 0.5);
+                ctx.fillStyle = hexToRgba(color, 0.5);
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+
+    /**
+     * Shade homes red by the share of their residents outside a service area
+     */
+    drawUnserved(cellSize) {
+        if (!this.unservedCells) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const unserved = this.unservedCells[y * size + x];
+                if (unserved <= 0) continue;
+
+                const share = unserved / getCellMetrics(this.city.grid[y][x]).population;
+                ctx.fillStyle = hexToRgba(LAYER_COLORS.walkability.low, 0.25 + 0.5 * Math.min(1, share));
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+
+    /**
+     * Shade cells from green to brown by air pollution above the background, up to twice the
+     * exposure threshold, with an arrow showing where the wind blows
+     */
+    drawPollution(cellSize) {
+        if (!this.pollution) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const { low, medium, high } = LAYER_COLORS.pollution;
+        const { background, threshold } = AIR_DISPERSION;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const t = Math.min(1, (this.pollution[y * size + x] - background) / (threshold * 2 - background));
+                if (t < 0.02) continue;
+
+                const color = t < 0.5 ? lerpColor(low, medium, t / 0.5) : lerpColor(medium, high, (t - 0.5) / 0.5);
+                ctx.fillStyle = hexToRgba(color, 0.2 + 0.5 * t);
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+
+        if (!this.wind || this.wind.speed === 0) return;
+
+        // Wind arrow in the top left corner of the grid, pointing downwind
+        const radians = this.wind.direction * Math.PI / 180;
+        const length = 28;
+        const cx = this.offsetX + 24;
+        const cy = this.offsetY + 24;
+        const dx = -Math.sin(radians);
+        const dy = Math.cos(radians);
+        const tipX = cx + dx * length / 2;
+        const tipY = cy + dy * length / 2;
+
+        ctx.strokeStyle = '#f8fafc';
+        ctx.fillStyle = '#f8fafc';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(cx - dx * length / 2, cy - dy * length / 2);
+        ctx.lineTo(tipX, tipY);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - dx * 9 - dy * 6, tipY - dy * 9 + dx * 6);
+        ctx.lineTo(tipX - dx * 9 + dy * 6, tipY - dy * 9 - dx * 6);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Shade cells from blue through purple to red by sound level, from 10 dB below the lowest
+     * noise threshold to 10 dB above the highest
+     */
+    drawNoise(cellSize) {
+        if (!this.noiseLevels) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const { low, medium, high } = LAYER_COLORS.noise;
+        const quiet = NOISE.thresholds[0].db - 10;
+        const loud = NOISE.thresholds[NOISE.thresholds.length - 1].db + 10;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const t = Math.min(1, (this.noiseLevels[y * size + x] - quiet) / (loud - quiet));
+                if (t <= 0) continue;
+
+                const color = t < 0.5 ? lerpColor(low, medium, t / 0.5) : lerpColor(medium, high, (t - 0.5) / 0.5);
+                ctx.fillStyle = hexToRgba(color, 0.2 + 0.45 * t);
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+
+    /**
+     * Thermal view: blue where cooler than the countryside, through yellow, to red at twice the
+     * heat-vulnerable margin above it
+     */
+    drawHeat(cellSize) {
+        if (!this.temperatures) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const { low, medium, high } = LAYER_COLORS.heat;
+        const { ruralTemperature, vulnerableAbove, water } = URBAN_HEAT;
+        const coolest = ruralTemperature + water;
+        const hottest = ruralTemperature + vulnerableAbove * 2;
+        // Yellow at the rural temperature
+        const middle = (ruralTemperature - coolest) / (hottest - coolest);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const temperature = this.temperatures[y * size + x];
+                const t = clamp((temperature - coolest) / (hottest - coolest), 0, 1);
+                const color = t < middle ? lerpColor(low, medium, t / middle) : lerpColor(medium, high, (t - middle) / (1 - middle));
+                ctx.fillStyle = hexToRgba(color, 0.55);
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+
+    /**
+     * Set the temperatures shown by the urban heat layer
+     * @param {Float64Array|null} temperatures - °C per cell, from HeatIsland.run
+     */
+    setTemperatures(temperatures) {
+        this.temperatures = temperatures;
+    }
+
+    /**
+     * Set the sound levels shown by the noise layer
+     * @param {Float64Array|null} levels - dB(A) per cell, from NoiseModel.run
+     */
+    setNoiseLevels(levels) {
+        this.noiseLevels = levels;
+    }
+
+    /**
+     * Set the concentrations and wind shown by the air pollution layer
+     * @param {Float64Array|null} concentration - µg/m³ per cell, from AirDispersion.run
+     * @param {{direction: number, speed: number}|null} wind
+     */
+    setPollution(concentration, wind) {
+        this.pollution = concentration;
+        this.wind = wind;
+    }
+
+    /**
+     * Set the residents per cell shown by the unserved layer
+     * @param {Float64Array|null} cells - From ServiceAreas.run
+     */
+    setUnservedCells(cells) {
+        this.unservedCells = cells;
+    }
+
+    /**
+     * Set the distance fields for the accessibility layers
+     * @param {Object|null} fields - Target ID to meters per cell, from Accessibility.run
+     */
+    setAccessFields(fields) {
+        this.accessFields = fields;
+    }
+
+    /**
+     * Set the amenities reached per cell for the 15-minute city layer
+     * @param {Int8Array|null} cells - From FifteenMinuteIndex.run
+     */
+    setFifteenMinuteCells(cells) {
+        this.fifteenMinuteCells = cells;
+    }
+
     /**
      * Draw energy grid overlay
      */
@@ -452,138 +995,439 @@ export class Renderer {
     }
 
     /**
-     * Draw transit routes with minimal, clean design using MST
+     * Draw transit lines metro-map style: octilinear legs between stations,
+     * parallel lines where several share a leg, trains spaced by headway
      */
     drawTransitRoutes(cellSize) {
         const ctx = this.ctx;
+        const lines = this.city.transitLines.list.filter(line => line.stations.length > 1);
+
+        // Lines sharing a leg are drawn side by side
+        const legs = new Map();
+        const legKey = (a, b) => (a.x < b.x || (a.x === b.x && a.y < b.y)
+            ? `${a.x},${a.y}-${b.x},${b.y}` : `${b.x},${b.y}-${a.x},${a.y}`);
+        lines.forEach(line => {
+            for (let i = 1; i < line.stations.length; i++) {
+                const key = legKey(line.stations[i - 1], line.stations[i]);
+                if (!legs.has(key)) legs.set(key, []);
+                if (!legs.get(key).includes(line.id)) legs.get(key).push(line.id);
+            }
+        });
 
-        // Find all transit hubs
-        const transitHubs = [];
-        for (let y = 0; y < this.city.gridSize; y++) {
-            for (let x = 0; x < this.city.gridSize; x++) {
-                if (this.city.grid[y][x].type === 'transit') {
-                    transitHubs.push({ x, y });
-                }
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        lines.forEach(line => {
+            const mode = TRANSIT_MODES[line.mode] || TRANSIT_MODES[DEFAULT_TRANSIT_MODE];
+            const width = clamp(mode.lineWidth * cellSize / 12, 1.5, mode.lineWidth);
+            const path = [];
+
+            for (let i = 1; i < line.stations.length; i++) {
+                const a = line.stations[i - 1];
+                const b = line.stations[i];
+                const shared = legs.get(legKey(a, b));
+                const offset = (shared.indexOf(line.id) - (shared.length - 1) / 2) * width * 1.2;
+
+                // Perpendicular to the leg, the same way round whichever direction the line runs
+                const flip = legKey(a, b).startsWith(`${a.x},${a.y}-`) ? 1 : -1;
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                const nx = -(b.y - a.y) / length * offset * flip;
+                const ny = (b.x - a.x) / length * offset * flip;
+
+                // Diagonal first, then straight
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const diagonal = Math.min(Math.abs(dx), Math.abs(dy));
+                const corner = { x: a.x + Math.sign(dx) * diagonal, y: a.y + Math.sign(dy) * diagonal };
+
+                [a, corner, b].forEach((point, j) => {
+                    if (j === 0 && path.length) return;
+                    const screen = this.gridToScreen(point.x + 0.5, point.y + 0.5);
+                    path.push({ x: screen.x + nx, y: screen.y + ny });
+                });
             }
-        }
 
-        if (transitHubs.length < 2) return;
+            // Dark casing under the colored line
+            ctx.beginPath();
+            path.forEach((point, i) => (i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+            ctx.strokeStyle = 'rgba(10, 14, 23, 0.8)';
+            ctx.lineWidth = width + 2;
+            ctx.stroke();
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = width;
+            ctx.stroke();
 
-        // Build Minimum Spanning Tree using Kruskal's algorithm
-        const edges = [];
-        for (let i = 0; i < transitHubs.length; i++) {
-            for (let j = i + 1; j < transitHubs.length; j++) {
-                const hub1 = transitHubs[i];
-                const hub2 = transitHubs[j];
-                const dist = Math.sqrt(Math.pow(hub1.x - hub2.x, 2) + Math.pow(hub1.y - hub2.y, 2));
-                edges.push({ i, j, dist, hub1, hub2 });
-            }
-        }
+            this.drawTransitTrains(line, mode, path, width, cellSize);
+        });
 
-        edges.sort((a, b) => a.dist - b.dist);
+        this.drawTransitStations(cellSize);
+    }
 
-        // Union-Find for MST
-        const parent = transitHubs.map((_, idx) => idx);
-        const find = (x) => {
-            if (parent[x] !== x) parent[x] = find(parent[x]);
-            return parent[x];
-        };
-        const union = (x, y) => {
-            const px = find(x), py = find(y);
-            if (px !== py) { parent[px] = py; return true; }
-            return false;
-        };
+    /**
+     * Trains shuttle end to end at the mode's speed, one headway apart
+     */
+    drawTransitTrains(line, mode, path, width, cellSize) {
+        const ctx = this.ctx;
 
-        // Select MST edges
-        const mstEdges = [];
-        for (const edge of edges) {
-            if (union(edge.i, edge.j)) {
-                mstEdges.push(edge);
-                if (mstEdges.length === transitHubs.length - 1) break;
-            }
+        const distances = [0];
+        for (let i = 1; i < path.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y));
         }
+        const total = distances[distances.length - 1];
+        if (total <= 0) return;
+
+        // One frame is one simulated second
+        const cells = total / cellSize;
+        const tripMinutes = cells * this.city.cellSize / 1000 / mode.speed * 60;
+        const cycle = tripMinutes * 2;
+        const trains = Math.max(1, Math.floor(cycle / line.headway));
+        const minute = this.time / 60;
+
+        ctx.fillStyle = '#ffffff';
+        for (let k = 0; k < trains; k++) {
+            const phase = (minute + k * line.headway) % cycle;
+            const target = (phase < tripMinutes ? phase : cycle - phase) / tripMinutes * total;
+
+            let i = 1;
+            while (i < path.length - 1 && distances[i] < target) i++;
+            const span = distances[i] - distances[i - 1];
+            const t = span > 0 ? (target - distances[i - 1]) / span : 0;
 
-        // Draw clean route lines
-        ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.arc(
+                path[i - 1].x + (path[i].x - path[i - 1].x) * t,
+                path[i - 1].y + (path[i].y - path[i - 1].y) * t,
+                Math.max(2, width * 0.7), 0, Math.PI * 2
+            );
+            ctx.fill();
+        }
+    }
 
-        mstEdges.forEach((edge, idx) => {
-            const screen1 = this.gridToScreen(edge.hub1.x + 0.5, edge.hub1.y + 0.5);
-            const screen2 = this.gridToScreen(edge.hub2.x + 0.5, edge.hub2.y + 0.5);
+    /**
+     * Station markers, larger at interchanges, with line names at their first station;
+     * transit hubs no line stops at are shown as grey rings
+     */
+    drawTransitStations(cellSize) {
+        const ctx = this.ctx;
+        const stations = this.city.transitLines.getStations();
+        const served = new Set(stations.map(s => `${s.x},${s.y}`));
+        const radius = clamp(cellSize * 0.3, 3, 7);
 
-            // Simple clean line
-            ctx.strokeStyle = 'rgba(236, 72, 153, 0.7)';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.moveTo(screen1.x, screen1.y);
-            ctx.lineTo(screen2.x, screen2.y);
-            ctx.stroke();
+        ctx.lineWidth = 2;
+        for (let y = 0; y < this.city.gridSize; y++) {
+            for (let x = 0; x < this.city.gridSize; x++) {
+                if (this.city.grid[y][x].type !== 'transit' || served.has(`${x},${y}`)) continue;
+                const screen = this.gridToScreen(x + 0.5, y + 0.5);
+                ctx.strokeStyle = 'rgba(148, 163, 184, 0.8)';
+                ctx.beginPath();
+                ctx.arc(screen.x, screen.y, radius * 0.7, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
 
-            // Single animated train dot
-            const phase = ((this.time * 0.015) + (idx * 0.3)) % 1;
-            const trainX = screen1.x + (screen2.x - screen1.x) * phase;
-            const trainY = screen1.y + (screen2.y - screen1.y) * phase;
+        stations.forEach(station => {
+            const screen = this.gridToScreen(station.x + 0.5, station.y + 0.5);
+            const interchange = station.lines.length > 1;
 
             ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#0a0e17';
+            ctx.lineWidth = interchange ? 3 : 2;
             ctx.beginPath();
-            ctx.arc(trainX, trainY, 4, 0, Math.PI * 2);
+            ctx.arc(screen.x, screen.y, interchange ? radius * 1.3 : radius, 0, Math.PI * 2);
             ctx.fill();
+            ctx.stroke();
         });
 
-        // Draw minimal station markers
-        transitHubs.forEach(hub => {
-            const screen = this.gridToScreen(hub.x + 0.5, hub.y + 0.5);
+        ctx.font = `bold ${Math.round(clamp(cellSize * 0.8, 9, 12))}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        this.city.transitLines.list.forEach(line => {
+            if (!line.stations.length) return;
+            const first = line.stations[0];
+            const screen = this.gridToScreen(first.x + 0.5, first.y + 0.5);
+            const labelX = screen.x + radius * 1.6;
+            const labelY = screen.y - radius * 1.6;
 
-            // Outer ring
-            ctx.strokeStyle = '#ec4899';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(screen.x, screen.y, 7, 0, Math.PI * 2);
-            ctx.stroke();
-
-            // Inner dot
-            ctx.fillStyle = '#ec4899';
-            ctx.beginPath();
-            ctx.arc(screen.x, screen.y, 4, 0, Math.PI * 2);
-            ctx.fill();
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(10, 14, 23, 0.9)';
+            ctx.strokeText(line.name, labelX, labelY);
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.name, labelX, labelY);
         });
     }
 
     /**
-     * Draw traffic particles
+     * Draw vehicles on the right-hand side of their road, colored by the
+     * congestion of the segment they are on; queued vehicles show as heavy
      */
     drawTrafficParticles(cellSize) {
         const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const radius = clamp(cellSize * 0.25, 1.5, 4);
 
-        this.particles.forEach(p => {
-            const screenX = this.offsetX + p.x * cellSize;
-            const screenY = this.offsetY + p.y * cellSize;
-
-            // Color based on speed
-            const speedRatio = p.speed / 2;
-            let color;
-            if (speedRatio > 0.7) {
-                color = LAYER_COLORS.traffic.high;
-            } else if (speedRatio > 0.4) {
-                color = LAYER_COLORS.traffic.medium;
-            } else {
-                color = LAYER_COLORS.traffic.low;
-            }
+        this.vehicles.forEach(vehicle => {
+            const cells = vehicle.route.cells;
+            const i = Math.floor(vehicle.position);
+            const from = cells[i];
+            const to = cells[i + 1];
+            const dx = (to % size) - (from % size);
+            const dy = Math.floor(to / size) - Math.floor(from / size);
+            const t = vehicle.position - i;
+
+            const screenX = this.offsetX + ((from % size) + dx * t + 0.5 - dy * 0.2) * cellSize;
+            const screenY = this.offsetY + (Math.floor(from / size) + dy * t + 0.5 + dx * 0.2) * cellSize;
+
+            const level = vehicle.waiting > 0 ? 'heavy' : getCongestionLevel(this.getCellLoad(from));
+            const color = CONGESTION_COLORS[level];
 
             ctx.fillStyle = color;
             ctx.beginPath();
-            ctx.arc(screenX, screenY, p.size, 0, Math.PI * 2);
+            ctx.arc(screenX, screenY, radius, 0, Math.PI * 2);
             ctx.fill();
 
             // Draw trail
             ctx.strokeStyle = hexToRgba(color, 0.3);
-            ctx.lineWidth = p.size * 0.5;
+            ctx.lineWidth = radius;
             ctx.beginPath();
             ctx.moveTo(screenX, screenY);
-            ctx.lineTo(screenX - p.vx * p.speed * 10, screenY - p.vy * p.speed * 10);
+            ctx.lineTo(screenX - dx * cellSize * 0.6, screenY - dy * cellSize * 0.6);
             ctx.stroke();
         });
     }
 
+    /**
+     * Color every road segment by its volume/capacity ratio, most loaded drawn last
+     */
+    drawCongestion(cellSize) {
+        if (!this.congestion) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const inset = cellSize * 0.2;
+        const edges = [...this.city.roads.edges.values()]
+            .filter(edge => this.congestion.has(edge.id))
+            .sort((a, b) => this.congestion.get(a.id) - this.congestion.get(b.id));
+
+        edges.forEach(edge => {
+            ctx.fillStyle = hexToRgba(CONGESTION_COLORS[getCongestionLevel(this.congestion.get(edge.id))], 0.9);
+            edge.cells.forEach(index => {
+                const screenX = this.offsetX + (index % size) * cellSize;
+                const screenY = this.offsetY + Math.floor(index / size) * cellSize;
+                ctx.fillRect(screenX + inset, screenY + inset, cellSize - inset * 2, cellSize - inset * 2);
+            });
+        });
+    }
+
+    /**
+     * Mark intersections by level of service, signals as rings and stop-controlled junctions as squares
+     */
+    drawIntersections(cellSize) {
+        if (!this.intersections) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const radius = Math.max(2, cellSize * 0.35);
+
+        ctx.lineWidth = Math.max(1.5, cellSize * 0.12);
+        this.intersections.forEach(intersection => {
+            const screen = this.gridToScreen((intersection.id % size) + 0.5, Math.floor(intersection.id / size) + 0.5);
+            ctx.strokeStyle = LEVEL_OF_SERVICE_COLORS[intersection.los];
+            ctx.beginPath();
+            if (intersection.control === 'signal') {
+                ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+            } else {
+                ctx.rect(screen.x - radius, screen.y - radius, radius * 2, radius * 2);
+            }
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Outline the cells of the highlighted road segment or intersection
+     */
+    drawHighlight(cellSize) {
+        const edge = this.city.roads.edges.get(this.highlightedEdge);
+        const cells = edge ? edge.cells : this.city.roads.nodes.has(this.highlightedNode) ? [this.highlightedNode] : [];
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        cells.forEach(index => {
+            ctx.strokeRect(this.offsetX + (index % size) * cellSize, this.offsetY + Math.floor(index / size) * cellSize, cellSize, cellSize);
+        });
+    }
+
+    /**
+     * Fill each cell by the band it is reached in, outline where bands meet and mark the origin
+     */
+    drawIsochrones(cellSize) {
+        if (!this.isochrones) return;
+
+        const ctx = this.ctx;
+        const size = this.city.gridSize;
+        const { bands, origin } = this.isochrones;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const band = bands[y * size + x];
+                if (band < 0) continue;
+                ctx.fillStyle = hexToRgba(ISOCHRONE_BANDS[band].color, 0.35);
+                ctx.fillRect(this.offsetX + x * cellSize, this.offsetY + y * cellSize, cellSize, cellSize);
+            }
+        }
+
+        // Contours along cell edges between bands, in the color of the nearer one
+        ctx.lineWidth = Math.max(1, cellSize * 0.15);
+        ctx.lineCap = 'square';
+        ISOCHRONE_BANDS.forEach((band, index) => {
+            ctx.strokeStyle = band.color;
+            ctx.beginPath();
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (bands[y * size + x] !== index) continue;
+                    const left = this.offsetX + x * cellSize;
+                    const top = this.offsetY + y * cellSize;
+                    const beyond = (nx, ny) => nx < 0 || ny < 0 || nx >= size || ny >= size ||
+                        bands[ny * size + nx] < 0 || bands[ny * size + nx] > index;
+
+                    if (beyond(x - 1, y)) { ctx.moveTo(left, top); ctx.lineTo(left, top + cellSize); }
+                    if (beyond(x + 1, y)) { ctx.moveTo(left + cellSize, top); ctx.lineTo(left + cellSize, top + cellSize); }
+                    if (beyond(x, y - 1)) { ctx.moveTo(left, top); ctx.lineTo(left + cellSize, top); }
+                    if (beyond(x, y + 1)) { ctx.moveTo(left, top + cellSize); ctx.lineTo(left + cellSize, top + cellSize); }
+                }
+            }
+            ctx.stroke();
+        });
+
+        const center = this.gridToScreen(origin.x + 0.5, origin.y + 0.5);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#0d1117';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, Math.max(4, cellSize * 0.4), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * Set the reach bands shown by the isochrone layer, or clear them with null
+     * @param {Object|null} isochrones - From Isochrones.compute
+     */
+    setIsochrones(isochrones) {
+        this.isochrones = isochrones;
+        this.render();
+    }
+
+    /**
+     * Set the volume/capacity ratios shown by the congestion layer
+     * @param {Map<number, number>|null} loads - Edge ID to ratio
+     */
+    setCongestion(loads) {
+        this.congestion = loads;
+        this.render();
+    }
+
+    /**
+     * Set intersection control and delays, for the congestion layer and signals that stop vehicles
+     * @param {Array<Object>|null} intersections - From TrafficModel.getIntersectionReport
+     */
+    setIntersections(intersections) {
+        this.intersections = intersections && new Map(intersections.map(i => [i.id, i]));
+    }
+
+    /**
+     * Outline a road segment, or clear the outline with null
+     * @param {number|null} edgeId
+     */
+    setHighlightedEdge(edgeId) {
+        this.highlightedEdge = edgeId;
+        this.highlightedNode = null;
+        this.render();
+    }
+
+    /**
+     * Outline an intersection, or clear the outline with null
+     * @param {number|null} nodeId
+     */
+    setHighlightedNode(nodeId) {
+        this.highlightedNode = nodeId;
+        this.highlightedEdge = null;
+        this.render();
+    }
+
+    /**
+     * Draw each district as a tinted area outlined in its color, with its name at the center
+     */
+    drawDistricts(cellSize) {
+        const ctx = this.ctx;
+        const districts = this.city.districts;
+        if (districts.list.length === 0) return;
+
+        const size = this.city.gridSize;
+        const centers = {};
+        const inset = Math.max(1, cellSize * 0.08);
+
+        ctx.lineWidth = Math.max(1.5, cellSize * 0.15);
+        ctx.lineCap = 'square';
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const id = districts.getAt(x, y);
+                const district = id && districts.get(id);
+                if (!district) continue;
+
+                const screenX = this.offsetX + x * cellSize;
+                const screenY = this.offsetY + y * cellSize;
+
+                ctx.fillStyle = hexToRgba(district.color, 0.12);
+                ctx.fillRect(screenX, screenY, cellSize, cellSize);
+
+                // Outline the sides that border another district or none
+                ctx.strokeStyle = district.color;
+                ctx.beginPath();
+                if (districts.getAt(x, y - 1) !== id) {
+                    ctx.moveTo(screenX, screenY + inset);
+                    ctx.lineTo(screenX + cellSize, screenY + inset);
+                }
+                if (districts.getAt(x, y + 1) !== id) {
+                    ctx.moveTo(screenX, screenY + cellSize - inset);
+                    ctx.lineTo(screenX + cellSize, screenY + cellSize - inset);
+                }
+                if (districts.getAt(x - 1, y) !== id) {
+                    ctx.moveTo(screenX + inset, screenY);
+                    ctx.lineTo(screenX + inset, screenY + cellSize);
+                }
+                if (districts.getAt(x + 1, y) !== id) {
+                    ctx.moveTo(screenX + cellSize - inset, screenY);
+                    ctx.lineTo(screenX + cellSize - inset, screenY + cellSize);
+                }
+                ctx.stroke();
+
+                const center = centers[id] || (centers[id] = { x: 0, y: 0, count: 0 });
+                center.x += x + 0.5;
+                center.y += y + 0.5;
+                center.count++;
+            }
+        }
+
+        // Names
+        ctx.font = `bold ${Math.round(clamp(cellSize * 1.2, 10, 16))}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        Object.entries(centers).forEach(([id, center]) => {
+            const screen = this.gridToScreen(center.x / center.count, center.y / center.count);
+            const name = districts.get(id).name;
+
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(13, 17, 23, 0.85)';
+            ctx.strokeText(name, screen.x, screen.y);
+            ctx.fillStyle = districts.get(id).color;
+            ctx.fillText(name, screen.x, screen.y);
+        });
+    }
+
     /**
      * Draw hover highlight
      */
@@ -672,7 +1516,20 @@ export class Renderer {
      */
     setCity(cityModel) {
         this.city = cityModel;
-        this.initParticles();
+        this.congestion = null;
+        this.intersections = null;
+        this.highlightedEdge = null;
+        this.highlightedNode = null;
+        this.isochrones = null;
+        this.fifteenMinuteCells = null;
+        this.accessFields = null;
+        this.unservedCells = null;
+        this.pollution = null;
+        this.wind = null;
+        this.noiseLevels = null;
+        this.temperatures = null;
+        this.vehicles = [];
+        this.vehicleRoutes = null;
         this.resize();
     }
 }
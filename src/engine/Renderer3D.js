@@ -4,7 +4,12 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { ZONE_TYPES } from '../utils/constants.js';
+import { ZONE_TYPES, DENSITY_LEVELS, TERRAIN_TYPES, ROAD_CLASSES, ISOCHRONE_BANDS, BUILDING_HEIGHTS } from '../utils/constants.js';
+import { createRandom, cellSeed } from '../utils/helpers.js';
+import { getCellDensity, getCompositionColor, getCellRoadClass } from '../utils/zoneUtils.js';
+
+// Scene units per meter of terrain elevation (one grid cell is one unit wide)
+const ELEVATION_SCALE = 0.08;
 
 export class Renderer3D {
     constructor(container, cityModel) {
@@ -23,20 +28,13 @@ export class Renderer3D {
         this.ground = null;
         this.lights = [];
 
+        // Travel-time reach bands draped over the ground
+        this.isochrones = null;
+        this.groundOverlay = null;
+
         // Animation
         this.animationFrame = null;
 
-        // Building height multipliers by zone type
-        this.heightMultipliers = {
-            empty: 0,
-            residential: 2,
-            commercial: 4,
-            industrial: 1.5,
-            green: 0.2,
-            transit: 1,
-            road: 0
-        };
-
         // Zone colors for 3D
         this.zoneColors = {
             empty: 0x1f2937,
@@ -45,7 +43,14 @@ export class Renderer3D {
             industrial: 0x6b7280,
             green: 0x22c55e,
             transit: 0xec4899,
-            road: 0x374151
+            road: 0x374151,
+            school: 0x8b5cf6,
+            hospital: 0xef4444,
+            police: 0x1d4ed8,
+            fire: 0xf97316,
+            power: 0xfacc15,
+            water: 0x06b6d4,
+            mixed: 0x14b8a6
         };
     }
 
@@ -91,9 +96,6 @@ export class Renderer3D {
         // Lighting
         this.setupLighting();
 
-        // Ground plane
-        this.createGround();
-
         // Handle resize
         window.addEventListener('resize', () => this.onResize());
     }
@@ -136,29 +138,178 @@ export class Renderer3D {
     }
 
     /**
-     * Create ground plane
+     * Create terrain ground with elevation, water and protected land
      */
     createGround() {
+        this.removeGround();
+
+        const terrain = this.city.terrain;
         const size = this.city.gridSize;
-        const geometry = new THREE.PlaneGeometry(size, size);
+        const geometry = new THREE.PlaneGeometry(size, size, size, size);
+        const positions = geometry.attributes.position;
+        const colors = new Float32Array(positions.count * 3);
+
+        const landColor = new THREE.Color(0x1a2332);
+        const highColor = new THREE.Color(0x3f4a3a);
+        const waterColor = new THREE.Color(TERRAIN_TYPES.water.color);
+        const protectedColor = new THREE.Color(TERRAIN_TYPES.protected.color);
+        const maxElevation = terrain.getMaxElevation();
+        const color = new THREE.Color();
+
+        // Plane vertices sit on cell corners; each takes the average of the cells around it
+        for (let i = 0; i < positions.count; i++) {
+            const vx = i % (size + 1);
+            const vy = Math.floor(i / (size + 1));
+            let elevation = 0;
+            let cells = 0;
+            let water = 0;
+            let protectedCells = 0;
+
+            for (const [cx, cy] of [[vx - 1, vy - 1], [vx, vy - 1], [vx - 1, vy], [vx, vy]]) {
+                if (!terrain.inBounds(cx, cy)) continue;
+                elevation += terrain.getElevation(cx, cy);
+                cells++;
+                if (terrain.isWater(cx, cy)) water++;
+                if (terrain.getKind(cx, cy) === 'protected') protectedCells++;
+            }
+
+            elevation /= cells;
+            positions.setZ(i, elevation * ELEVATION_SCALE);
+
+            color.copy(landColor).lerp(highColor, Math.max(0, elevation) / maxElevation);
+            if (protectedCells > 0) color.lerp(protectedColor, 0.6 * protectedCells / cells);
+            if (water > 0) color.lerp(waterColor, water / cells);
+            colors.set([color.r, color.g, color.b], i * 3);
+        }
+
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.computeVertexNormals();
+
         const material = new THREE.MeshStandardMaterial({
-            color: 0x1a2332,
+            vertexColors: true,
             roughness: 0.9,
             metalness: 0.1
         });
 
+        // Plane rows run top-down in Y, so after rotating they line up with grid rows
         this.ground = new THREE.Mesh(geometry, material);
         this.ground.rotation.x = -Math.PI / 2;
         this.ground.position.set(0, -0.1, 0);
         this.ground.receiveShadow = true;
         this.scene.add(this.ground);
 
+        // Water surface just above the carved riverbeds and sea floor
+        if (terrain.kinds.includes('water')) {
+            this.waterSurface = new THREE.Mesh(
+                new THREE.PlaneGeometry(size, size),
+                new THREE.MeshStandardMaterial({
+                    color: TERRAIN_TYPES.water.color,
+                    roughness: 0.2,
+                    metalness: 0.3,
+                    transparent: true,
+                    opacity: 0.75
+                })
+            );
+            this.waterSurface.rotation.x = -Math.PI / 2;
+            this.waterSurface.position.y = -0.05;
+            this.scene.add(this.waterSurface);
+        }
+
         // Grid helper
-        const gridHelper = new THREE.GridHelper(size, size, 0x00d4aa, 0x1a2332);
-        gridHelper.position.y = 0.01;
-        gridHelper.material.opacity = 0.2;
-        gridHelper.material.transparent = true;
-        this.scene.add(gridHelper);
+        this.gridHelper = new THREE.GridHelper(size, size, 0x00d4aa, 0x1a2332);
+        this.gridHelper.position.y = 0.01;
+        this.gridHelper.material.opacity = 0.2;
+        this.gridHelper.material.transparent = true;
+        this.scene.add(this.gridHelper);
+
+        this.createGroundOverlay();
+    }
+
+    /**
+     * Drape the isochrone bands over the ground: a copy of its surface textured one pixel per cell
+     */
+    createGroundOverlay() {
+        this.removeGroundOverlay();
+        if (!this.isochrones || !this.ground) return;
+
+        const size = this.city.gridSize;
+        const { bands, origin } = this.isochrones;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const band = bands[y * size + x];
+                if (band < 0) continue;
+                ctx.fillStyle = ISOCHRONE_BANDS[band].color;
+                ctx.fillRect(x, y, 1, 1);
+            }
+        }
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(origin.x, origin.y, 1, 1);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+
+        this.groundOverlay = new THREE.Mesh(
+            this.ground.geometry.clone(),
+            new THREE.MeshBasicMaterial({
+                map: texture,
+                transparent: true,
+                opacity: 0.55,
+                depthWrite: false
+            })
+        );
+        this.groundOverlay.rotation.x = -Math.PI / 2;
+        this.groundOverlay.position.y = this.ground.position.y + 0.08;
+        this.scene.add(this.groundOverlay);
+    }
+
+    /**
+     * Remove the isochrone overlay
+     */
+    removeGroundOverlay() {
+        if (!this.groundOverlay) return;
+        this.scene.remove(this.groundOverlay);
+        this.groundOverlay.geometry.dispose();
+        this.groundOverlay.material.map.dispose();
+        this.groundOverlay.material.dispose();
+        this.groundOverlay = null;
+    }
+
+    /**
+     * Set the reach bands draped over the ground, or clear them with null
+     * @param {Object|null} isochrones - From Isochrones.compute
+     */
+    setIsochrones(isochrones) {
+        this.isochrones = isochrones;
+        if (this.scene) this.createGroundOverlay();
+    }
+
+    /**
+     * Remove the ground, water surface, grid helper and isochrone overlay
+     */
+    removeGround() {
+        this.removeGroundOverlay();
+        [this.ground, this.waterSurface, this.gridHelper].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.ground = null;
+        this.waterSurface = null;
+        this.gridHelper = null;
+    }
+
+    /**
+     * Height of the ground at the center of a cell, in scene units
+     */
+    getGroundHeight(x, y) {
+        return Math.max(0, this.city.terrain.getElevation(x, y)) * ELEVATION_SCALE;
     }
 
     /**
@@ -173,6 +324,9 @@ export class Renderer3D {
         });
         this.buildings = [];
 
+        // Terrain may differ between cities, so the ground is rebuilt too
+        this.createGround();
+
         const gridSize = this.city.gridSize;
         const offset = gridSize / 2;
 
@@ -186,6 +340,7 @@ export class Renderer3D {
                 if (building) {
                     // Position relative to center
                     building.position.x = x - offset + 0.5;
+                    building.position.y += this.getGroundHeight(x, y);
                     building.position.z = y - offset + 0.5;
                     this.scene.add(building);
                     this.buildings.push(building);
@@ -201,9 +356,13 @@ export class Renderer3D {
      * Create a building mesh
      */
     createBuilding(x, y, type) {
-        const heightMult = this.heightMultipliers[type] || 1;
-        const baseHeight = 0.5 + Math.random() * 0.5;
-        const height = baseHeight * heightMult;
+        // Per-cell generator so the same seed always yields the same skyline
+        const random = createRandom(cellSeed(this.city.seed ?? 0, x, y));
+        const density = getCellDensity(this.city.grid[y][x]);
+        const densityMult = density ? DENSITY_LEVELS[density].height : 1;
+        const heightMult = BUILDING_HEIGHTS[type] || 1;
+        const baseHeight = 0.5 + random() * 0.5;
+        const height = baseHeight * heightMult * densityMult;
 
         if (height < 0.1) return null;
 
@@ -233,15 +392,28 @@ export class Renderer3D {
             mesh = new THREE.Mesh(geometry, material);
             mesh.position.y = height / 2 + 0.5;
             mesh.castShadow = true;
+        } else if (type === 'power' || type === 'water') {
+            // Utilities - cooling towers and treatment tanks
+            const radiusTop = type === 'power' ? 0.3 : 0.45;
+            geometry = new THREE.CylinderGeometry(radiusTop, 0.45, height, 12);
+            material = new THREE.MeshStandardMaterial({
+                color: this.zoneColors[type],
+                roughness: 0.6,
+                metalness: 0.3
+            });
+            mesh = new THREE.Mesh(geometry, material);
+            mesh.position.y = height / 2;
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
         } else {
             // Regular buildings - boxes with slight variation
-            const w = 0.7 + Math.random() * 0.2;
-            const d = 0.7 + Math.random() * 0.2;
+            const w = 0.7 + random() * 0.2;
+            const d = 0.7 + random() * 0.2;
             geometry = new THREE.BoxGeometry(w, height, d);
 
-            // Create gradient-like material
+            // Create gradient-like material; mixed use blends its component colors
             material = new THREE.MeshStandardMaterial({
-                color: this.zoneColors[type],
+                color: type === 'mixed' ? getCompositionColor(this.city.grid[y][x]) : this.zoneColors[type],
                 roughness: 0.5,
                 metalness: 0.2
             });
@@ -263,21 +435,45 @@ export class Renderer3D {
      */
     createRoads(offset) {
         const gridSize = this.city.gridSize;
-        const roadMaterial = new THREE.MeshStandardMaterial({
-            color: 0x374151,
-            roughness: 0.9
+        const materials = {};
+        Object.entries(ROAD_CLASSES).forEach(([key, roadClass]) => {
+            materials[key] = new THREE.MeshStandardMaterial({
+                color: roadClass.color,
+                roughness: 0.9
+            });
         });
 
+        // Highways stand slightly proud of the streets they cross
+        const thickness = roadClass => (roadClass === 'highway' ? 0.08 : 0.05);
+        const addSlab = (width, depth, roadClass, x, y, ground) => {
+            const geometry = new THREE.BoxGeometry(width, thickness(roadClass), depth);
+            const road = new THREE.Mesh(geometry, materials[roadClass]);
+            road.position.set(x - offset, ground + thickness(roadClass) / 2, y - offset);
+            road.receiveShadow = true;
+            this.scene.add(road);
+            this.buildings.push(road);
+        };
+
         for (let y = 0; y < gridSize; y++) {
             for (let x = 0; x < gridSize; x++) {
-                if (this.city.grid[y][x].type === 'road') {
-                    const geometry = new THREE.BoxGeometry(0.95, 0.05, 0.95);
-                    const road = new THREE.Mesh(geometry, roadMaterial);
-                    road.position.set(x - offset + 0.5, 0.025, y - offset + 0.5);
-                    road.receiveShadow = true;
-                    this.scene.add(road);
-                    this.buildings.push(road);
-                }
+                const roadClass = getCellRoadClass(this.city.grid[y][x]);
+                if (!roadClass) continue;
+
+                // Carriageway at the cell center, joined to the next road cell east and south
+                const width = ROAD_CLASSES[roadClass].drawWidth;
+                const ground = this.getGroundHeight(x, y);
+                addSlab(width, width, roadClass, x + 0.5, y + 0.5, ground);
+
+                [[1, 0], [0, 1]].forEach(([dx, dy]) => {
+                    const neighbor = getCellRoadClass(this.city.getZone(x + dx, y + dy));
+                    if (!neighbor) return;
+
+                    // The link takes the narrower of the two roads it joins
+                    const linkClass = ROAD_CLASSES[neighbor].rank < ROAD_CLASSES[roadClass].rank ? neighbor : roadClass;
+                    const linkWidth = ROAD_CLASSES[linkClass].drawWidth;
+                    const linkGround = (ground + this.getGroundHeight(x + dx, y + dy)) / 2;
+                    addSlab(dx ? 1 : linkWidth, dy ? 1 : linkWidth, linkClass, x + 0.5 + dx / 2, y + 0.5 + dy / 2, linkGround);
+                });
             }
         }
     }
@@ -361,6 +557,7 @@ export class Renderer3D {
      */
     setCity(cityModel) {
         this.city = cityModel;
+        this.isochrones = null;
         if (this.isActive) {
             this.buildCity();
         }
@@ -388,10 +585,7 @@ export class Renderer3D {
                 if (b.material) b.material.dispose();
             });
 
-            if (this.ground) {
-                this.ground.geometry.dispose();
-                this.ground.material.dispose();
-            }
+            this.removeGround();
 
             // Dispose renderer
             if (this.renderer) {
@@ -0,0 +1,680 @@
+/* ========================================
+   Smart City Planner - Road Network
+   Graph of intersections, dead ends and the road
+   segments between them, derived from road cells
+   ======================================== */
+
+import { ROAD_CLASSES } from '../utils/constants.js';
+
+const NEIGHBORS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+export class RoadNetwork {
+    /**
+     * @param {number} size - Grid size in cells
+     * @param {Function} roadClassAt - (x, y) => road class key of the cell, or null when it is not a road
+     * @param {number} cellSize - Cell edge length in meters
+     */
+    constructor(size, roadClassAt, cellSize) {
+        this.size = size;
+        this.roadClassAt = roadClassAt;
+        this.cellSize = cellSize;
+        this.reset();
+    }
+
+    /**
+     * Drop every node and edge
+     */
+    reset() {
+        // Node ID is the flat index of its cell
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.nextEdgeId = 1;
+
+        // Flat cell index -> ID of the edge running through it (interior cells only)
+        this.cellEdges = new Map();
+
+        // "node:firstStep" -> edge ID, so each way out of a node is traced once
+        this.exits = new Map();
+    }
+
+    /**
+     * Rebuild the whole graph from the grid
+     */
+    rebuild() {
+        this.reset();
+
+        for (let index = 0; index < this.size * this.size; index++) {
+            if (this.isRoadIndex(index) && this.isNodeCell(index)) this.addNode(index);
+        }
+        this.nodes.forEach(node => this.traceFrom(node.id));
+        this.coverLoops(this.roadIndices());
+    }
+
+    /**
+     * Bring the graph up to date after a cell turned into or stopped being a road,
+     * or changed road class.
+     * Only the edges touching the cell and its neighbors are re-traced.
+     * @param {number} x
+     * @param {number} y
+     */
+    update(x, y) {
+        const center = y * this.size + x;
+        const affected = [center, ...this.neighborIndices(center)];
+        const retrace = new Set();
+        const released = [];
+        const dropNode = index => {
+            [...this.nodes.get(index).edges].forEach(dropEdge);
+            this.nodes.delete(index);
+        };
+        const dropEdge = edgeId => {
+            const edge = this.edges.get(edgeId);
+            if (!edge) return;
+            this.removeEdge(edge);
+            released.push(...edge.cells);
+            [edge.from, edge.to].forEach(end => {
+                if (retrace.has(end)) return;
+                retrace.add(end);
+                // A ring's anchor is only kept while the ring is closed
+                if (this.nodes.get(end)?.kind === 'bend') dropNode(end);
+            });
+        };
+
+        affected.forEach(index => {
+            if (this.nodes.has(index)) {
+                dropNode(index);
+            } else if (this.cellEdges.has(index)) {
+                dropEdge(this.cellEdges.get(index));
+            }
+        });
+
+        affected.forEach(index => {
+            if (this.isRoadIndex(index) && this.isNodeCell(index)) {
+                this.addNode(index);
+                retrace.add(index);
+            }
+        });
+
+        retrace.forEach(id => {
+            if (this.nodes.has(id)) this.traceFrom(id);
+        });
+        this.coverLoops([...released, ...affected].filter(index => this.isRoadIndex(index)));
+    }
+
+    /**
+     * Change the cell size and rescale edge lengths
+     * @param {number} cellSize - Meters
+     */
+    setCellSize(cellSize) {
+        this.cellSize = cellSize;
+        this.edges.forEach(edge => this.measureEdge(edge));
+    }
+
+    // === Queries ===
+
+    /**
+     * Node at a cell
+     * @returns {Object|null}
+     */
+    getNodeAt(x, y) {
+        if (!this.inBounds(x, y)) return null;
+        return this.nodes.get(y * this.size + x) || null;
+    }
+
+    /**
+     * Edge running through a cell; null for node cells and non-road cells
+     * @returns {Object|null}
+     */
+    getEdgeAt(x, y) {
+        if (!this.inBounds(x, y)) return null;
+        return this.edges.get(this.cellEdges.get(y * this.size + x)) || null;
+    }
+
+    /**
+     * Nodes reachable from a node over one edge
+     * @param {number} nodeId
+     * @returns {Array<{node: Object, edge: Object}>}
+     */
+    getNeighbors(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return [];
+
+        return [...node.edges].map(edgeId => {
+            const edge = this.edges.get(edgeId);
+            return { node: this.nodes.get(edge.from === nodeId ? edge.to : edge.from), edge };
+        });
+    }
+
+    /**
+     * Connected parts of the network, largest first
+     * @returns {Array<Array<number>>} Node IDs per component
+     */
+    getComponents() {
+        const seen = new Set();
+        const components = [];
+
+        this.nodes.forEach((_, start) => {
+            if (seen.has(start)) return;
+
+            const component = [start];
+            seen.add(start);
+            for (let i = 0; i < component.length; i++) {
+                this.getNeighbors(component[i]).forEach(({ node }) => {
+                    if (!seen.has(node.id)) {
+                        seen.add(node.id);
+                        component.push(node.id);
+                    }
+                });
+            }
+            components.push(component);
+        });
+
+        return components.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Whether two road cells are joined by the network
+     * @returns {boolean}
+     */
+    isConnected(x1, y1, x2, y2) {
+        return this.findPath(x1, y1, x2, y2) !== null;
+    }
+
+    /**
+     * Shortest or fastest route between two road cells
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {Object} [options]
+     * @param {'length' | 'time'} [options.by] - Minimize distance in meters or travel time in seconds
+     * @returns {{cost: number, length: number, nodes: Array<number>, edges: Array<number>}|null} Null when unreachable
+     */
+    findPath(x1, y1, x2, y2, { by = 'length' } = {}) {
+        const start = this.locate(x1, y1);
+        const goal = this.locate(x2, y2);
+        if (!start || !goal) return null;
+
+        // Cost of part of an edge, pro rata by steps
+        const cost = (edge, steps) => (edge ? (by === 'time' ? edge.travelTime : edge.length) * steps / edge.steps : 0);
+
+        const distances = new Map();
+        const previous = new Map();
+        const queue = new MinHeap();
+        start.entries.forEach(({ node, steps }) => {
+            distances.set(node, cost(start.edge, steps));
+            queue.push(node, cost(start.edge, steps));
+        });
+
+        const exits = new Map(goal.entries.map(({ node, steps }) => [node, cost(goal.edge, steps)]));
+        let best = Infinity;
+        let bestNode = null;
+
+        // Both cells on the same segment: walking along it may beat going round
+        if (start.edge && start.edge === goal.edge) {
+            best = cost(start.edge, Math.abs(start.offset - goal.offset));
+        }
+
+        while (queue.size > 0) {
+            const { item: nodeId, priority } = queue.pop();
+            if (priority > distances.get(nodeId) || priority >= best) continue;
+
+            if (exits.has(nodeId) && priority + exits.get(nodeId) < best) {
+                best = priority + exits.get(nodeId);
+                bestNode = nodeId;
+            }
+
+            this.getNeighbors(nodeId).forEach(({ node, edge }) => {
+                const distance = priority + cost(edge, edge.steps);
+                if (distance < (distances.get(node.id) ?? Infinity)) {
+                    distances.set(node.id, distance);
+                    previous.set(node.id, { node: nodeId, edge: edge.id });
+                    queue.push(node.id, distance);
+                }
+            });
+        }
+
+        if (bestNode === null) {
+            if (best === Infinity) return null;
+            return {
+                cost: best,
+                length: Math.abs(start.offset - goal.offset) * this.cellSize,
+                nodes: [],
+                edges: [start.edge.id]
+            };
+        }
+
+        const nodes = [bestNode];
+        const edges = [];
+        for (let step = previous.get(bestNode); step; step = previous.get(step.node)) {
+            nodes.unshift(step.node);
+            edges.unshift(step.edge);
+        }
+        // Length of the route, including the partial segments at either end
+        let length = 0;
+        edges.forEach(id => { length += this.edges.get(id).length; });
+        const entry = start.entries.find(e => e.node === nodes[0]);
+        const exit = goal.entries.find(e => e.node === bestNode);
+        length += (entry.steps + exit.steps) * this.cellSize;
+
+        if (start.edge) edges.unshift(start.edge.id);
+        if (goal.edge) edges.push(goal.edge.id);
+
+        return { cost: best, length, nodes, edges };
+    }
+
+    /**
+     * Road cells along the fastest route between two road cells, for animating vehicles
+     * @returns {Array<number>|null} Flat indices from start to goal; null when unreachable
+     */
+    getRouteCells(x1, y1, x2, y2) {
+        const path = this.findPath(x1, y1, x2, y2, { by: 'time' });
+        if (!path) return null;
+
+        const start = this.locate(x1, y1);
+        const goal = this.locate(x2, y2);
+        if (path.nodes.length === 0) return walkEdge(start.edge, start.offset, goal.offset);
+
+        const { nodes } = path;
+        const through = path.edges.slice(start.edge ? 1 : 0, goal.edge ? -1 : undefined);
+        const cells = start.edge
+            ? walkEdge(start.edge, start.offset, endOffset(start.edge, nodes[0], start.offset))
+            : [y1 * this.size + x1];
+
+        through.forEach((id, i) => {
+            const edge = this.edges.get(id);
+            const from = nodes[i] === edge.from ? 0 : edge.steps;
+            cells.push(...walkEdge(edge, from, edge.steps - from).slice(1));
+        });
+
+        if (goal.edge) {
+            const last = nodes[nodes.length - 1];
+            cells.push(...walkEdge(goal.edge, endOffset(goal.edge, last, goal.offset), goal.offset).slice(1));
+        }
+        return cells;
+    }
+
+    /**
+     * Cheapest cost from one road cell to every node, for routing many trips from the same origin
+     * @param {number} x
+     * @param {number} y
+     * @param {Function} edgeCost - (edge) => cost of driving the whole edge
+     * @returns {{start: Object, edgeCost: Function, costs: Map, previous: Map}|null} Null off the network
+     */
+    getShortestPathTree(x, y, edgeCost) {
+        const start = this.locate(x, y);
+        if (!start) return null;
+
+        const costs = new Map();
+        const previous = new Map();
+        const queue = new MinHeap();
+        start.entries.forEach(({ node, steps }) => {
+            const cost = start.edge ? edgeCost(start.edge) * steps / start.edge.steps : 0;
+            if (cost < (costs.get(node) ?? Infinity)) {
+                costs.set(node, cost);
+                queue.push(node, cost);
+            }
+        });
+
+        while (queue.size > 0) {
+            const { item: nodeId, priority } = queue.pop();
+            if (priority > costs.get(nodeId)) continue;
+
+            this.getNeighbors(nodeId).forEach(({ node, edge }) => {
+                const cost = priority + edgeCost(edge);
+                if (cost < (costs.get(node.id) ?? Infinity)) {
+                    costs.set(node.id, cost);
+                    previous.set(node.id, { node: nodeId, edge: edge.id });
+                    queue.push(node.id, cost);
+                }
+            });
+        }
+
+        return { start, edgeCost, costs, previous };
+    }
+
+    /**
+     * Route from a shortest path tree's origin to a road cell
+     * @param {Object} tree - From getShortestPathTree
+     * @param {number} x
+     * @param {number} y
+     * @returns {{cost: number, edges: Array<number>}|null} Edges driven, including partly driven end segments; null when unreachable
+     */
+    getRouteFromTree(tree, x, y) {
+        const goal = this.locate(x, y);
+        if (!goal) return null;
+
+        const { start, edgeCost } = tree;
+        let best = Infinity;
+        let exitNode = null;
+
+        // Both cells on the same segment: driving along it may beat going round
+        if (start.edge && start.edge === goal.edge) {
+            best = edgeCost(start.edge) * Math.abs(start.offset - goal.offset) / start.edge.steps;
+        }
+
+        goal.entries.forEach(({ node, steps }) => {
+            const cost = (tree.costs.get(node) ?? Infinity) + (goal.edge ? edgeCost(goal.edge) * steps / goal.edge.steps : 0);
+            if (cost < best) {
+                best = cost;
+                exitNode = node;
+            }
+        });
+
+        if (best === Infinity) return null;
+        if (exitNode === null) return { cost: best, edges: [start.edge.id] };
+
+        const edges = [];
+        for (let step = tree.previous.get(exitNode); step; step = tree.previous.get(step.node)) {
+            edges.unshift(step.edge);
+        }
+        if (start.edge) edges.unshift(start.edge.id);
+        if (goal.edge) edges.push(goal.edge.id);
+
+        return { cost: best, edges };
+    }
+
+    /**
+     * Network totals
+     * @returns {{nodes: number, intersections: number, deadEnds: number, edges: number, length: number, lengthByClass: Object, components: number}}
+     */
+    getSummary() {
+        let intersections = 0;
+        let deadEnds = 0;
+        this.nodes.forEach(node => {
+            if (node.kind === 'intersection') intersections++;
+            if (node.kind === 'deadEnd') deadEnds++;
+        });
+
+        let length = 0;
+        this.edges.forEach(edge => { length += edge.length; });
+
+        // Road cells of each class, so segments that mix classes split correctly
+        const lengthByClass = {};
+        Object.keys(ROAD_CLASSES).forEach(roadClass => { lengthByClass[roadClass] = 0; });
+        [...this.nodes.keys(), ...this.cellEdges.keys()].forEach(index => {
+            lengthByClass[this.roadClassOf(index)] += this.cellSize;
+        });
+
+        return {
+            nodes: this.nodes.size,
+            intersections,
+            deadEnds,
+            edges: this.edges.size,
+            length,
+            lengthByClass,
+            components: this.getComponents().length
+        };
+    }
+
+    /**
+     * Serializable form
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            cellSize: this.cellSize,
+            nodes: [...this.nodes.values()].map(node => ({
+                id: node.id,
+                x: node.x,
+                y: node.y,
+                kind: node.kind
+            })),
+            edges: [...this.edges.values()].map(edge => ({
+                id: edge.id,
+                from: edge.from,
+                to: edge.to,
+                roadClass: edge.roadClass,
+                length: edge.length,
+                capacity: edge.capacity,
+                travelTime: edge.travelTime,
+                cells: edge.cells
+            }))
+        };
+    }
+
+    // === Graph construction ===
+
+    inBounds(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size;
+    }
+
+    isRoad(x, y) {
+        return this.roadClassAt(x, y) !== null;
+    }
+
+    isRoadIndex(index) {
+        return this.isRoad(index % this.size, Math.floor(index / this.size));
+    }
+
+    roadClassOf(index) {
+        return this.roadClassAt(index % this.size, Math.floor(index / this.size));
+    }
+
+    /**
+     * Road cells beside a cell
+     * @param {number} index
+     * @returns {Array<number>}
+     */
+    neighborIndices(index) {
+        const x = index % this.size;
+        const y = Math.floor(index / this.size);
+        const neighbors = [];
+        NEIGHBORS_4.forEach(([dx, dy]) => {
+            if (this.inBounds(x + dx, y + dy) && this.isRoad(x + dx, y + dy)) {
+                neighbors.push((y + dy) * this.size + x + dx);
+            }
+        });
+        return neighbors;
+    }
+
+    roadIndices() {
+        const indices = [];
+        for (let index = 0; index < this.size * this.size; index++) {
+            if (this.isRoadIndex(index)) indices.push(index);
+        }
+        return indices;
+    }
+
+    /**
+     * Cells where the road does anything but continue: junctions, dead ends and lone cells
+     */
+    isNodeCell(index) {
+        return this.neighborIndices(index).length !== 2;
+    }
+
+    addNode(index) {
+        const degree = this.neighborIndices(index).length;
+        const node = {
+            id: index,
+            x: index % this.size,
+            y: Math.floor(index / this.size),
+            kind: degree >= 3 ? 'intersection' : degree === 1 ? 'deadEnd' : degree === 0 ? 'isolated' : 'bend',
+            edges: new Set()
+        };
+        this.nodes.set(index, node);
+        return node;
+    }
+
+    /**
+     * Trace every untraced way out of a node to the next node
+     * @param {number} nodeId
+     */
+    traceFrom(nodeId) {
+        this.neighborIndices(nodeId).forEach(first => {
+            if (this.exits.has(`${nodeId}:${first}`)) return;
+
+            const cells = [nodeId];
+            let previous = nodeId;
+            let current = first;
+            while (!this.nodes.has(current)) {
+                cells.push(current);
+                const next = this.neighborIndices(current).find(n => n !== previous);
+                previous = current;
+                current = next;
+            }
+            cells.push(current);
+
+            this.addEdge(cells);
+        });
+    }
+
+    /**
+     * @param {Array<number>} cells - Flat indices from one node to another, both included
+     */
+    addEdge(cells) {
+        const from = cells[0];
+        const to = cells[cells.length - 1];
+        const edge = { id: this.nextEdgeId++, from, to, cells, steps: cells.length - 1 };
+        this.measureEdge(edge);
+
+        this.edges.set(edge.id, edge);
+        this.nodes.get(from).edges.add(edge.id);
+        this.nodes.get(to).edges.add(edge.id);
+        this.exits.set(`${from}:${cells[1]}`, edge.id);
+        this.exits.set(`${to}:${cells[cells.length - 2]}`, edge.id);
+        cells.slice(1, -1).forEach(index => this.cellEdges.set(index, edge.id));
+        return edge;
+    }
+
+    /**
+     * Set an edge's length, travel time, bottleneck capacity and dominant road class
+     * @param {Object} edge
+     */
+    measureEdge(edge) {
+        const classes = edge.cells.map(index => ROAD_CLASSES[this.roadClassOf(index)]);
+        // End nodes belong to every road meeting there, so only the cells between them describe the edge
+        const own = classes.length > 2 ? classes.slice(1, -1) : classes;
+        const counts = new Map();
+        own.forEach(roadClass => counts.set(roadClass, (counts.get(roadClass) || 0) + 1));
+
+        // Each step is driven at the mean design speed of the two cells it joins
+        let travelTime = 0;
+        for (let i = 1; i < classes.length; i++) {
+            const speed = (classes[i - 1].speed + classes[i].speed) / 2 / 3.6;
+            travelTime += this.cellSize / speed;
+        }
+
+        const dominant = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || b[0].rank - a[0].rank)[0][0];
+
+        edge.roadClass = Object.keys(ROAD_CLASSES).find(key => ROAD_CLASSES[key] === dominant);
+        edge.length = edge.steps * this.cellSize;
+        edge.travelTime = travelTime;
+        edge.capacity = Math.min(...own.map(roadClass => roadClass.capacity));
+    }
+
+    removeEdge(edge) {
+        this.edges.delete(edge.id);
+        this.nodes.get(edge.from)?.edges.delete(edge.id);
+        this.nodes.get(edge.to)?.edges.delete(edge.id);
+        this.exits.delete(`${edge.from}:${edge.cells[1]}`);
+        this.exits.delete(`${edge.to}:${edge.cells[edge.cells.length - 2]}`);
+        edge.cells.slice(1, -1).forEach(index => {
+            if (this.cellEdges.get(index) === edge.id) this.cellEdges.delete(index);
+        });
+    }
+
+    /**
+     * Closed rings have no junction to start from; give any uncovered
+     * road cell among the candidates a node so the ring is traced from it
+     * @param {Array<number>} candidates - Flat indices of road cells
+     */
+    coverLoops(candidates) {
+        // Lowest index first, so a ring gets the same anchor however it was built
+        [...candidates].sort((a, b) => a - b).forEach(index => {
+            if (this.nodes.has(index) || this.cellEdges.has(index)) return;
+            this.addNode(index);
+            this.traceFrom(index);
+        });
+    }
+
+    /**
+     * Where a road cell sits in the graph: its node, or the two nodes
+     * at the ends of its edge with the steps to each
+     * @returns {{edge: Object|null, offset: number, entries: Array<{node: number, steps: number}>}|null}
+     */
+    locate(x, y) {
+        if (!this.inBounds(x, y)) return null;
+        const index = y * this.size + x;
+
+        if (this.nodes.has(index)) {
+            return { edge: null, offset: 0, entries: [{ node: index, steps: 0 }] };
+        }
+
+        const edge = this.edges.get(this.cellEdges.get(index));
+        if (!edge) return null;
+
+        const offset = edge.cells.indexOf(index);
+        return {
+            edge,
+            offset,
+            entries: [
+                { node: edge.from, steps: offset },
+                { node: edge.to, steps: edge.steps - offset }
+            ]
+        };
+    }
+}
+
+/**
+ * Cells of an edge between two offsets, in driving order
+ * @returns {Array<number>}
+ */
+function walkEdge(edge, from, to) {
+    return from <= to ? edge.cells.slice(from, to + 1) : edge.cells.slice(to, from + 1).reverse();
+}
+
+/**
+ * Offset of an end node on an edge; on a loop both ends are the same node, so take the nearer one
+ * @returns {number}
+ */
+function endOffset(edge, node, offset) {
+    if (edge.from === edge.to) return offset <= edge.steps - offset ? 0 : edge.steps;
+    return node === edge.from ? 0 : edge.steps;
+}
+
+/**
+ * Binary min-heap of items by priority
+ */
+export class MinHeap {
+    constructor() {
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(item, priority) {
+        const heap = this.heap;
+        heap.push({ item, priority });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].priority <= heap[i].priority) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+                if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
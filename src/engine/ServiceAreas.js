@@ -0,0 +1,170 @@
+/* ========================================
+   Smart City Planner - Service Areas
+   Homes each school, hospital, fire station and transit hub serves
+   within its distance along the street grid and its capacity
+   ======================================== */
+
+import { ZONE_TYPES, SERVICE_AREAS } from '../utils/constants.js';
+import { getCellMetrics, getCellComposition } from '../utils/zoneUtils.js';
+
+const NEIGHBORS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+export class ServiceAreas {
+    constructor(cityModel) {
+        this.city = cityModel;
+        this.results = null;
+    }
+
+    /**
+     * Allocate homes to facilities, nearest first, reusing the last run until the city changes
+     * @returns {{revision: number, types: Array<Object>, unserved: Float64Array, unservedResidents: number}}
+     *   unserved holds the residents per cell outside the service area of at least one type
+     */
+    run() {
+        if (this.results && this.results.revision === this.city.revision) return this.results;
+
+        const { gridSize: size, grid } = this.city;
+        const homes = new Map();
+        for (let index = 0; index < size * size; index++) {
+            const cell = grid[Math.floor(index / size)][index % size];
+            const population = getCellMetrics(cell).population;
+            if (getCellComposition(cell).residential && population > 0) homes.set(index, population);
+        }
+        const residents = [...homes.values()].reduce((sum, population) => sum + population, 0);
+
+        // Share of each home's residents left without at least one service
+        const unservedShare = new Float64Array(size * size);
+        const types = Object.keys(this.city.serviceAreas).map(type => {
+            const served = this.allocate(type, homes);
+            let unserved = 0;
+            homes.forEach((population, index) => {
+                const missing = population - (served.get(index) || 0);
+                unserved += missing;
+                unservedShare[index] = Math.max(unservedShare[index], missing / population);
+            });
+
+            return {
+                type,
+                name: ZONE_TYPES[type].name,
+                ...this.city.serviceAreas[type],
+                facilities: this.getFacilities(type).length,
+                unserved: Math.round(unserved),
+                coverage: residents > 0 ? Math.round((residents - unserved) / residents * 100) : 100
+            };
+        });
+
+        const unserved = new Float64Array(size * size);
+        homes.forEach((population, index) => { unserved[index] = population * unservedShare[index]; });
+
+        this.results = {
+            revision: this.city.revision,
+            types,
+            unserved,
+            unservedResidents: Math.round(unserved.reduce((sum, value) => sum + value, 0))
+        };
+        return this.results;
+    }
+
+    /**
+     * Residents per home served by one type: every facility takes the nearest homes
+     * within its network distance first, until its capacity runs out
+     * @param {string} type
+     * @param {Map<number, number>} homes - Cell index to residents
+     * @returns {Map<number, number>} Cell index to residents served
+     */
+    allocate(type, homes) {
+        const { distance, capacity } = this.city.serviceAreas[type];
+        const { footprint } = ZONE_TYPES[type];
+        const limit = distance / this.city.cellSize;
+
+        const facilities = this.getFacilities(type).map(cells => ({
+            // Partly painted facilities serve their share, as in CityModel.calculateServiceCoverage;
+            // a group of transit hub cells is one hub
+            remaining: footprint ? capacity * cells.length / (footprint * footprint) : capacity,
+            reach: this.getNetworkDistances(cells, limit)
+        }));
+
+        const pairs = [];
+        facilities.forEach(facility => {
+            facility.reach.forEach((cells, index) => {
+                if (homes.has(index)) pairs.push({ facility, index, cells });
+            });
+        });
+        pairs.sort((a, b) => a.cells - b.cells);
+
+        const served = new Map();
+        pairs.forEach(({ facility, index }) => {
+            const taken = Math.min(facility.remaining, homes.get(index) - (served.get(index) || 0));
+            if (taken <= 0) return;
+            facility.remaining -= taken;
+            served.set(index, (served.get(index) || 0) + taken);
+        });
+        return served;
+    }
+
+    /**
+     * Cells of each facility of a type: 4-connected groups of its cells
+     * @param {string} type
+     * @returns {Array<Array<number>>}
+     */
+    getFacilities(type) {
+        const { gridSize: size, grid } = this.city;
+        const seen = new Uint8Array(size * size);
+        const facilities = [];
+
+        for (let start = 0; start < size * size; start++) {
+            if (seen[start] || grid[Math.floor(start / size)][start % size].type !== type) continue;
+
+            const cells = [start];
+            seen[start] = 1;
+            for (let i = 0; i < cells.length; i++) {
+                const x = cells[i] % size;
+                const y = Math.floor(cells[i] / size);
+                NEIGHBORS_4.forEach(([dx, dy]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const next = ny * size + nx;
+                    if (nx < 0 || ny < 0 || nx >= size || ny >= size || seen[next] || grid[ny][nx].type !== type) return;
+                    seen[next] = 1;
+                    cells.push(next);
+                });
+            }
+            facilities.push(cells);
+        }
+        return facilities;
+    }
+
+    /**
+     * Distance in cells from a facility to every cell within the limit along the street grid:
+     * blocks are walked edge to edge, and water is crossed only on roads
+     * @param {Array<number>} cells - The facility's cells
+     * @param {number} limit - Cells
+     * @returns {Map<number, number>} Cell index to distance in cells
+     */
+    getNetworkDistances(cells, limit) {
+        const { gridSize: size, grid, terrain } = this.city;
+        const reach = new Map(cells.map(index => [index, 0]));
+        const queue = [...cells];
+
+        // Breadth-first: every step is one block
+        for (let i = 0; i < queue.length; i++) {
+            const index = queue[i];
+            const distance = reach.get(index);
+            if (distance + 1 > limit) continue;
+
+            const x = index % size;
+            const y = Math.floor(index / size);
+            NEIGHBORS_4.forEach(([dx, dy]) => {
+                const nx = x + dx;
+                const ny = y + dy;
+                const next = ny * size + nx;
+                if (nx < 0 || ny < 0 || nx >= size || ny >= size || reach.has(next)) return;
+                if (terrain.isWater(nx, ny) && grid[ny][nx].type !== 'road') return;
+                reach.set(next, distance + 1);
+                queue.push(next);
+            });
+        }
+
+        return reach;
+    }
+}
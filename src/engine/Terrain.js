@@ -0,0 +1,338 @@
+/* ========================================
+   Smart City Planner - Terrain
+   Elevation, water and protected land under the zone grid
+   ======================================== */
+
+import {
+    ZONE_TYPES,
+    TERRAIN_TYPES,
+    TERRAIN_PRESETS,
+    DEFAULT_TERRAIN,
+    MAX_BUILDABLE_SLOPE,
+    STEEP_SLOPE_ZONES
+} from '../utils/constants.js';
+import { createValueNoise } from '../utils/helpers.js';
+
+// Elevation of water surfaces below the surrounding land, in meters
+const WATER_DEPTH = -3;
+
+// Lowest land elevation, so banks stand above the water
+const SHORE_ELEVATION = 1;
+
+const NEIGHBORS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+export class Terrain {
+    /**
+     * @param {number} size - Grid size in cells
+     */
+    constructor(size) {
+        this.size = size;
+        this.preset = DEFAULT_TERRAIN;
+        this.elevation = new Array(size * size).fill(0);
+        this.kinds = new Array(size * size).fill('land');
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    inBounds(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size;
+    }
+
+    /**
+     * Terrain kind at a cell
+     * @returns {'land' | 'water' | 'protected' | null}
+     */
+    getKind(x, y) {
+        return this.inBounds(x, y) ? this.kinds[y * this.size + x] : null;
+    }
+
+    /**
+     * Elevation at a cell in meters (water surfaces are below zero)
+     */
+    getElevation(x, y) {
+        return this.inBounds(x, y) ? this.elevation[y * this.size + x] : 0;
+    }
+
+    /**
+     * Highest land elevation on the site
+     */
+    getMaxElevation() {
+        return Math.max(SHORE_ELEVATION, ...this.elevation);
+    }
+
+    isWater(x, y) {
+        return this.getKind(x, y) === 'water';
+    }
+
+    /**
+     * Steepest rise to a neighboring land cell, in meters
+     */
+    getSlope(x, y) {
+        if (this.isWater(x, y)) return 0;
+
+        const own = this.getElevation(x, y);
+        return NEIGHBORS_4.reduce((max, [dx, dy]) => {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (!this.inBounds(nx, ny) || this.isWater(nx, ny)) return max;
+            return Math.max(max, Math.abs(this.getElevation(nx, ny) - own));
+        }, 0);
+    }
+
+    /**
+     * Why a zone type may not be placed on a cell
+     * @param {number} x
+     * @param {number} y
+     * @param {string} type
+     * @returns {string|null} Reason, or null when placement is allowed
+     */
+    getRestriction(x, y, type) {
+        const kind = TERRAIN_TYPES[this.getKind(x, y)];
+        if (!kind) return null;
+
+        if (kind.allowed && !kind.allowed.includes(type)) {
+            return `${ZONE_TYPES[type]?.name || type} cannot be built on ${kind.name.toLowerCase()}`;
+        }
+        if (!STEEP_SLOPE_ZONES.includes(type) && this.getSlope(x, y) > MAX_BUILDABLE_SLOPE) {
+            return `Slope is too steep for ${(ZONE_TYPES[type]?.name || type).toLowerCase()}`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a zone type may be placed on a cell
+     */
+    canPlace(x, y, type) {
+        return this.getRestriction(x, y, type) === null;
+    }
+
+    /**
+     * Share of the site that can take buildings (0-1)
+     */
+    getBuildableShare() {
+        let buildable = 0;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.canPlace(x, y, 'residential')) buildable++;
+            }
+        }
+        return buildable / (this.size * this.size);
+    }
+
+    /**
+     * Serializable form; kinds are packed into a string of TERRAIN_TYPES codes
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            preset: this.preset,
+            elevation: this.elevation.map(e => Math.round(e * 10) / 10),
+            kinds: this.kinds.map(kind => TERRAIN_TYPES[kind].code).join('')
+        };
+    }
+
+    /**
+     * Restore terrain saved with toJSON
+     * @param {Object} data
+     * @param {number} size
+     * @returns {Terrain}
+     */
+    static fromJSON(data, size) {
+        const terrain = new Terrain(size);
+        // Anything but a full grid of finite elevations falls back to flat land
+        if (!data || !Array.isArray(data.elevation) || data.elevation.length !== size * size ||
+            !data.elevation.every(Number.isFinite)) {
+            return terrain;
+        }
+
+        const byCode = {};
+        Object.entries(TERRAIN_TYPES).forEach(([kind, def]) => { byCode[def.code] = kind; });
+
+        terrain.preset = data.preset || DEFAULT_TERRAIN;
+        terrain.elevation = data.elevation.slice();
+        terrain.kinds = Array.from(data.kinds || '', code => byCode[code] || 'land');
+        if (terrain.kinds.length !== size * size) {
+            terrain.kinds = new Array(size * size).fill('land');
+        }
+        return terrain;
+    }
+
+    /**
+     * Generate terrain from a preset
+     * @param {number} size
+     * @param {string} presetId - Key of TERRAIN_PRESETS
+     * @param {Function} random - Seeded generator
+     * @returns {Terrain}
+     */
+    static generate(size, presetId, random) {
+        const id = TERRAIN_PRESETS[presetId] ? presetId : DEFAULT_TERRAIN;
+        const preset = TERRAIN_PRESETS[id];
+        const terrain = new Terrain(size);
+        terrain.preset = id;
+
+        // Broad landforms plus finer undulation
+        const broad = createValueNoise(random, size, Math.max(8, size / 3));
+        const fine = createValueNoise(random, size, Math.max(4, size / 10));
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const height = broad(x, y) * 0.75 + fine(x, y) * 0.25;
+                terrain.elevation[y * size + x] = SHORE_ELEVATION + height * preset.relief;
+            }
+        }
+
+        const carve = TERRAIN_CARVERS[id];
+        if (carve) carve(terrain, random);
+
+        // Water surfaces sit below the land
+        terrain.kinds.forEach((kind, i) => {
+            if (kind === 'water') terrain.elevation[i] = WATER_DEPTH;
+        });
+
+        return terrain;
+    }
+}
+
+/**
+ * Mark water cells, lowering the land towards them
+ * @param {Terrain} terrain
+ * @param {Function} isWater - (x, y) => boolean
+ * @param {number} valley - Cells over which land slopes down to the water
+ */
+function carveWater(terrain, isWater, valley) {
+    const size = terrain.size;
+    const water = [];
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (isWater(x, y)) {
+                terrain.kinds[y * size + x] = 'water';
+                water.push({ x, y });
+            }
+        }
+    }
+    if (water.length === 0) return;
+
+    // Distance to the nearest water cell flattens the banks
+    const distances = new Array(size * size).fill(Infinity);
+    const queue = water.map(({ x, y }) => y * size + x);
+    queue.forEach(i => { distances[i] = 0; });
+    for (let i = 0; i < queue.length; i++) {
+        const index = queue[i];
+        const x = index % size;
+        const y = Math.floor(index / size);
+        if (distances[index] >= valley) continue;
+        NEIGHBORS_4.forEach(([dx, dy]) => {
+            const nx = x + dx;
+            const ny = y + dy;
+            const n = ny * size + nx;
+            if (terrain.inBounds(nx, ny) && distances[n] === Infinity) {
+                distances[n] = distances[index] + 1;
+                queue.push(n);
+            }
+        });
+    }
+
+    distances.forEach((distance, i) => {
+        if (distance > 0 && distance < valley) {
+            const t = distance / valley;
+            terrain.elevation[i] = SHORE_ELEVATION + (terrain.elevation[i] - SHORE_ELEVATION) * t;
+        }
+    });
+}
+
+/**
+ * Mark the highest land as protected
+ * @param {Terrain} terrain
+ * @param {number} share - Share of land cells to protect
+ */
+function protectHighGround(terrain, share) {
+    const land = terrain.elevation
+        .map((elevation, i) => ({ elevation, i }))
+        .filter(({ i }) => terrain.kinds[i] === 'land')
+        .sort((a, b) => b.elevation - a.elevation);
+
+    land.slice(0, Math.floor(land.length * share)).forEach(({ i }) => {
+        terrain.kinds[i] = 'protected';
+    });
+}
+
+// Preset-specific water bodies and protected areas
+const TERRAIN_CARVERS = {
+    river(terrain, random) {
+        const size = terrain.size;
+        const meander = createValueNoise(random, size, Math.max(6, size / 5));
+        const base = size * (0.3 + random() * 0.4);
+        const amplitude = size * 0.12;
+        const width = Math.max(2, Math.round(size / 30));
+        const phase = random() * Math.PI * 2;
+
+        const centerAt = x => base + Math.sin(x / size * Math.PI * 2 + phase) * amplitude * 0.6
+            + (meander(x, 0) - 0.5) * amplitude;
+
+        carveWater(terrain, (x, y) => Math.abs(y - centerAt(x)) <= width / 2, Math.max(4, size / 8));
+    },
+
+    lake(terrain, random) {
+        const size = terrain.size;
+        const shore = createValueNoise(random, size, Math.max(4, size / 12));
+        const cx = size * (0.25 + random() * 0.5);
+        const cy = size * (0.25 + random() * 0.5);
+        const rx = size * (0.1 + random() * 0.06);
+        const ry = size * (0.08 + random() * 0.06);
+        const reach = (x, y) => Math.hypot((x - cx) / rx, (y - cy) / ry) - (shore(x, y) - 0.5) * 0.5;
+
+        carveWater(terrain, (x, y) => reach(x, y) <= 1, Math.max(4, size / 10));
+
+        // Wetland ring along part of the shore
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const i = y * size + x;
+                const r = reach(x, y);
+                if (terrain.kinds[i] === 'land' && r > 1 && r <= 1.25 && y > cy) {
+                    terrain.kinds[i] = 'protected';
+                }
+            }
+        }
+    },
+
+    coast(terrain, random) {
+        const size = terrain.size;
+        const coastline = createValueNoise(random, size, Math.max(5, size / 8));
+        carveWater(terrain, (x, y) => x > size * (0.78 + (coastline(0, y) - 0.5) * 0.16), Math.max(4, size / 8));
+    },
+
+    harbor(terrain, random) {
+        const size = terrain.size;
+        const coastline = createValueNoise(random, size, Math.max(5, size / 8));
+        const channelY = size * (0.45 + random() * 0.1);
+        const channelEnd = size * (0.35 + random() * 0.1);
+        const width = Math.max(2, Math.round(size / 25));
+        const basinX = channelEnd;
+        const basinR = width * 1.8;
+
+        carveWater(terrain, (x, y) => {
+            const sea = x > size * (0.8 + (coastline(0, y) - 0.5) * 0.1);
+            // Channel bends gently as it runs inland from the sea
+            const bend = Math.sin((x / size) * Math.PI) * width;
+            const channel = x >= channelEnd && Math.abs(y - channelY - bend) <= width / 2;
+            const basin = Math.hypot(x - basinX, y - channelY) <= basinR;
+            return sea || channel || basin;
+        }, Math.max(3, size / 12));
+    },
+
+    hills(terrain, random) {
+        // Short, sharp ridges on top of the broad relief give slopes too steep to build on
+        const size = terrain.size;
+        const ridges = createValueNoise(random, size, Math.max(3, size / 16));
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const ridge = 1 - Math.abs(ridges(x, y) * 2 - 1);
+                terrain.elevation[y * size + x] += ridge * ridge * 18;
+            }
+        }
+        protectHighGround(terrain, 0.08);
+    }
+};
@@ -0,0 +1,506 @@
+/* ========================================
+   Smart City Planner - Traffic Model
+   Trip generation from zones, gravity distribution,
+   capacity-restrained assignment to the road network
+   and intersection delay
+   ======================================== */
+
+import { ROAD_CLASSES, TRAFFIC_MODEL, HOURLY_TRAFFIC_PROFILE, CONGESTION_LEVELS, SIGNAL_SETTINGS, LEVEL_OF_SERVICE } from '../utils/constants.js';
+import { clamp } from '../utils/helpers.js';
+import { getCellMetrics, getCellDestinationJobs } from '../utils/zoneUtils.js';
+import { ModeSplitModel } from './ModeSplitModel.js';
+
+export class TrafficModel {
+    /**
+     * @param {CityModel} cityModel
+     * @param {ModeSplitModel} [modeSplit] - Decides the share of each zone's trips made by car
+     */
+    constructor(cityModel, modeSplit = new ModeSplitModel(cityModel)) {
+        this.city = cityModel;
+        this.modeSplit = modeSplit;
+        this.results = null;
+    }
+
+    /**
+     * Run the model for the morning peak hour, reusing the last run until the city,
+     * its mode split or its signal timing changes
+     * @returns {Object} Peak-hour results
+     */
+    run() {
+        const split = this.modeSplit.run();
+        if (this.results && this.results.split === split && this.results.roads === this.city.roads &&
+            this.results.signalsRevision === this.city.signalsRevision) {
+            return this.results;
+        }
+
+        const roads = this.city.roads;
+        const zones = this.buildZones(split);
+        const origins = zones.filter(zone => zone.productions > 0);
+        const destinations = zones.filter(zone => zone.attractions > 0);
+
+        // Free-flow travel times between zones, in minutes
+        const freeFlow = edge => edge.travelTime;
+        const trees = new Map(origins.map(zone => [zone, roads.getShortestPathTree(zone.access.x, zone.access.y, freeFlow)]));
+
+        const demand = [];
+        let unroutedTrips = 0;
+        origins.forEach(origin => {
+            const tree = trees.get(origin);
+            const reachable = [];
+            destinations.forEach(destination => {
+                if (destination === origin) return;
+                const route = tree && roads.getRouteFromTree(tree, destination.access.x, destination.access.y);
+                if (route) reachable.push({ destination, weight: destination.attractions * Math.exp(-TRAFFIC_MODEL.deterrence * route.cost / 60) });
+            });
+
+            // Production-constrained gravity model: every trip produced goes somewhere reachable
+            const total = reachable.reduce((sum, r) => sum + r.weight, 0);
+            if (total === 0) {
+                unroutedTrips += origin.productions;
+                return;
+            }
+            reachable.forEach(({ destination, weight }) => {
+                demand.push({ origin, destination, trips: origin.productions * weight / total });
+            });
+        });
+
+        // Incremental assignment: load a share of the demand, re-route on congested times
+        // and junction delays, repeat
+        const volumes = new Map();
+        const volumeOf = edge => volumes.get(edge.id) || 0;
+        let junctionDelays = new Map();
+        const congested = edge => this.getCongestedTime(edge, volumeOf(edge)) +
+            ((junctionDelays.get(edge.from) || 0) + (junctionDelays.get(edge.to) || 0)) / 2;
+        for (let step = 0; step < TRAFFIC_MODEL.increments; step++) {
+            if (step > 0) {
+                junctionDelays = new Map(this.evaluateIntersections(volumeOf).map(i => [i.id, i.delay]));
+                origins.forEach(zone => trees.set(zone, roads.getShortestPathTree(zone.access.x, zone.access.y, congested)));
+            }
+            demand.forEach(({ origin, destination, trips }) => {
+                const route = roads.getRouteFromTree(trees.get(origin), destination.access.x, destination.access.y);
+                route.edges.forEach(id => {
+                    volumes.set(id, (volumes.get(id) || 0) + trips / TRAFFIC_MODEL.increments);
+                });
+            });
+        }
+
+        let vehicleKm = 0;
+        let vehicleHours = 0;
+        const edges = new Map();
+        roads.edges.forEach(edge => {
+            const volume = volumes.get(edge.id) || 0;
+            const capacity = this.getTwoWayCapacity(edge);
+            vehicleKm += volume * edge.length / 1000;
+            vehicleHours += volume * this.getCongestedTime(edge, volume) / 3600;
+            edges.set(edge.id, { volume, capacity, ratio: volume / capacity });
+        });
+        this.evaluateIntersections(volumeOf).forEach(intersection => {
+            vehicleHours += intersection.volume * intersection.delay / 3600;
+        });
+
+        const trips = origins.reduce((sum, zone) => sum + zone.productions, 0);
+        const routedTrips = demand.reduce((sum, d) => sum + d.trips, 0);
+
+        this.results = {
+            split,
+            roads,
+            signalsRevision: this.city.signalsRevision,
+            zones: zones.length,
+            trips: Math.round(trips),
+            routedTrips: Math.round(routedTrips),
+            unroutedTrips: Math.round(unroutedTrips),
+            vehicleKm: Math.round(vehicleKm),
+            avgTripMinutes: routedTrips > 0 ? Math.round((vehicleHours * 60 / routedTrips) * 10) / 10 : 0,
+            edges,
+            demand,
+            vehicleRoutes: null
+        };
+        return this.results;
+    }
+
+    /**
+     * Share of road length that is heavily, moderately and lightly loaded at a time of day
+     * @param {number} hour - 0-23
+     * @param {number} [minute] - Interpolates towards the next hour
+     * @returns {{heavy: number, moderate: number, light: number}} Percentages summing to 100
+     */
+    getConditions(hour, minute = 0) {
+        const loads = this.getEdgeLoads(hour, minute);
+        const lengths = { heavy: 0, moderate: 0, light: 0 };
+        let total = 0;
+
+        this.city.roads.edges.forEach(edge => {
+            lengths[getCongestionLevel(loads.get(edge.id) || 0)] += edge.length;
+            total += edge.length;
+        });
+
+        if (total === 0) return { heavy: 0, moderate: 0, light: 100 };
+
+        const heavy = Math.round(lengths.heavy / total * 100);
+        const moderate = Math.round(lengths.moderate / total * 100);
+        return { heavy, moderate, light: 100 - heavy - moderate };
+    }
+
+    /**
+     * Volume/capacity ratio of every road segment at a time of day
+     * @param {number} hour
+     * @param {number} [minute]
+     * @returns {Map<number, number>} Edge ID to ratio
+     */
+    getEdgeLoads(hour, minute = 0) {
+        const factor = this.getHourFactor(hour, minute);
+        const loads = new Map();
+        this.run().edges.forEach((load, id) => loads.set(id, load.ratio * factor));
+        return loads;
+    }
+
+    /**
+     * Most loaded road segments at a time of day
+     * @param {number} hour
+     * @param {number} [minute]
+     * @param {number} [limit]
+     * @returns {Array<Object>} Segments by descending volume/capacity ratio
+     */
+    getBottlenecks(hour, minute = 0, limit = 10) {
+        const { roads, gridSize } = this.city;
+        const factor = this.getHourFactor(hour, minute);
+
+        return [...this.run().edges.entries()]
+            .filter(([, load]) => load.volume > 0)
+            .sort((a, b) => b[1].ratio - a[1].ratio)
+            .slice(0, limit)
+            .map(([id, load]) => {
+                const edge = roads.edges.get(id);
+                const middle = edge.cells[Math.floor(edge.cells.length / 2)];
+                const ratio = load.ratio * factor;
+                return {
+                    id,
+                    roadClass: edge.roadClass,
+                    x: middle % gridSize,
+                    y: Math.floor(middle / gridSize),
+                    length: Math.round(edge.length),
+                    volume: Math.round(load.volume * factor),
+                    capacity: load.capacity,
+                    ratio: Math.round(ratio * 100) / 100,
+                    level: getCongestionLevel(ratio)
+                };
+            });
+    }
+
+    /**
+     * Road cell paths of the busiest origin-destination pairs, for animating vehicles
+     * @returns {Array<{cells: Array<number>, trips: number}>} Built once per model run
+     */
+    getVehicleRoutes() {
+        const results = this.run();
+        if (results.vehicleRoutes) return results.vehicleRoutes;
+
+        const roads = this.city.roads;
+        results.vehicleRoutes = results.demand
+            .slice()
+            .sort((a, b) => b.trips - a.trips)
+            .slice(0, TRAFFIC_MODEL.animatedRoutes)
+            .map(({ origin, destination, trips }) => ({
+                cells: roads.getRouteCells(origin.access.x, origin.access.y, destination.access.x, destination.access.y),
+                trips
+            }))
+            .filter(route => route.cells && route.cells.length > 1);
+        return results.vehicleRoutes;
+    }
+
+    /**
+     * Delay and level of service at every intersection at a time of day
+     * @param {number} hour
+     * @param {number} [minute]
+     * @returns {{intersections: Array<Object>, signalized: number, stopControlled: number, averageDelay: number, failing: number}}
+     *   Intersections by descending delay; average delay in seconds per vehicle
+     */
+    getIntersectionReport(hour, minute = 0) {
+        const results = this.run();
+        const factor = this.getHourFactor(hour, minute);
+        const intersections = this.evaluateIntersections(edge => (results.edges.get(edge.id)?.volume || 0) * factor)
+            .sort((a, b) => b.delay - a.delay);
+
+        const volume = intersections.reduce((sum, i) => sum + i.volume, 0);
+        const delay = intersections.reduce((sum, i) => sum + i.volume * i.delay, 0);
+        const signalized = intersections.filter(i => i.control === 'signal').length;
+
+        return {
+            intersections,
+            signalized,
+            stopControlled: intersections.length - signalized,
+            averageDelay: volume > 0 ? Math.round(delay / volume) : 0,
+            failing: intersections.filter(i => i.los === 'F').length
+        };
+    }
+
+    /**
+     * Control delay at every intersection of the network
+     * @param {Function} volumeOf - (edge) => two-way volume, vehicles per hour
+     * @returns {Array<Object>}
+     */
+    evaluateIntersections(volumeOf) {
+        const intersections = [];
+        this.city.roads.nodes.forEach(node => {
+            if (node.kind !== 'intersection') return;
+
+            const approaches = this.getApproaches(node).map(({ edge, cell }) => ({
+                axis: Math.abs(cell - node.id) === 1 ? 'ew' : 'ns',
+                rank: ROAD_CLASSES[edge.roadClass].rank,
+                // Half the two-way volume arrives at each end
+                volume: volumeOf(edge) / 2,
+                saturation: SIGNAL_SETTINGS.saturationFlow * Math.max(1, ROAD_CLASSES[edge.roadClass].lanes / 2)
+            }));
+            const { control, cycle } = this.getIntersectionControl(node, approaches);
+
+            let greens = null;
+            let ratio;
+            let delays;
+            if (control === 'signal') {
+                greens = getSignalGreens(approaches, cycle);
+                const timed = approaches.map(a => getSignalDelay(a.volume, a.saturation, greens[a.axis], cycle));
+                ratio = Math.max(...timed.map(t => t.ratio));
+                delays = timed.map(t => t.delay);
+            } else {
+                ratio = approaches.reduce((sum, a) => sum + a.volume, 0) / SIGNAL_SETTINGS.stopCapacity;
+                delays = approaches.map(() => getStopDelay(ratio, approaches.length));
+            }
+
+            const volume = approaches.reduce((sum, a) => sum + a.volume, 0);
+            const delay = volume > 0
+                ? approaches.reduce((sum, a, i) => sum + a.volume * delays[i], 0) / volume
+                : delays.reduce((sum, d) => sum + d, 0) / delays.length;
+
+            intersections.push({
+                id: node.id,
+                x: node.x,
+                y: node.y,
+                control,
+                cycle: control === 'signal' ? cycle : null,
+                greens,
+                approaches: approaches.length,
+                volume: Math.round(volume),
+                ratio: Math.round(ratio * 100) / 100,
+                delay: Math.round(delay),
+                los: getLevelOfService(delay, control)
+            });
+        });
+        return intersections;
+    }
+
+    /**
+     * Edges arriving at a node with the cell they arrive from; a loop arrives twice
+     * @param {Object} node
+     * @returns {Array<{edge: Object, cell: number}>}
+     */
+    getApproaches(node) {
+        const approaches = [];
+        node.edges.forEach(id => {
+            const edge = this.city.roads.edges.get(id);
+            if (edge.from === node.id) approaches.push({ edge, cell: edge.cells[1] });
+            if (edge.to === node.id) approaches.push({ edge, cell: edge.cells[edge.cells.length - 2] });
+        });
+        return approaches;
+    }
+
+    /**
+     * How an intersection is controlled: the city's override, otherwise signals where major roads meet
+     * @param {Object} node
+     * @param {Array<{rank: number}>} approaches
+     * @returns {{control: 'signal' | 'stop', cycle: number}}
+     */
+    getIntersectionControl(node, approaches) {
+        const override = this.city.signals.controls[node.id] || {};
+        const ranks = approaches.map(a => a.rank).sort((a, b) => b - a);
+        return {
+            control: override.control || (ranks[0] + ranks[1] >= SIGNAL_SETTINGS.signalRank ? 'signal' : 'stop'),
+            cycle: override.cycle || this.city.signals.cycle
+        };
+    }
+
+    /**
+     * Traffic at a time of day as a share of the morning peak
+     * @param {number} hour
+     * @param {number} [minute]
+     * @returns {number}
+     */
+    getHourFactor(hour, minute = 0) {
+        const current = HOURLY_TRAFFIC_PROFILE[hour % 24];
+        const next = HOURLY_TRAFFIC_PROFILE[(hour + 1) % 24];
+        return current + (next - current) * (minute / 60);
+    }
+
+    /**
+     * Capacity of an edge in both directions, vehicles per hour
+     */
+    getTwoWayCapacity(edge) {
+        return edge.capacity * 2;
+    }
+
+    /**
+     * Travel time over an edge under load (BPR function), in seconds
+     * @param {Object} edge
+     * @param {number} volume - Vehicles per hour
+     */
+    getCongestedTime(edge, volume) {
+        const ratio = volume / this.getTwoWayCapacity(edge);
+        return edge.travelTime * (1 + TRAFFIC_MODEL.bprAlpha * Math.pow(ratio, TRAFFIC_MODEL.bprBeta));
+    }
+
+    /**
+     * Group cells into square traffic zones with peak-hour car trip
+     * productions (homes) and attractions (commercial and industrial jobs),
+     * each connected to the network at the road cell nearest its activity
+     * @param {Object} split - Mode split results, on the same zones
+     * @returns {Array<Object>}
+     */
+    buildZones(split) {
+        const { grid, gridSize } = this.city;
+        const { blockSize, carShares } = split;
+        const blocksPerSide = Math.ceil(gridSize / blockSize);
+        const nearestRoad = this.getNearestRoadField();
+
+        const zones = [];
+        for (let by = 0; by < gridSize; by += blockSize) {
+            for (let bx = 0; bx < gridSize; bx += blockSize) {
+                const zone = { x: bx, y: by, productions: 0, attractions: 0, access: null };
+                const carShare = carShares[(by / blockSize) * blocksPerSide + bx / blockSize];
+                let weight = 0;
+                let cx = 0;
+                let cy = 0;
+
+                for (let y = by; y < Math.min(gridSize, by + blockSize); y++) {
+                    for (let x = bx; x < Math.min(gridSize, bx + blockSize); x++) {
+                        const cell = grid[y][x];
+                        const productions = getCellMetrics(cell).population * TRAFFIC_MODEL.peakTripRate * carShare;
+                        const attractions = getCellDestinationJobs(cell);
+
+                        zone.productions += productions;
+                        zone.attractions += attractions;
+                        const activity = productions + attractions * TRAFFIC_MODEL.peakTripRate;
+                        weight += activity;
+                        cx += x * activity;
+                        cy += y * activity;
+                    }
+                }
+
+                if (weight === 0) continue;
+
+                const ax = Math.min(gridSize - 1, Math.round(cx / weight));
+                const ay = Math.min(gridSize - 1, Math.round(cy / weight));
+                const road = nearestRoad[ay * gridSize + ax];
+                if (road < 0) continue;
+
+                zone.access = { x: road % gridSize, y: Math.floor(road / gridSize) };
+                zones.push(zone);
+            }
+        }
+
+        return zones;
+    }
+
+    /**
+     * Nearest road cell to every cell (flat index, -1 where there are no roads)
+     * @returns {Int32Array}
+     */
+    getNearestRoadField() {
+        const { grid, gridSize } = this.city;
+        const nearest = new Int32Array(gridSize * gridSize).fill(-1);
+        const queue = [];
+
+        for (let index = 0; index < gridSize * gridSize; index++) {
+            if (grid[Math.floor(index / gridSize)][index % gridSize].type === 'road') {
+                nearest[index] = index;
+                queue.push(index);
+            }
+        }
+
+        for (let i = 0; i < queue.length; i++) {
+            const index = queue[i];
+            const x = index % gridSize;
+            const y = Math.floor(index / gridSize);
+            [
+                x > 0 ? index - 1 : -1,
+                x < gridSize - 1 ? index + 1 : -1,
+                y > 0 ? index - gridSize : -1,
+                y < gridSize - 1 ? index + gridSize : -1
+            ].forEach(n => {
+                if (n >= 0 && nearest[n] < 0) {
+                    nearest[n] = nearest[index];
+                    queue.push(n);
+                }
+            });
+        }
+
+        return nearest;
+    }
+}
+
+/**
+ * Congestion level for a volume/capacity ratio
+ * @param {number} ratio
+ * @returns {'heavy' | 'moderate' | 'light'}
+ */
+export function getCongestionLevel(ratio) {
+    if (ratio >= CONGESTION_LEVELS.heavy) return 'heavy';
+    if (ratio >= CONGESTION_LEVELS.moderate) return 'moderate';
+    return 'light';
+}
+
+/**
+ * Green time per phase, east-west and north-south, split by critical flow ratio (Webster)
+ * @param {Array<Object>} approaches
+ * @param {number} cycle - Seconds
+ * @returns {{ew: number, ns: number}} Seconds
+ */
+function getSignalGreens(approaches, cycle) {
+    const critical = { ew: 0, ns: 0 };
+    approaches.forEach(a => { critical[a.axis] = Math.max(critical[a.axis], a.volume / a.saturation); });
+
+    const effective = cycle - 2 * SIGNAL_SETTINGS.lostTime;
+    const total = critical.ew + critical.ns;
+    const ew = clamp(effective * (total > 0 ? critical.ew / total : 0.5), SIGNAL_SETTINGS.minGreen, effective - SIGNAL_SETTINGS.minGreen);
+    return { ew, ns: effective - ew };
+}
+
+/**
+ * Webster's delay for a signalized approach, plus the queue that builds over the analysis period once demand exceeds capacity
+ * @param {number} volume - Vehicles per hour
+ * @param {number} saturation - Vehicles per hour of green
+ * @param {number} green - Seconds
+ * @param {number} cycle - Seconds
+ * @returns {{delay: number, ratio: number}} Seconds per vehicle and degree of saturation
+ */
+function getSignalDelay(volume, saturation, green, cycle) {
+    const split = green / cycle;
+    const ratio = volume / (saturation * split);
+    const bounded = Math.min(ratio, 0.95);
+
+    const uniform = cycle * (1 - split) ** 2 / (2 * (1 - split * Math.min(ratio, 1)));
+    const random = volume > 0 ? bounded ** 2 / (2 * (volume / 3600) * (1 - bounded)) : 0;
+    const overflow = ratio > 1 ? 1800 * SIGNAL_SETTINGS.analysisPeriod * (ratio - 1) : 0;
+    return { delay: 0.9 * (uniform + random) + overflow, ratio };
+}
+
+/**
+ * Control delay at a stop-controlled junction (HCM form)
+ * @param {number} ratio - Junction volume over its capacity
+ * @param {number} approaches
+ * @returns {number} Seconds per vehicle
+ */
+function getStopDelay(ratio, approaches) {
+    const period = SIGNAL_SETTINGS.analysisPeriod;
+    const service = 3600 / (SIGNAL_SETTINGS.stopCapacity / approaches);
+    return service + 900 * period * ((ratio - 1) + Math.sqrt((ratio - 1) ** 2 + service * ratio / (450 * period))) + 5;
+}
+
+/**
+ * Level of service A-F for a control delay
+ * @param {number} delay - Seconds per vehicle
+ * @param {'signal' | 'stop'} control
+ * @returns {string}
+ */
+function getLevelOfService(delay, control) {
+    const index = LEVEL_OF_SERVICE[control].findIndex(limit => delay <= limit);
+    return 'ABCDEF'[index < 0 ? 5 : index];
+}
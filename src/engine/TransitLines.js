@@ -0,0 +1,190 @@
+/* ========================================
+   Smart City Planner - Transit Lines
+   Named lines running through an ordered list of stations
+   ======================================== */
+
+import { TRANSIT_MODES, DEFAULT_TRANSIT_MODE, TRANSIT_HEADWAY_RANGE, TRANSIT_LINE_COLORS } from '../utils/constants.js';
+import { clamp, generateId, isHexColor, isPlainId } from '../utils/helpers.js';
+
+export class TransitLines {
+    constructor() {
+        this.list = [];
+        // Bumped on every change, so analyses of the lines know when to recompute
+        this.revision = 0;
+    }
+
+    /**
+     * Create a line with no stations
+     * @param {Object} [options]
+     * @param {string} [options.name]
+     * @param {string} [options.color] - Hex color; the next palette color when omitted
+     * @param {string} [options.mode] - Key of TRANSIT_MODES
+     * @param {number} [options.headway] - Minutes between vehicles; the mode's default when omitted
+     * @returns {Object} The new line
+     */
+    add({ name = '', color = null, mode = DEFAULT_TRANSIT_MODE, headway = null } = {}) {
+        const lineMode = TRANSIT_MODES[mode] ? mode : DEFAULT_TRANSIT_MODE;
+        const line = {
+            id: generateId(),
+            name: name.trim() || `Line ${this.list.length + 1}`,
+            color: color || TRANSIT_LINE_COLORS[this.list.length % TRANSIT_LINE_COLORS.length],
+            mode: lineMode,
+            headway: clampHeadway(headway || TRANSIT_MODES[lineMode].headway),
+            stations: []
+        };
+        this.list.push(line);
+        this.revision++;
+        return line;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.list.find(line => line.id === id) || null;
+    }
+
+    /**
+     * Change a line's name, color, mode or headway; invalid values are ignored
+     * @param {string} id
+     * @param {Object} changes
+     * @returns {boolean} Whether the line exists
+     */
+    update(id, { name, color, mode, headway } = {}) {
+        const line = this.get(id);
+        if (!line) return false;
+
+        if (typeof name === 'string' && name.trim()) line.name = name.trim();
+        if (isHexColor(color)) line.color = color;
+        if (TRANSIT_MODES[mode]) line.mode = mode;
+        if (Number.isFinite(headway) && headway > 0) line.headway = clampHeadway(headway);
+        this.revision++;
+        return true;
+    }
+
+    /**
+     * Delete a line
+     * @param {string} id
+     * @returns {boolean} Whether the line existed
+     */
+    remove(id) {
+        const index = this.list.findIndex(line => line.id === id);
+        if (index < 0) return false;
+        this.list.splice(index, 1);
+        this.revision++;
+        return true;
+    }
+
+    /**
+     * Append a station to the end of a line
+     * @param {string} id
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean} Whether the station was added; a line cannot stop twice in a row at the same cell
+     */
+    addStation(id, x, y) {
+        const line = this.get(id);
+        if (!line) return false;
+
+        const last = line.stations[line.stations.length - 1];
+        if (last && last.x === x && last.y === y) return false;
+
+        line.stations.push({ x, y });
+        this.revision++;
+        return true;
+    }
+
+    /**
+     * Remove one station from a line by its position in the line
+     * @param {string} id
+     * @param {number} index
+     * @returns {boolean} Whether a station was removed
+     */
+    removeStation(id, index) {
+        const line = this.get(id);
+        if (!line || index < 0 || index >= line.stations.length) return false;
+        line.stations.splice(index, 1);
+        this.revision++;
+        return true;
+    }
+
+    /**
+     * Remove every station at a cell from all lines, e.g. once its transit hub is gone
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean} Whether any line changed
+     */
+    removeStationsAt(x, y) {
+        let changed = false;
+        this.list.forEach(line => {
+            const stations = line.stations.filter(s => s.x !== x || s.y !== y);
+            if (stations.length !== line.stations.length) {
+                line.stations = stations;
+                changed = true;
+            }
+        });
+        if (changed) this.revision++;
+        return changed;
+    }
+
+    /**
+     * Every station cell with the lines that stop there
+     * @returns {Array<{x: number, y: number, lines: Array<string>}>}
+     */
+    getStations() {
+        const stations = new Map();
+        this.list.forEach(line => {
+            line.stations.forEach(({ x, y }) => {
+                const key = `${x},${y}`;
+                if (!stations.has(key)) stations.set(key, { x, y, lines: [] });
+                const station = stations.get(key);
+                if (!station.lines.includes(line.id)) station.lines.push(line.id);
+            });
+        });
+        return [...stations.values()];
+    }
+
+    /**
+     * Serializable form
+     * @returns {Array<Object>}
+     */
+    toJSON() {
+        return this.list.map(line => ({ ...line, stations: line.stations.map(s => ({ ...s })) }));
+    }
+
+    /**
+     * Restore lines saved with toJSON
+     * @param {Array<Object>} data
+     * @returns {TransitLines}
+     */
+    static fromJSON(data) {
+        const lines = new TransitLines();
+        if (!Array.isArray(data)) return lines;
+
+        data.forEach(line => {
+            if (!line || !Array.isArray(line.stations)) return;
+            const mode = TRANSIT_MODES[line.mode] ? line.mode : DEFAULT_TRANSIT_MODE;
+            // Ids and colors end up in markup, so anything unexpected from a file is replaced
+            lines.list.push({
+                id: isPlainId(line.id) && !lines.get(line.id) ? line.id : generateId(),
+                name: typeof line.name === 'string' && line.name.trim() ? line.name : `Line ${lines.list.length + 1}`,
+                color: isHexColor(line.color) ? line.color : TRANSIT_LINE_COLORS[lines.list.length % TRANSIT_LINE_COLORS.length],
+                mode,
+                headway: clampHeadway(Number(line.headway) || TRANSIT_MODES[mode].headway),
+                stations: line.stations
+                    .filter(s => s && Number.isInteger(s.x) && Number.isInteger(s.y))
+                    .map(s => ({ x: s.x, y: s.y }))
+            });
+        });
+        return lines;
+    }
+}
+
+/**
+ * @param {number} headway - Minutes
+ * @returns {number}
+ */
+function clampHeadway(headway) {
+    return clamp(Math.round(headway), TRANSIT_HEADWAY_RANGE.min, TRANSIT_HEADWAY_RANGE.max);
+}
@@ -3,21 +3,24 @@
    Enhanced with 3D, PDF Export, City Comparison
    ======================================== */
 
-import { Chart, ArcElement, Tooltip, Legend, DoughnutController, LineController, LineElement, PointElement, LinearScale, CategoryScale, Filler } from 'chart.js';
+import { Chart, ArcElement, Tooltip, Legend, DoughnutController, LineController, LineElement, PointElement, LinearScale, CategoryScale, Filler, BarController, BarElement } from 'chart.js';
 import { CityModel } from './engine/CityModel.js';
 import { Renderer } from './engine/Renderer.js';
 import { Renderer3D } from './engine/Renderer3D.js';
 import { Metrics } from './engine/Metrics.js';
 import { Simulator } from './engine/Simulator.js';
+import { Isochrones } from './engine/Isochrones.js';
 import { AIGenerator } from './ai/AIGenerator.js';
 import { ReportGenerator } from './utils/ReportGenerator.js';
+import { GtfsFeed } from './utils/GtfsFeed.js';
 import { CityStorage } from './utils/CityStorage.js';
 import { getSampleCity, getSampleCityList } from './utils/sampleCities.js';
-import { CITY_SIZES, SCENARIOS, CITY_PRESETS } from './utils/constants.js';
-import { formatNumber, showToast, debounce } from './utils/helpers.js';
+import { getLayoutStrategyList, getLayoutStrategy, DEFAULT_LAYOUT_STRATEGY } from './engine/LayoutStrategies.js';
+import { CITY_SIZES, SCENARIOS, CITY_PRESETS, ZONE_TYPES, DEFAULT_DENSITY, MIXED_USE_PRESETS, DEFAULT_MIXED_USE, TERRAIN_PRESETS, DEFAULT_TERRAIN, ROAD_CLASSES, DEFAULT_ROAD_CLASS, SIGNAL_SETTINGS, TRANSIT_MODES, DEFAULT_TRANSIT_MODE, TRANSIT_HEADWAY_RANGE, MODE_CHOICE, ISOCHRONE_MODES, DEFAULT_ISOCHRONE_MODE, ISOCHRONE_BANDS, ISOCHRONE_SPEED_RANGE, CELL_SIZE_RANGE, SERVICE_AREAS, JOBS_HOUSING, AIR_DISPERSION, URBAN_HEAT } from './utils/constants.js';
+import { formatNumber, formatWindDirection, showToast, debounce, escapeHtml } from './utils/helpers.js';
 
 // Register Chart.js components
-Chart.register(ArcElement, Tooltip, Legend, DoughnutController, LineController, LineElement, PointElement, LinearScale, CategoryScale, Filler);
+Chart.register(ArcElement, Tooltip, Legend, DoughnutController, LineController, LineElement, PointElement, LinearScale, CategoryScale, Filler, BarController, BarElement);
 
 class SmartCityApp {
     constructor() {
@@ -28,19 +31,28 @@ class SmartCityApp {
         this.renderer = new Renderer(this.canvas, this.city);
         this.renderer3D = null;
         this.metrics = new Metrics(this.city);
+        this.traffic = this.metrics.traffic;
         this.simulator = new Simulator(this.city);
         this.aiGenerator = new AIGenerator();
         this.cityStorage = new CityStorage();
 
         // State
         this.currentTool = 'select';
+        this.currentDensity = DEFAULT_DENSITY;
+        this.currentDistrict = null;
+        this.currentTransitLine = null;
+        // Cell picked with the travel time tool
+        this.isochroneOrigin = null;
+        this.placementWarning = null;
         this.isDrawing = false;
         this.is3DMode = false;
         this.isSimulating = false;
         this.chart = null;
+        this.accessChart = null;
         this.trafficChart = null;
         this.trafficSimRunning = false;
-        this.trafficSimTime = 0;
+        // Minutes since midnight; starts at the morning peak
+        this.trafficSimTime = 8 * 60;
         this.trafficSimInterval = null;
         this.trafficData = {
             labels: [],
@@ -58,6 +70,7 @@ class SmartCityApp {
         this.setupCanvas();
         this.initUI();
         this.initChart();
+        this.initAccessChart();
         this.initTrafficChart();
         this.updateDashboard();
         this.loadApiKey();
@@ -73,6 +86,8 @@ class SmartCityApp {
             transitRatio: 0.1
         });
         this.renderer.render();
+        this.updateSeedDisplay();
+        this.updateGenerationReport();
         this.updateDashboard();
 
         // Start animation loop
@@ -106,6 +121,105 @@ class SmartCityApp {
             btn.addEventListener('click', () => this.selectTool(btn.dataset.tool));
         });
 
+        // Mixed-use composition; picking one switches to the mixed-use tool
+        const mixSelect = document.getElementById('mix-select');
+        mixSelect.innerHTML = Object.entries(MIXED_USE_PRESETS)
+            .map(([id, preset]) => `<option value="${id}">${preset.name}</option>`)
+            .join('');
+        mixSelect.value = DEFAULT_MIXED_USE;
+        mixSelect.addEventListener('change', () => this.selectTool('mixed'));
+
+        // Road class; picking one switches to the road tool
+        const roadClassSelect = document.getElementById('road-class-select');
+        roadClassSelect.innerHTML = Object.entries(ROAD_CLASSES)
+            .sort((a, b) => b[1].rank - a[1].rank)
+            .map(([id, roadClass]) => `<option value="${id}">${roadClass.name}</option>`)
+            .join('');
+        roadClassSelect.value = DEFAULT_ROAD_CLASS;
+        roadClassSelect.addEventListener('change', () => this.selectTool('road'));
+
+        // District painting; picking a district switches to the district tool
+        document.getElementById('district-select').addEventListener('change', (e) => {
+            this.selectDistrict(e.target.value || null);
+        });
+        document.getElementById('btn-add-district').addEventListener('click', () => this.addDistrict());
+        document.getElementById('district-name-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addDistrict();
+        });
+
+        // Transit lines; picking a line switches to the station tool
+        const transitModeSelect = document.getElementById('transit-mode-select');
+        transitModeSelect.innerHTML = Object.entries(TRANSIT_MODES)
+            .map(([id, mode]) => `<option value="${id}">${mode.name}</option>`)
+            .join('');
+        transitModeSelect.value = DEFAULT_TRANSIT_MODE;
+        document.getElementById('transit-line-select').addEventListener('change', (e) => {
+            this.selectTransitLine(e.target.value || null);
+        });
+        document.getElementById('btn-add-transit-line').addEventListener('click', () => this.addTransitLine());
+        document.getElementById('transit-line-name-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addTransitLine();
+        });
+        document.getElementById('btn-export-gtfs').addEventListener('click', () => this.exportGtfs());
+        document.getElementById('btn-import-gtfs').addEventListener('click', () => {
+            document.getElementById('gtfs-file-input').click();
+        });
+        document.getElementById('gtfs-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importGtfs(file);
+        });
+
+        // Travel time reach from a picked cell
+        const isochroneModeSelect = document.getElementById('isochrone-mode-select');
+        isochroneModeSelect.innerHTML = Object.entries(ISOCHRONE_MODES)
+            .map(([id, mode]) => `<option value="${id}">${mode.name}</option>`)
+            .join('');
+        isochroneModeSelect.value = DEFAULT_ISOCHRONE_MODE;
+        isochroneModeSelect.addEventListener('change', () => this.updateIsochrones());
+
+        [['walk', MODE_CHOICE.walkSpeed], ['bike', MODE_CHOICE.bikeSpeed]].forEach(([mode, speed]) => {
+            const slider = document.getElementById(`${mode}-speed-slider`);
+            slider.min = ISOCHRONE_SPEED_RANGE[mode].min;
+            slider.max = ISOCHRONE_SPEED_RANGE[mode].max;
+            slider.value = speed;
+            document.getElementById(`${mode}-speed-value`).textContent = `${speed} km/h`;
+            slider.addEventListener('input', (e) => {
+                document.getElementById(`${mode}-speed-value`).textContent = `${e.target.value} km/h`;
+                this.updateIsochrones();
+            });
+        });
+
+        const cellSizeInput = document.getElementById('cell-size-input');
+        cellSizeInput.min = CELL_SIZE_RANGE.min;
+        cellSizeInput.max = CELL_SIZE_RANGE.max;
+        cellSizeInput.addEventListener('change', (e) => this.setCellSize(Number(e.target.value)));
+
+        document.getElementById('isochrone-legend').innerHTML = ISOCHRONE_BANDS.map(band => `
+        <div class="legend-item">
+          <span class="legend-color" style="background: ${band.color}"></span>
+          <span>Within ${band.minutes} min</span>
+        </div>
+      `).join('');
+
+        // Prevailing wind for the air pollution model; recomputed once the slider is released
+        const windSpeedSlider = document.getElementById('wind-speed-slider');
+        windSpeedSlider.min = AIR_DISPERSION.windSpeedRange.min;
+        windSpeedSlider.max = AIR_DISPERSION.windSpeedRange.max;
+        document.getElementById('wind-direction-slider').addEventListener('input', (e) => {
+            document.getElementById('wind-direction-value').textContent = formatWindDirection(Number(e.target.value));
+        });
+        windSpeedSlider.addEventListener('input', (e) => {
+            document.getElementById('wind-speed-value').textContent = `${e.target.value} m/s`;
+        });
+        document.getElementById('wind-direction-slider').addEventListener('change', (e) => this.setWind({ direction: Number(e.target.value) }));
+        windSpeedSlider.addEventListener('change', (e) => this.setWind({ speed: Number(e.target.value) }));
+
+        // Density tier for zone painting
+        document.querySelectorAll('.density-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectDensity(btn.dataset.density));
+        });
+
         // Zoom controls
         document.getElementById('btn-zoom-in').addEventListener('click', () => {
             this.renderer.zoomIn();
@@ -155,6 +269,32 @@ class SmartCityApp {
             document.getElementById('green-value').textContent = `${e.target.value}%`;
         });
 
+        // Layout strategies
+        const strategySelect = document.getElementById('strategy-select');
+        strategySelect.innerHTML = getLayoutStrategyList()
+            .map(s => `<option value="${s.id}">${s.name}</option>`)
+            .join('');
+        strategySelect.value = DEFAULT_LAYOUT_STRATEGY;
+        strategySelect.addEventListener('change', () => this.updateStrategyDescription());
+        this.updateStrategyDescription();
+
+        // Site terrain
+        const terrainSelect = document.getElementById('terrain-select');
+        terrainSelect.innerHTML = Object.entries(TERRAIN_PRESETS)
+            .map(([id, preset]) => `<option value="${id}">${preset.name}</option>`)
+            .join('');
+        terrainSelect.value = DEFAULT_TERRAIN;
+        terrainSelect.addEventListener('change', () => this.updateTerrainDescription());
+        this.updateTerrainDescription();
+
+        document.getElementById('tolerance-slider').addEventListener('input', (e) => {
+            document.getElementById('tolerance-value').textContent = `±${e.target.value}%`;
+        });
+
+        document.getElementById('seed-input').addEventListener('input', (e) => {
+            document.getElementById('seed-value').textContent = e.target.value.trim() || 'Random';
+        });
+
         // Scenarios
         document.querySelectorAll('.scenario-btn').forEach(btn => {
             btn.addEventListener('click', () => this.applyScenario(btn.dataset.scenario));
@@ -174,6 +314,12 @@ class SmartCityApp {
         document.querySelectorAll('[data-layer]').forEach(checkbox => {
             checkbox.addEventListener('change', () => {
                 this.renderer.toggleLayer(checkbox.dataset.layer, checkbox.checked);
+                if (['congestion', 'traffic'].includes(checkbox.dataset.layer) && checkbox.checked) {
+                    this.updateTrafficLayers();
+                }
+                if (checkbox.dataset.layer === 'isochrones' && this.renderer3D) {
+                    this.renderer3D.setIsochrones(checkbox.checked ? this.renderer.isochrones : null);
+                }
             });
         });
 
@@ -221,6 +367,18 @@ class SmartCityApp {
 
         // Traffic Simulation
         document.getElementById('btn-toggle-traffic-sim').addEventListener('click', () => this.toggleTrafficSimulation());
+        document.getElementById('signal-cycle-slider').addEventListener('input', (e) => {
+            document.getElementById('signal-cycle-value').textContent = `${e.target.value} s`;
+        });
+        document.getElementById('signal-cycle-slider').addEventListener('change', (e) => {
+            this.city.setSignalCycle(parseInt(e.target.value));
+            this.updateTrafficLayers();
+        });
+        document.getElementById('traffic-hour-slider').addEventListener('input', (e) => {
+            this.trafficSimTime = parseInt(e.target.value) * 60;
+            this.updateTrafficTime();
+            this.updateTrafficLayers();
+        });
 
         // Canvas interactions
         this.canvas.addEventListener('mousedown', (e) => this.onCanvasMouseDown(e));
@@ -246,6 +404,7 @@ class SmartCityApp {
             if (!this.renderer3D) {
                 this.renderer3D = new Renderer3D(container3D, this.city);
             }
+            this.renderer3D.setIsochrones(this.renderer.layers.isochrones ? this.renderer.isochrones : null);
 
             // Switch to 3D
             canvas2D.style.display = 'none';
@@ -340,6 +499,8 @@ class SmartCityApp {
                     this.city = new CityModel(newSize);
                     this.renderer.setCity(this.city);
                     this.metrics = new Metrics(this.city);
+                    this.traffic = this.metrics.traffic;
+                    this.isochroneOrigin = null;
                     this.simulator = new Simulator(this.city);
                     if (this.renderer3D) {
                         this.renderer3D.setCity(this.city);
@@ -347,8 +508,13 @@ class SmartCityApp {
                     document.getElementById('grid-size').textContent = `${newSize} × ${newSize}`;
                 }
 
-                this.city.generateLayout(result.params);
+                this.city.generateLayout({
+                    ...result.params,
+                    ...this.getGenerationOptions()
+                });
                 this.renderer.render();
+                this.updateSeedDisplay();
+                this.updateGenerationReport();
 
                 if (this.is3DMode && this.renderer3D) {
                     this.renderer3D.buildCity();
@@ -391,6 +557,8 @@ class SmartCityApp {
                 this.city = new CityModel(sample.gridSize);
                 this.renderer.setCity(this.city);
                 this.metrics = new Metrics(this.city);
+                this.traffic = this.metrics.traffic;
+                this.isochroneOrigin = null;
                 this.simulator = new Simulator(this.city);
                 if (this.renderer3D) {
                     this.renderer3D.setCity(this.city);
@@ -399,8 +567,16 @@ class SmartCityApp {
             }
 
             this.city.name = sample.name;
-            this.city.generateLayout(sample.ratios);
+            const options = this.getGenerationOptions();
+            this.city.generateLayout({
+                ...sample.ratios,
+                ...options,
+                strategy: sample.strategy || options.strategy,
+                terrain: sample.terrain || options.terrain
+            });
             this.renderer.render();
+            this.updateSeedDisplay();
+            this.updateGenerationReport();
 
             if (this.is3DMode && this.renderer3D) {
                 this.renderer3D.buildCity();
@@ -473,6 +649,8 @@ class SmartCityApp {
             this.city = new CityModel(cityData.gridSize);
             this.renderer.setCity(this.city);
             this.metrics = new Metrics(this.city);
+            this.traffic = this.metrics.traffic;
+            this.isochroneOrigin = null;
             if (this.renderer3D) {
                 this.renderer3D.setCity(this.city);
             }
@@ -480,6 +658,8 @@ class SmartCityApp {
 
         this.city.importData(cityData);
         this.renderer.render();
+        this.updateSeedDisplay();
+        this.updateGenerationReport();
 
         if (this.is3DMode && this.renderer3D) {
             this.renderer3D.buildCity();
@@ -630,6 +810,21 @@ class SmartCityApp {
         if (this.currentTool === 'select') {
             this.renderer.startPan(e.offsetX, e.offsetY);
             this.canvas.style.cursor = 'grabbing';
+        } else if (ZONE_TYPES[this.currentTool]?.footprint) {
+            // Facilities are stamped whole, one per click
+            const pos = this.renderer.screenToGrid(e.offsetX, e.offsetY);
+            if (this.city.placeFacility(pos.x, pos.y, this.currentTool)) {
+                this.city.hasUnsavedChanges = true;
+            } else {
+                this.placementWarning = this.city.getPlacementRestriction(pos.x, pos.y, this.currentTool);
+            }
+        } else if (this.currentTool === 'transit-line') {
+            // Stations are added one per click, in line order
+            const pos = this.renderer.screenToGrid(e.offsetX, e.offsetY);
+            this.toggleTransitStation(pos.x, pos.y);
+        } else if (this.currentTool === 'isochrone') {
+            const pos = this.renderer.screenToGrid(e.offsetX, e.offsetY);
+            this.showIsochrones(pos.x, pos.y);
         } else {
             this.isDrawing = true;
             this.draw(e);
@@ -661,6 +856,12 @@ class SmartCityApp {
         this.renderer.stopPan();
         this.canvas.style.cursor = this.currentTool === 'select' ? 'grab' : 'crosshair';
 
+        // One warning per stroke for cells the terrain refused
+        if (this.placementWarning) {
+            showToast(this.placementWarning, 'warning');
+            this.placementWarning = null;
+        }
+
         if (this.city.hasUnsavedChanges) {
             this.updateDashboard();
             this.city.hasUnsavedChanges = false;
@@ -678,8 +879,19 @@ class SmartCityApp {
 
     draw(e) {
         const pos = this.renderer.screenToGrid(e.offsetX, e.offsetY);
-        if (this.city.setZone(pos.x, pos.y, this.currentTool)) {
+        if (this.currentTool === 'district') {
+            if (this.city.setDistrict(pos.x, pos.y, this.currentDistrict)) {
+                this.city.hasUnsavedChanges = true;
+            }
+            return;
+        }
+
+        const composition = MIXED_USE_PRESETS[document.getElementById('mix-select').value]?.composition;
+        const roadClass = document.getElementById('road-class-select').value;
+        if (this.city.setZone(pos.x, pos.y, this.currentTool, { density: this.currentDensity, composition, roadClass })) {
             this.city.hasUnsavedChanges = true;
+        } else {
+            this.placementWarning = this.city.getPlacementRestriction(pos.x, pos.y, this.currentTool) || this.placementWarning;
         }
     }
 
@@ -691,6 +903,10 @@ class SmartCityApp {
         document.querySelectorAll('.tab-panel').forEach(panel => {
             panel.classList.toggle('active', panel.dataset.panel === tabId);
         });
+
+        if (tabId === 'traffic') {
+            this.updateTrafficLayers();
+        }
     }
 
     selectTool(tool) {
@@ -701,6 +917,81 @@ class SmartCityApp {
         this.canvas.style.cursor = tool === 'select' ? 'grab' : 'crosshair';
     }
 
+    selectDensity(density) {
+        this.currentDensity = density;
+        document.querySelectorAll('.density-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.density === density);
+        });
+    }
+
+    /**
+     * Generation settings from the City Parameters panel
+     * @returns {Object}
+     */
+    getGenerationOptions() {
+        return {
+            strategy: document.getElementById('strategy-select').value,
+            seed: this.getLayoutSeed(),
+            terrain: document.getElementById('terrain-select').value,
+            matchRatios: document.getElementById('match-ratios').checked,
+            tolerance: parseInt(document.getElementById('tolerance-slider').value) / 100
+        };
+    }
+
+    /**
+     * Seed typed by the user, or null to draw a fresh one
+     * @returns {string|null}
+     */
+    getLayoutSeed() {
+        const value = document.getElementById('seed-input').value.trim();
+        return value || null;
+    }
+
+    updateGenerationReport() {
+        const section = document.getElementById('generation-report-section');
+        const report = this.city.generationReport;
+        section.classList.toggle('hidden', !report);
+        if (!report) return;
+
+        const summary = document.getElementById('generation-report-summary');
+        const tolerance = Math.round(report.tolerance * 100);
+        const maxError = (report.maxError * 100).toFixed(1);
+        if (report.converged) {
+            summary.textContent = `All zone shares within ±${tolerance}% (max error ${maxError}%, ${report.iterations} rebalancing passes).`;
+        } else if (report.iterations > 0) {
+            summary.textContent = `Rebalancing stopped at max error ${maxError}% (target ±${tolerance}%).`;
+        } else {
+            summary.textContent = `Max error ${maxError}% exceeds ±${tolerance}%. Enable "Match requested zone mix" to rebalance.`;
+        }
+        summary.className = `report-summary ${report.converged ? 'positive' : 'negative'}`;
+
+        const pct = v => `${Math.round(v * 1000) / 10}%`;
+        document.getElementById('generation-report').innerHTML = report.zones.map(z => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${ZONE_TYPES[z.type].name}</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${pct(z.target)}</span>
+            <span class="comparison-diff ${Math.abs(z.error) <= report.tolerance ? 'positive' : 'negative'}">${z.error > 0 ? '+' : ''}${pct(z.error)}</span>
+            <span class="comparison-value">${pct(z.achieved)}</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    updateStrategyDescription() {
+        const strategy = getLayoutStrategy(document.getElementById('strategy-select').value);
+        document.getElementById('strategy-desc').textContent = strategy ? strategy.description : '';
+    }
+
+    updateTerrainDescription() {
+        const preset = TERRAIN_PRESETS[document.getElementById('terrain-select').value];
+        document.getElementById('terrain-desc').textContent = preset ? preset.description : '';
+    }
+
+    updateSeedDisplay() {
+        document.getElementById('city-seed').textContent = this.city.seed ?? '-';
+    }
+
     updateZoomDisplay() {
         document.getElementById('zoom-level').textContent = `${Math.round(this.renderer.scale * 100)}%`;
     }
@@ -726,11 +1017,397 @@ class SmartCityApp {
         document.getElementById('transit-score').textContent = allMetrics.transitScore.value;
         document.getElementById('walkability').textContent = allMetrics.walkability.value;
         document.getElementById('air-quality').textContent = allMetrics.airQuality.status;
+        document.getElementById('service-coverage').textContent = allMetrics.serviceCoverage.label;
+        this.updateFacilityCoverage(allMetrics.serviceCoverage.facilities);
+        this.updateJobsHousing(allMetrics.jobsHousing);
+        this.updateAirPollution(allMetrics.airQuality);
+        this.updateNoise(allMetrics.noise);
+        this.updateHeat(allMetrics.heat);
+        this.updateRoadNetwork(allMetrics.roadNetwork);
+        this.updateDistricts(allMetrics.districts);
+        this.updateModeSplit(allMetrics.modeSplit);
+        this.updateTransitLines(allMetrics.modeSplit);
+        this.updateIsochrones();
+        this.updateFifteenMinute(allMetrics.walkability);
+        this.updateAccessibility(allMetrics.accessibility);
+        this.updateServiceAreas(allMetrics.serviceAreas);
+        this.updateTrafficLayers();
 
         // Update chart
         this.updateChart(allMetrics.zoneDistribution);
     }
 
+    updateFacilityCoverage(facilities) {
+        document.getElementById('facility-coverage').innerHTML = facilities.map(f => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${f.name}</span>
+          <div class="comparison-values">
+            <span class="comparison-diff ${f.coverage >= 80 ? 'positive' : 'negative'}">${f.coverage}%</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    updateRoadNetwork(network) {
+        const rows = [
+            ['Total Length', network.label],
+            ...Object.entries(network.byClass).map(([id, km]) => [ROAD_CLASSES[id].name, `${km} km`]),
+            ['Intersections', formatNumber(network.intersections)],
+            ['Dead Ends', formatNumber(network.deadEnds)],
+            ['Segments', formatNumber(network.segments)]
+        ];
+
+        document.getElementById('road-network').innerHTML = rows.map(([label, value]) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${label}</span>
+          <span class="comparison-value">${value}</span>
+        </div>
+      `).join('') + `
+        <div class="comparison-metric">
+          <span class="comparison-label">Connected Networks</span>
+          <div class="comparison-values">
+            <span class="comparison-diff ${network.components <= 1 ? 'positive' : 'negative'}">${network.components}</span>
+          </div>
+        </div>
+      `;
+    }
+
+    updateDistricts(districts) {
+        const select = document.getElementById('district-select');
+        if (this.currentDistrict && !this.city.districts.get(this.currentDistrict)) {
+            this.currentDistrict = null;
+        }
+        select.innerHTML = '<option value="">No district (erase)</option>' +
+            districts.map(d => `<option value="${d.id}">${escapeHtml(d.name)}</option>`).join('');
+        select.value = this.currentDistrict || '';
+
+        const list = document.getElementById('district-list');
+        if (districts.length === 0) {
+            list.innerHTML = '<p class="empty-state">No districts yet. Add one and paint it on the map.</p>';
+            return;
+        }
+
+        list.innerHTML = districts.map(d => `
+      <div class="saved-city-item district-item ${d.id === this.currentDistrict ? 'active' : ''}" data-id="${d.id}" style="border-left-color: ${d.color}" onclick="app.selectDistrict('${d.id}')">
+        <div class="saved-city-info">
+          <input class="district-name" value="${escapeHtml(d.name)}" onclick="event.stopPropagation()" onchange="app.renameDistrict('${d.id}', this.value)">
+          <span class="saved-city-meta">${d.area} cells | Pop: ${formatNumber(d.population)} | Jobs/Housing: ${d.jobsHousingRatio ?? '-'} | Green: ${d.greenCoverage}% | Score: ${d.sustainabilityScore}</span>
+        </div>
+        <div class="saved-city-actions">
+          <button class="btn btn-sm" onclick="event.stopPropagation(); app.deleteDistrict('${d.id}')">×</button>
+        </div>
+      </div>
+    `).join('');
+    }
+
+    addDistrict() {
+        const input = document.getElementById('district-name-input');
+        const district = this.city.districts.add(input.value);
+        input.value = '';
+        this.selectDistrict(district.id);
+        this.updateDashboard();
+        showToast(`Added "${district.name}". Paint it on the map.`, 'success');
+    }
+
+    renameDistrict(id, name) {
+        if (this.city.districts.rename(id, name)) {
+            this.renderer.render();
+        }
+        this.updateDashboard();
+    }
+
+    deleteDistrict(id) {
+        const district = this.city.districts.get(id);
+        if (!district || !this.city.districts.remove(id)) return;
+
+        this.renderer.render();
+        this.updateDashboard();
+        showToast(`Removed "${district.name}".`, 'success');
+    }
+
+    selectDistrict(id) {
+        this.currentDistrict = id;
+        this.selectTool('district');
+        document.getElementById('district-select').value = id || '';
+        document.querySelectorAll('.district-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.id === id);
+        });
+    }
+
+    updateModeSplit(split) {
+        const modes = [['car', 'Car'], ['transit', 'Transit'], ['bike', 'Bike'], ['walk', 'Walk']];
+        document.getElementById('mode-split').innerHTML = modes.map(([mode, label]) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${label}</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${formatNumber(split.tripsByMode[mode])} trips/h</span>
+            <span class="comparison-diff">${split.shares[mode]}%</span>
+          </div>
+        </div>
+      `).join('') + `
+        <div class="comparison-metric">
+          <span class="comparison-label">Average Trip</span>
+          <span class="comparison-value">${split.avgTripKm} km</span>
+        </div>
+        <div class="comparison-metric">
+          <span class="comparison-label">Residents Near a Station</span>
+          <span class="comparison-value">${split.coverage}%</span>
+        </div>
+      `;
+    }
+
+    updateTransitLines(split) {
+        const lines = this.city.transitLines.list;
+        const ridership = new Map(split.lines.map(line => [line.id, line]));
+        if (this.currentTransitLine && !this.city.transitLines.get(this.currentTransitLine)) {
+            this.currentTransitLine = null;
+        }
+
+        const select = document.getElementById('transit-line-select');
+        select.innerHTML = '<option value="">No line</option>' +
+            lines.map(line => `<option value="${line.id}">${escapeHtml(line.name)}</option>`).join('');
+        select.value = this.currentTransitLine || '';
+
+        const list = document.getElementById('transit-line-list');
+        const modeOptions = (selected) => Object.entries(TRANSIT_MODES)
+            .map(([id, mode]) => `<option value="${id}" ${id === selected ? 'selected' : ''}>${mode.name}</option>`)
+            .join('');
+
+        list.innerHTML = lines.length === 0
+            ? '<p class="empty-state">No transit lines yet. Add one and click its stations on the map.</p>'
+            : lines.map(line => `
+      <div class="saved-city-item transit-line-item ${line.id === this.currentTransitLine ? 'active' : ''}" data-id="${line.id}" style="border-left-color: ${line.color}" onclick="app.selectTransitLine('${line.id}')">
+        <div class="saved-city-info">
+          <input class="transit-line-name" value="${escapeHtml(line.name)}" onclick="event.stopPropagation()" onchange="app.updateTransitLine('${line.id}', { name: this.value })">
+          <span class="saved-city-meta">${line.stations.length} stations | every ${line.headway} min | ${formatNumber(ridership.get(line.id)?.riders || 0)} riders/h | peak load ${ridership.get(line.id)?.loadFactor || 0}%</span>
+          <div class="transit-line-controls" onclick="event.stopPropagation()">
+            <input type="color" value="${line.color}" title="Line color" onchange="app.updateTransitLine('${line.id}', { color: this.value })">
+            <select class="select-input toolbar-select" title="Mode" onchange="app.updateTransitLine('${line.id}', { mode: this.value })">${modeOptions(line.mode)}</select>
+            <input type="number" class="text-input" min="${TRANSIT_HEADWAY_RANGE.min}" max="${TRANSIT_HEADWAY_RANGE.max}" value="${line.headway}" title="Headway (minutes)" onchange="app.updateTransitLine('${line.id}', { headway: Number(this.value) })">
+          </div>
+        </div>
+        <div class="saved-city-actions">
+          <button class="btn btn-sm" onclick="event.stopPropagation(); app.deleteTransitLine('${line.id}')">×</button>
+        </div>
+      </div>
+    `).join('');
+
+        this.updateTransitStations();
+    }
+
+    updateTransitStations() {
+        const container = document.getElementById('transit-station-list');
+        const line = this.city.transitLines.get(this.currentTransitLine);
+        if (!line) {
+            container.innerHTML = '<p class="empty-state">Select a line to see its stations.</p>';
+            return;
+        }
+        if (line.stations.length === 0) {
+            container.innerHTML = `<p class="empty-state">${escapeHtml(line.name)} has no stations yet. Click transit hubs on the map to add them.</p>`;
+            return;
+        }
+
+        // Boardings are for the station as a whole, all lines included
+        const boardings = new Map(this.metrics.getModeSplit().stations.map(s => [`${s.x},${s.y}`, s.boardings]));
+        container.innerHTML = line.stations.map((station, index) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${index + 1}. Hub at ${station.x}, ${station.y}</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${formatNumber(boardings.get(`${station.x},${station.y}`) || 0)} boardings/h</span>
+            <button class="btn btn-sm" onclick="app.removeTransitStation('${line.id}', ${index})">×</button>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    addTransitLine() {
+        const input = document.getElementById('transit-line-name-input');
+        const line = this.city.transitLines.add({
+            name: input.value,
+            mode: document.getElementById('transit-mode-select').value
+        });
+        input.value = '';
+        this.selectTransitLine(line.id);
+        this.renderer.render();
+        this.updateDashboard();
+        showToast(`Added "${line.name}". Click transit hubs on the map to add its stations.`, 'success');
+    }
+
+    updateTransitLine(id, changes) {
+        if (this.city.transitLines.update(id, changes)) {
+            this.renderer.render();
+        }
+        this.updateDashboard();
+    }
+
+    deleteTransitLine(id) {
+        const line = this.city.transitLines.get(id);
+        if (!line || !this.city.transitLines.remove(id)) return;
+
+        this.renderer.render();
+        this.updateDashboard();
+        showToast(`Removed "${line.name}".`, 'success');
+    }
+
+    selectTransitLine(id) {
+        this.currentTransitLine = id;
+        this.selectTool('transit-line');
+        document.getElementById('transit-line-select').value = id || '';
+        document.querySelectorAll('.transit-line-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.id === id);
+        });
+        this.updateTransitStations();
+
+        // The line being edited has to be visible
+        const toggle = document.querySelector('[data-layer="transit"]');
+        if (id && !toggle.checked) {
+            toggle.checked = true;
+            this.renderer.toggleLayer('transit', true);
+        }
+    }
+
+    /**
+     * Add a hub as the selected line's next station, or take the last station off when it is clicked again
+     */
+    toggleTransitStation(x, y) {
+        const line = this.city.transitLines.get(this.currentTransitLine);
+        if (!line) {
+            this.placementWarning = 'Pick a transit line before adding stations.';
+            return;
+        }
+
+        const last = line.stations[line.stations.length - 1];
+        if (last && last.x === x && last.y === y) {
+            this.city.transitLines.removeStation(line.id, line.stations.length - 1);
+            this.city.hasUnsavedChanges = true;
+        } else if (this.city.addTransitStation(line.id, x, y)) {
+            this.city.hasUnsavedChanges = true;
+        } else {
+            this.placementWarning = 'Stations can only be placed on transit hubs.';
+        }
+    }
+
+    removeTransitStation(id, index) {
+        if (!this.city.transitLines.removeStation(id, index)) return;
+
+        this.renderer.render();
+        this.updateDashboard();
+    }
+
+    /**
+     * Show travel time reach from a cell, and switch the layer on to see it
+     */
+    showIsochrones(x, y) {
+        if (!this.city.terrain.inBounds(x, y)) return;
+        this.isochroneOrigin = { x, y };
+        this.updateIsochrones();
+
+        const toggle = document.querySelector('[data-layer="isochrones"]');
+        if (!toggle.checked) {
+            toggle.checked = true;
+            this.renderer.toggleLayer('isochrones', true);
+        }
+    }
+
+    /**
+     * Recompute reach from the picked cell with the current mode, speeds and city
+     */
+    updateIsochrones() {
+        const container = document.getElementById('isochrone-reach');
+        document.getElementById('cell-size-input').value = this.city.cellSize;
+
+        const origin = this.isochroneOrigin;
+        if (!origin || !this.city.terrain.inBounds(origin.x, origin.y)) {
+            this.isochroneOrigin = null;
+            this.renderer.setIsochrones(null);
+            if (this.renderer3D) this.renderer3D.setIsochrones(null);
+            container.innerHTML = '<p class="empty-state">Click a cell with the travel time tool.</p>';
+            return;
+        }
+
+        const mode = document.getElementById('isochrone-mode-select').value;
+        const isochrones = new Isochrones(this.city).compute(origin.x, origin.y, mode, {
+            walk: Number(document.getElementById('walk-speed-slider').value),
+            bike: Number(document.getElementById('bike-speed-slider').value)
+        });
+        this.renderer.setIsochrones(isochrones);
+        if (this.renderer3D) this.renderer3D.setIsochrones(this.renderer.layers.isochrones ? isochrones : null);
+
+        container.innerHTML = `
+        <div class="comparison-metric">
+          <span class="comparison-label">${ISOCHRONE_MODES[mode].name} from ${origin.x}, ${origin.y}</span>
+        </div>
+      ` + isochrones.reach.map(band => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${band.minutes} min | ${band.areaKm2.toFixed(1)} km²</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${formatNumber(band.population)} residents</span>
+            <span class="comparison-diff">${formatNumber(band.jobs)} jobs</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    /**
+     * Amenity coverage behind the walkability score, and the cells for its heatmap
+     */
+    updateFifteenMinute(walkability) {
+        this.renderer.setFifteenMinuteCells(this.metrics.fifteenMinute.run().cells);
+        document.getElementById('fifteen-minute').innerHTML = `
+        <div class="comparison-metric">
+          <span class="comparison-label">15-Minute Index</span>
+          <span class="comparison-value">${walkability.value}%</span>
+        </div>
+        <div class="comparison-metric">
+          <span class="comparison-label">Residents Reaching All</span>
+          <span class="comparison-value">${walkability.complete}%</span>
+        </div>
+      ` + walkability.amenities.map(amenity => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${amenity.name}</span>
+          <span class="comparison-value">${amenity.coverage}% of residents</span>
+        </div>
+      `).join('');
+    }
+
+    /**
+     * Residents served per facility type, with the distance and capacity behind each service area
+     */
+    updateServiceAreas(serviceAreas) {
+        this.renderer.setUnservedCells(this.metrics.serviceAreas.run().unserved);
+        document.getElementById('service-area-list').innerHTML = serviceAreas.types.map(area => `
+        <div class="comparison-metric service-area-item">
+          <span class="comparison-label">${area.name} (${area.facilities})</span>
+          <div class="comparison-values">
+            <input type="number" class="text-input" min="${SERVICE_AREAS.distanceRange.min}" max="${SERVICE_AREAS.distanceRange.max}" step="100" value="${area.distance}" title="Distance along the street grid (m)" onchange="app.setServiceArea('${area.type}', { distance: Number(this.value) })">
+            <input type="number" class="text-input" min="0" step="1000" value="${area.capacity}" title="Residents one facility serves" onchange="app.setServiceArea('${area.type}', { capacity: Number(this.value) })">
+            <span class="comparison-value">${area.coverage}%</span>
+          </div>
+        </div>
+      `).join('') + `
+        <div class="comparison-metric">
+          <span class="comparison-label">Unserved Residents</span>
+          <span class="comparison-value">${formatNumber(serviceAreas.unservedResidents)}</span>
+        </div>
+      `;
+    }
+
+    setServiceArea(type, settings) {
+        this.city.setServiceArea(type, settings);
+        this.updateDashboard();
+    }
+
+    /**
+     * Change the cell edge length; everything measured in meters or minutes follows
+     */
+    setCellSize(meters) {
+        if (this.city.setCellSize(meters)) {
+            this.updateDashboard();
+        } else {
+            document.getElementById('cell-size-input').value = this.city.cellSize;
+        }
+    }
+
     initChart() {
         const ctx = document.getElementById('zone-chart').getContext('2d');
         this.chart = new Chart(ctx, {
@@ -771,6 +1448,173 @@ class SmartCityApp {
         }
     }
 
+    initAccessChart() {
+        const ctx = document.getElementById('access-chart').getContext('2d');
+        this.accessChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    { label: 'Average', data: [], backgroundColor: '#00d4aa', borderRadius: 4 },
+                    { label: 'Worst', data: [], backgroundColor: '#ef4444', borderRadius: 4 }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: '#94a3b8',
+                            usePointStyle: true,
+                            padding: 12,
+                            font: { size: 11 }
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${formatNumber(item.raw)} m`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: '#64748b', font: { size: 10 } }
+                    },
+                    y: {
+                        min: 0,
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                        ticks: {
+                            color: '#64748b',
+                            font: { size: 10 },
+                            callback: (value) => `${value} m`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Citywide jobs-housing ratio and the commute from matching workers to jobs
+     */
+    updateJobsHousing(jobsHousing) {
+        const { min, max } = JOBS_HOUSING.balancedRatio;
+        const balance = { balanced: 'Balanced', 'housing-rich': 'Housing-rich', 'jobs-rich': 'Jobs-rich' }[jobsHousing.balance];
+        const rows = [
+            ['Jobs per Household', jobsHousing.label, `${balance} (${min}-${max})`, jobsHousing.status === 'good'],
+            ['Avg Commute', jobsHousing.avgCommuteKm === null ? '-' : `${jobsHousing.avgCommuteKm} km`, '', jobsHousing.commuteStatus === 'good'],
+            ['Workers with a Local Job', `${formatNumber(jobsHousing.matchedWorkers)} / ${formatNumber(jobsHousing.workers)}`, '', jobsHousing.matchedWorkers === jobsHousing.workers]
+        ];
+
+        document.getElementById('jobs-housing').innerHTML = rows.map(([label, value, note, ok]) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${label}</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${value}</span>
+            ${note ? `<span class="comparison-diff ${ok ? 'positive' : 'negative'}">${note}</span>` : ''}
+          </div>
+        </div>
+      `).join('');
+    }
+
+    /**
+     * Wind settings, exposure figures and the concentration layer
+     */
+    updateAirPollution(airQuality) {
+        const { direction, speed } = this.city.wind;
+        document.getElementById('wind-direction-slider').value = direction;
+        document.getElementById('wind-direction-value').textContent = formatWindDirection(direction);
+        document.getElementById('wind-speed-slider').value = speed;
+        document.getElementById('wind-speed-value').textContent = `${speed} m/s`;
+        this.renderer.setPollution(this.metrics.airDispersion.run().concentration, this.city.wind);
+
+        const rows = [
+            ['Average Exposure', `${airQuality.averageExposure} µg/m³`, airQuality.averageExposure <= AIR_DISPERSION.threshold],
+            ['Peak', `${airQuality.peak} µg/m³`, airQuality.peak <= AIR_DISPERSION.threshold],
+            [`Residents Above ${AIR_DISPERSION.threshold} µg/m³`, `${formatNumber(airQuality.exposed)} (${airQuality.exposedShare}%)`, airQuality.exposed === 0]
+        ];
+        document.getElementById('air-exposure').innerHTML = rows.map(([label, value, ok]) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${label}</span>
+          <div class="comparison-values">
+            <span class="comparison-diff ${ok ? 'positive' : 'negative'}">${value}</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    /**
+     * Residents above each noise threshold and the noise layer
+     */
+    updateNoise(noise) {
+        this.renderer.setNoiseLevels(this.metrics.noise.run().levels);
+
+        document.getElementById('noise-exposure').innerHTML = noise.thresholds.map(t => `
+        <div class="comparison-metric">
+          <span class="comparison-label">Residents Above ${t.db} dB</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${formatNumber(t.residents)}</span>
+            <span class="comparison-diff ${t.status === 'excellent' || t.status === 'good' ? 'positive' : 'negative'}">${t.share}%</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    /**
+     * Heat-vulnerable residents, resident temperatures and the thermal layer
+     */
+    updateHeat(heat) {
+        this.renderer.setTemperatures(this.metrics.heatIsland.run().temperatures);
+
+        const rows = [
+            ['Average for Residents', `${heat.averageResidentTemperature}°C (+${heat.intensity}°C)`, heat.intensity < URBAN_HEAT.vulnerableAbove],
+            ['Hottest Cell', `${heat.peak}°C`, heat.peak < URBAN_HEAT.ruralTemperature + URBAN_HEAT.vulnerableAbove],
+            ['Heat-Vulnerable Residents', `${formatNumber(heat.value)} (${heat.label})`, heat.status === 'excellent' || heat.status === 'good']
+        ];
+        document.getElementById('heat-exposure').innerHTML = rows.map(([label, value, ok]) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${label}</span>
+          <div class="comparison-values">
+            <span class="comparison-diff ${ok ? 'positive' : 'negative'}">${value}</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    setWind(wind) {
+        this.city.setWind(wind);
+        this.updateDashboard();
+    }
+
+    /**
+     * Distances from homes to the nearest park, transit hub and commercial area, and their heatmaps
+     */
+    updateAccessibility(targets) {
+        this.renderer.setAccessFields(this.metrics.accessibility.run().fields);
+
+        if (this.accessChart) {
+            this.accessChart.data.labels = targets.map(t => t.name);
+            this.accessChart.data.datasets[0].data = targets.map(t => t.average ?? 0);
+            this.accessChart.data.datasets[1].data = targets.map(t => t.worst ?? 0);
+            this.accessChart.update();
+        }
+
+        document.getElementById('access-distances').innerHTML = targets.map(target => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${target.name}</span>
+          <div class="comparison-values">
+            ${target.average === null
+                ? '<span class="comparison-value">None placed</span>'
+                : `<span class="comparison-value">${formatNumber(target.average)} m avg</span>
+            <span class="comparison-diff">${formatNumber(target.worst)} m worst</span>`}
+          </div>
+        </div>
+      `).join('');
+    }
+
     // === Traffic Simulation ===
     initTrafficChart() {
         const ctx = document.getElementById('traffic-chart').getContext('2d');
@@ -901,7 +1745,6 @@ class SmartCityApp {
         } else {
             // Start simulation
             this.trafficSimRunning = true;
-            this.trafficSimTime = 0;
             this.trafficData = { labels: [], heavy: [], moderate: [], light: [] };
 
             btn.innerHTML = `
@@ -918,7 +1761,9 @@ class SmartCityApp {
                 this.updateTrafficSimulation();
             }, 200);
 
-            showToast('Traffic simulation started!', 'success');
+            const { trips, avgTripMinutes } = this.traffic.run();
+            const { failing } = this.traffic.getIntersectionReport(8);
+            showToast(`Traffic simulation started: ${formatNumber(trips)} peak-hour car trips, ${avgTripMinutes} min average, ${failing} failing intersections at 08:00`, 'success');
         }
     }
 
@@ -926,17 +1771,12 @@ class SmartCityApp {
         // Advance time by 10 minutes
         this.trafficSimTime += 10;
 
-        // Calculate current hour and minute
-        const totalMinutes = this.trafficSimTime % (24 * 60);
-        const hour = Math.floor(totalMinutes / 60);
-        const minute = totalMinutes % 60;
-
-        // Update time display
-        const timeStr = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        document.getElementById('traffic-time').textContent = `Time: ${timeStr}`;
+        const { hour, minute } = this.getTrafficTime();
+        const timeStr = this.updateTrafficTime();
+        document.getElementById('traffic-hour-slider').value = hour;
 
-        // Generate traffic data based on time of day
-        const trafficValues = this.generateTrafficData(hour, minute);
+        // Scale the modeled peak-hour loads to the time of day
+        const trafficValues = this.traffic.getConditions(hour, minute);
 
         // Add data point
         this.trafficData.labels.push(timeStr);
@@ -944,8 +1784,8 @@ class SmartCityApp {
         this.trafficData.moderate.push(trafficValues.moderate);
         this.trafficData.light.push(trafficValues.light);
 
-        // Keep only last 30 data points (5 hours of data)
-        const maxPoints = 30;
+        // Keep a full day of data points
+        const maxPoints = 24 * 6;
         if (this.trafficData.labels.length > maxPoints) {
             this.trafficData.labels.shift();
             this.trafficData.heavy.shift();
@@ -960,15 +1800,11 @@ class SmartCityApp {
         this.trafficChart.data.datasets[2].data = this.trafficData.light;
         this.trafficChart.update('none');
 
-        // Update stats display
-        const latestHeavy = trafficValues.heavy;
-        const latestModerate = trafficValues.moderate;
-        const latestLight = trafficValues.light;
-        const total = latestHeavy + latestModerate + latestLight;
-
-        document.getElementById('traffic-heavy').textContent = `${Math.round(latestHeavy / total * 100)}%`;
-        document.getElementById('traffic-moderate').textContent = `${Math.round(latestModerate / total * 100)}%`;
-        document.getElementById('traffic-light').textContent = `${Math.round(latestLight / total * 100)}%`;
+        // Update stats display (shares of road length)
+        document.getElementById('traffic-heavy').textContent = `${trafficValues.heavy}%`;
+        document.getElementById('traffic-moderate').textContent = `${trafficValues.moderate}%`;
+        document.getElementById('traffic-light').textContent = `${trafficValues.light}%`;
+        this.updateTrafficLayers();
 
         // Reset at midnight
         if (this.trafficSimTime >= 24 * 60) {
@@ -977,82 +1813,137 @@ class SmartCityApp {
         }
     }
 
-    generateTrafficData(hour, minute) {
-        // Base traffic patterns for a typical city day
-        // Morning rush: 7-9 AM, Evening rush: 5-7 PM
-        let heavy = 10;
-        let moderate = 30;
-        let light = 60;
-
-        // Random variation
-        const randomFactor = () => 0.8 + Math.random() * 0.4;
-
-        if (hour >= 0 && hour < 5) {
-            // Late night - minimal traffic
-            heavy = 5 * randomFactor();
-            moderate = 15 * randomFactor();
-            light = 80 * randomFactor();
-        } else if (hour >= 5 && hour < 7) {
-            // Early morning - increasing
-            heavy = 15 * randomFactor();
-            moderate = 35 * randomFactor();
-            light = 50 * randomFactor();
-        } else if (hour >= 7 && hour < 9) {
-            // Morning rush hour
-            heavy = 50 * randomFactor();
-            moderate = 35 * randomFactor();
-            light = 15 * randomFactor();
-        } else if (hour >= 9 && hour < 12) {
-            // Mid-morning
-            heavy = 25 * randomFactor();
-            moderate = 45 * randomFactor();
-            light = 30 * randomFactor();
-        } else if (hour >= 12 && hour < 14) {
-            // Lunch time - slight increase
-            heavy = 35 * randomFactor();
-            moderate = 40 * randomFactor();
-            light = 25 * randomFactor();
-        } else if (hour >= 14 && hour < 17) {
-            // Afternoon
-            heavy = 30 * randomFactor();
-            moderate = 40 * randomFactor();
-            light = 30 * randomFactor();
-        } else if (hour >= 17 && hour < 19) {
-            // Evening rush hour
-            heavy = 55 * randomFactor();
-            moderate = 30 * randomFactor();
-            light = 15 * randomFactor();
-        } else if (hour >= 19 && hour < 22) {
-            // Evening - decreasing
-            heavy = 20 * randomFactor();
-            moderate = 35 * randomFactor();
-            light = 45 * randomFactor();
-        } else {
-            // Night
-            heavy = 10 * randomFactor();
-            moderate = 25 * randomFactor();
-            light = 65 * randomFactor();
+    /**
+     * Current simulated time of day
+     * @returns {{hour: number, minute: number}}
+     */
+    getTrafficTime() {
+        const totalMinutes = this.trafficSimTime % (24 * 60);
+        return { hour: Math.floor(totalMinutes / 60), minute: totalMinutes % 60 };
+    }
+
+    /**
+     * Show the simulated time of day
+     * @returns {string} Time as HH:MM
+     */
+    updateTrafficTime() {
+        const { hour, minute } = this.getTrafficTime();
+        const timeStr = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+        document.getElementById('traffic-time').textContent = `Time: ${timeStr}`;
+        return timeStr;
+    }
+
+    /**
+     * Refresh the congestion layer, vehicles and bottleneck list for the simulated time.
+     * Skipped while none is on screen, as the traffic model reruns after every edit
+     */
+    updateTrafficLayers() {
+        const trafficTab = document.querySelector('.tab-panel[data-panel="traffic"]');
+        const { layers } = this.renderer;
+        if (!layers.congestion && !layers.traffic && !trafficTab.classList.contains('active')) return;
+
+        const { hour, minute } = this.getTrafficTime();
+        const report = this.traffic.getIntersectionReport(hour, minute);
+        this.renderer.setIntersections(report.intersections);
+        this.renderer.setCongestion(this.traffic.getEdgeLoads(hour, minute));
+        this.renderer.setTrafficLevel(this.traffic.getHourFactor(hour, minute));
+        if (layers.traffic) {
+            this.renderer.setVehicleRoutes(this.traffic.getVehicleRoutes());
         }
+        this.updateBottlenecks(this.traffic.getBottlenecks(hour, minute));
+        this.updateIntersections(report);
+    }
 
-        // Factor in city characteristics
-        const roadRatio = this.city.distribution.road / (this.city.gridSize * this.city.gridSize);
-        const transitRatio = this.city.distribution.transit / (this.city.gridSize * this.city.gridSize);
+    updateBottlenecks(bottlenecks) {
+        const list = document.getElementById('traffic-bottlenecks');
+        if (bottlenecks.length === 0) {
+            list.innerHTML = '<p class="empty-state">No traffic yet. Connect homes and workplaces with roads.</p>';
+            return;
+        }
 
-        // More transit = less heavy traffic
-        heavy *= (1 - transitRatio * 5);
-        moderate *= (1 + transitRatio * 2);
+        const levelClass = { heavy: 'negative', moderate: '', light: 'positive' };
+        list.innerHTML = bottlenecks.map((b, i) => `
+        <div class="comparison-metric bottleneck-item ${b.id === this.renderer.highlightedEdge ? 'active' : ''}" onclick="app.selectBottleneck(${b.id})">
+          <span class="comparison-label">${i + 1}. ${ROAD_CLASSES[b.roadClass].name} at ${b.x}, ${b.y}</span>
+          <div class="comparison-values">
+            <span class="comparison-value">${formatNumber(b.volume)} / ${formatNumber(b.capacity)} veh/h</span>
+            <span class="comparison-diff ${levelClass[b.level]}">${b.ratio.toFixed(2)}</span>
+          </div>
+        </div>
+      `).join('');
+    }
 
-        // More roads = better flow
-        light *= (1 + roadRatio * 3);
-        heavy *= (1 - roadRatio * 2);
+    updateIntersections(report) {
+        const cycle = this.city.signals.cycle;
+        document.getElementById('signal-cycle-slider').value = cycle;
+        document.getElementById('signal-cycle-value').textContent = `${cycle} s`;
 
-        return {
-            heavy: Math.max(0, Math.min(100, heavy)),
-            moderate: Math.max(0, Math.min(100, moderate)),
-            light: Math.max(0, Math.min(100, light))
-        };
+        const rows = [
+            ['Signalized', formatNumber(report.signalized)],
+            ['Stop-controlled', formatNumber(report.stopControlled)],
+            ['Average Delay', `${report.averageDelay} s/veh`]
+        ];
+        document.getElementById('intersection-summary').innerHTML = rows.map(([label, value]) => `
+        <div class="comparison-metric">
+          <span class="comparison-label">${label}</span>
+          <span class="comparison-value">${value}</span>
+        </div>
+      `).join('') + `
+        <div class="comparison-metric">
+          <span class="comparison-label">Failing (LOS F)</span>
+          <div class="comparison-values">
+            <span class="comparison-diff ${report.failing === 0 ? 'positive' : 'negative'}">${report.failing}</span>
+          </div>
+        </div>
+      `;
+
+        const list = document.getElementById('worst-intersections');
+        const worst = report.intersections.slice(0, 10);
+        if (worst.length === 0) {
+            list.innerHTML = '<p class="empty-state">No intersections yet. Roads that meet or cross form them.</p>';
+            return;
+        }
+
+        const losClass = los => (los === 'F' ? 'negative' : 'ABC'.includes(los) ? 'positive' : '');
+        list.innerHTML = worst.map((i, n) => `
+        <div class="comparison-metric bottleneck-item ${i.id === this.renderer.highlightedNode ? 'active' : ''}" onclick="app.selectIntersection(${i.id})">
+          <div class="intersection-info">
+            <span class="comparison-label">${n + 1}. ${i.approaches}-way at ${i.x}, ${i.y}</span>
+            <span class="saved-city-meta">${formatNumber(i.volume)} veh/h | ${i.delay} s delay | v/c ${i.ratio.toFixed(2)}</span>
+          </div>
+          <div class="comparison-values" onclick="event.stopPropagation()">
+            <select class="select-input toolbar-select" title="Control" onchange="app.setIntersectionControl(${i.id}, this.value)">
+              <option value="signal" ${i.control === 'signal' ? 'selected' : ''}>Signal</option>
+              <option value="stop" ${i.control === 'stop' ? 'selected' : ''}>Stop</option>
+            </select>
+            ${i.control === 'signal' ? `<input type="number" class="text-input intersection-cycle" title="Cycle (s)" min="${SIGNAL_SETTINGS.minCycle}" max="${SIGNAL_SETTINGS.maxCycle}" step="5" value="${i.cycle}" onchange="app.setIntersectionCycle(${i.id}, this.value)">` : ''}
+            <span class="comparison-diff ${losClass(i.los)}">${i.los}</span>
+          </div>
+        </div>
+      `).join('');
     }
 
+    selectIntersection(nodeId) {
+        this.renderer.setHighlightedNode(this.renderer.highlightedNode === nodeId ? null : nodeId);
+        this.updateTrafficLayers();
+    }
+
+    setIntersectionControl(nodeId, control) {
+        this.city.setIntersectionControl(nodeId, { control });
+        this.updateTrafficLayers();
+    }
+
+    setIntersectionCycle(nodeId, seconds) {
+        const cycle = parseInt(seconds);
+        if (!cycle) return;
+        this.city.setIntersectionControl(nodeId, { cycle });
+        this.updateTrafficLayers();
+    }
+
+    selectBottleneck(edgeId) {
+        this.renderer.setHighlightedEdge(this.renderer.highlightedEdge === edgeId ? null : edgeId);
+        this.updateTrafficLayers();
+    }
 
     // === Export ===
     exportCity() {
@@ -1069,6 +1960,50 @@ class SmartCityApp {
         showToast('City data exported!', 'success');
     }
 
+    async exportGtfs() {
+        if (!this.city.transitLines.list.some(line => line.stations.length > 1)) {
+            showToast('Add a transit line with at least two stations first.', 'warning');
+            return;
+        }
+
+        try {
+            const blob = await new GtfsFeed(this.city).exportZip();
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `smart-city-${this.city.id}-gtfs.zip`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            showToast('GTFS feed exported!', 'success');
+        } catch (error) {
+            console.error('GTFS export error:', error);
+            showToast('Failed to export the GTFS feed.', 'error');
+        }
+    }
+
+    async importGtfs(file) {
+        try {
+            const result = await new GtfsFeed(this.city).importZip(file);
+            this.city.saveState();
+            this.renderer.render();
+            this.updateDashboard();
+            if (result.lines === 0) {
+                showToast('No routes in the feed could be placed on the grid.', 'warning');
+                return;
+            }
+
+            this.selectTransitLine(this.city.transitLines.list[this.city.transitLines.list.length - 1].id);
+
+            const skipped = result.skipped ? ` ${result.skipped} stops fell on unbuildable land.` : '';
+            showToast(`Imported ${result.lines} lines with ${result.stations} stations.${skipped}`, result.skipped ? 'warning' : 'success');
+        } catch (error) {
+            console.error('GTFS import error:', error);
+            showToast(error.message.startsWith('Not a GTFS feed') ? error.message : 'Failed to read the GTFS feed.', 'error');
+        }
+    }
+
     showHelp() {
         showToast('Keyboard: 1-7 for tools, Ctrl+Z/Y for undo/redo, Esc for select mode', 'success');
     }
@@ -1093,12 +2028,18 @@ class SmartCityApp {
         if (e.ctrlKey && e.key === 'z') {
             this.city.undo();
             this.renderer.render();
+            if (this.is3DMode && this.renderer3D) {
+                this.renderer3D.buildCity();
+            }
             this.updateDashboard();
         }
 
         if (e.ctrlKey && e.key === 'y') {
             this.city.redo();
             this.renderer.render();
+            if (this.is3DMode && this.renderer3D) {
+                this.renderer3D.buildCity();
+            }
             this.updateDashboard();
         }
 
@@ -1109,6 +2050,9 @@ class SmartCityApp {
 
     animate() {
         if (!this.is3DMode) {
+            if (this.renderer.layers.traffic) {
+                this.renderer.updateParticles();
+            }
             this.renderer.render();
         }
         requestAnimationFrame(() => this.animate());
@@ -52,6 +52,12 @@ export class CityStorage {
             savedAt: new Date().toISOString(),
             gridSize: city.gridSize,
             size: city.size,
+            seed: city.seed ?? null,
+            strategy: city.strategy ?? null,
+            terrain: city.terrain ? city.terrain.toJSON() : null,
+            districts: city.districts ? city.districts.toJSON() : null,
+            signals: city.signals ?? null,
+            transitLines: city.transitLines ? city.transitLines.toJSON() : null,
             stats: { ...city.stats },
             distribution: { ...city.distribution },
             grid: city.grid
@@ -0,0 +1,390 @@
+/* ========================================
+   Smart City Planner - GTFS Feed
+   Exports transit lines as a GTFS zip and places imported feeds on the grid
+   ======================================== */
+
+import JSZip from 'jszip';
+import { TRANSIT_MODES, DEFAULT_TRANSIT_MODE, GTFS_SETTINGS } from './constants.js';
+
+const METERS_PER_DEGREE = 111320;
+const AGENCY_ID = 'SCP';
+const SERVICE_ID = 'DAILY';
+
+export class GtfsFeed {
+    /**
+     * @param {CityModel} city
+     */
+    constructor(city) {
+        this.city = city;
+    }
+
+    /**
+     * Build a GTFS zip for every line with at least two stations. Trips run in both
+     * directions through the service day, one headway apart
+     * @returns {Promise<Blob>}
+     */
+    async exportZip() {
+        const lines = this.city.transitLines.list.filter(line => line.stations.length > 1);
+        const stops = this.city.transitLines.getStations();
+
+        const stopRows = stops.map(({ x, y }) => {
+            const { lat, lon } = this.cellToLatLon(x, y);
+            return { stop_id: getStopId(x, y), stop_name: `Hub ${x}, ${y}`, stop_lat: lat.toFixed(6), stop_lon: lon.toFixed(6) };
+        });
+
+        const routeRows = lines.map(line => ({
+            route_id: line.id,
+            agency_id: AGENCY_ID,
+            route_short_name: line.name,
+            route_long_name: `${line.name} (${TRANSIT_MODES[line.mode].name})`,
+            route_type: TRANSIT_MODES[line.mode].gtfsRouteType,
+            route_color: line.color.replace('#', '').toUpperCase(),
+            route_text_color: 'FFFFFF'
+        }));
+
+        const tripRows = [];
+        const stopTimeRows = [];
+        lines.forEach(line => {
+            [line.stations, line.stations.slice().reverse()].forEach((stations, direction) => {
+                const offsets = this.getStopOffsets(stations, TRANSIT_MODES[line.mode].speed);
+                let n = 0;
+                for (let start = GTFS_SETTINGS.serviceStart; start < GTFS_SETTINGS.serviceEnd; start += line.headway) {
+                    const tripId = `${line.id}_${direction}_${++n}`;
+                    tripRows.push({ route_id: line.id, service_id: SERVICE_ID, trip_id: tripId, trip_headsign: `Hub ${stations[stations.length - 1].x}, ${stations[stations.length - 1].y}`, direction_id: direction });
+                    stations.forEach(({ x, y }, index) => {
+                        const arrival = start * 60 + offsets[index].arrival;
+                        const departure = start * 60 + offsets[index].departure;
+                        stopTimeRows.push({ trip_id: tripId, arrival_time: formatTime(arrival), departure_time: formatTime(departure), stop_id: getStopId(x, y), stop_sequence: index + 1 });
+                    });
+                }
+            });
+        });
+
+        const today = new Date();
+        const nextYear = new Date(today);
+        nextYear.setFullYear(today.getFullYear() + 1);
+
+        const zip = new JSZip();
+        zip.file('agency.txt', toCsv([{ agency_id: AGENCY_ID, agency_name: GTFS_SETTINGS.agencyName, agency_url: 'https://example.com', agency_timezone: GTFS_SETTINGS.timezone }]));
+        zip.file('stops.txt', toCsv(stopRows, ['stop_id', 'stop_name', 'stop_lat', 'stop_lon']));
+        zip.file('routes.txt', toCsv(routeRows, ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color', 'route_text_color']));
+        zip.file('trips.txt', toCsv(tripRows, ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id']));
+        zip.file('stop_times.txt', toCsv(stopTimeRows, ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence']));
+        zip.file('calendar.txt', toCsv([{
+            service_id: SERVICE_ID,
+            monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 1, sunday: 1,
+            start_date: formatDate(today),
+            end_date: formatDate(nextYear)
+        }]));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Read a GTFS zip and add each route as a line: its longest trip gives the stations,
+     * departures or frequencies.txt give the headway. Stops become transit hubs; feeds
+     * exported from a grid of this size land on the same cells, others are scaled to fit
+     * @param {Blob|ArrayBuffer} data
+     * @returns {Promise<{lines: number, stations: number, skipped: number}>}
+     */
+    async importZip(data) {
+        const zip = await JSZip.loadAsync(data);
+        const read = async (name, required = true) => {
+            const file = zip.file(new RegExp(`(^|/)${name}$`))[0];
+            if (!file) {
+                if (required) throw new Error(`Not a GTFS feed: ${name} is missing`);
+                return [];
+            }
+            return parseCsv(await file.async('string'));
+        };
+
+        const stops = new Map((await read('stops.txt')).map(stop => [stop.stop_id, stop]));
+        const routes = await read('routes.txt');
+        const trips = await read('trips.txt');
+        const frequencies = await read('frequencies.txt', false);
+
+        const tripIds = new Set(trips.map(trip => trip.trip_id));
+        const stopTimes = new Map();
+        (await read('stop_times.txt')).forEach(row => {
+            if (!tripIds.has(row.trip_id)) return;
+            if (!stopTimes.has(row.trip_id)) stopTimes.set(row.trip_id, []);
+            stopTimes.get(row.trip_id).push({
+                sequence: Number(row.stop_sequence),
+                stopId: row.stop_id,
+                time: parseTime(row.departure_time || row.arrival_time)
+            });
+        });
+        stopTimes.forEach(times => times.sort((a, b) => a.sequence - b.sequence));
+
+        // Platforms are placed at their parent station
+        const getStation = (stopId) => {
+            const stop = stops.get(stopId);
+            return stop?.parent_station && stops.has(stop.parent_station) ? stops.get(stop.parent_station) : stop;
+        };
+
+        const tripsByRoute = new Map();
+        trips.forEach(trip => {
+            if (!stopTimes.has(trip.trip_id)) return;
+            if (!tripsByRoute.has(trip.route_id)) tripsByRoute.set(trip.route_id, []);
+            tripsByRoute.get(trip.route_id).push(trip);
+        });
+
+        const patterns = routes.map(route => {
+            const routeTrips = tripsByRoute.get(route.route_id);
+            if (!routeTrips) return null;
+
+            const longest = routeTrips.reduce((best, trip) => {
+                const length = stopTimes.get(trip.trip_id).length;
+                const bestLength = stopTimes.get(best.trip_id).length;
+                return length > bestLength || (length === bestLength && trip.direction_id === '0' && best.direction_id !== '0') ? trip : best;
+            });
+
+            const stations = stopTimes.get(longest.trip_id).map(time => getStation(time.stopId)).filter(Boolean);
+            const mode = getModeForRouteType(Number(route.route_type));
+            return {
+                name: route.route_short_name || route.route_long_name || route.route_id,
+                color: /^[0-9a-f]{6}$/i.test(route.route_color || '') ? `#${route.route_color.toLowerCase()}` : null,
+                mode,
+                headway: getHeadway(longest, routeTrips, stopTimes, frequencies) || TRANSIT_MODES[mode].headway,
+                stations
+            };
+        }).filter(pattern => pattern && pattern.stations.length > 1);
+
+        const used = new Map();
+        patterns.forEach(pattern => pattern.stations.forEach(stop => used.set(stop.stop_id, stop)));
+        const cells = this.placeStops([...used.values()]);
+
+        const served = new Set();
+        let added = 0;
+        let skipped = 0;
+        patterns.forEach(pattern => {
+            const line = this.city.transitLines.add(pattern);
+            pattern.stations.forEach(stop => {
+                const { x, y } = cells.get(stop.stop_id);
+                if (this.city.getZone(x, y)?.type !== 'transit' && !this.city.setZone(x, y, 'transit')) {
+                    skipped++;
+                    return;
+                }
+                if (this.city.addTransitStation(line.id, x, y)) served.add(`${x},${y}`);
+            });
+
+            if (line.stations.length < 2) {
+                this.city.transitLines.remove(line.id);
+            } else {
+                added++;
+            }
+        });
+
+        return { lines: added, stations: served.size, skipped };
+    }
+
+    /**
+     * Synthetic coordinates of a cell center, measured from the grid's north-west corner
+     * @param {number} x
+     * @param {number} y
+     * @returns {{lat: number, lon: number}}
+     */
+    cellToLatLon(x, y) {
+        const { origin } = GTFS_SETTINGS;
+        const cellSize = this.city.cellSize;
+        return {
+            lat: origin.lat - (y + 0.5) * cellSize / METERS_PER_DEGREE,
+            lon: origin.lon + (x + 0.5) * cellSize / (METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180))
+        };
+    }
+
+    /**
+     * Grid cell of every stop: exactly where the synthetic coordinates put it when the
+     * whole feed fits the grid, otherwise scaled down and centered
+     * @param {Array<Object>} stops - stops.txt rows
+     * @returns {Map<string, {x: number, y: number}>} Cell by stop_id
+     */
+    placeStops(stops) {
+        const size = this.city.gridSize;
+        const cellSize = this.city.cellSize;
+        const project = (stop, origin) => ({
+            x: (Number(stop.stop_lon) - origin.lon) * METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180) / cellSize,
+            y: (origin.lat - Number(stop.stop_lat)) * METERS_PER_DEGREE / cellSize
+        });
+
+        const synthetic = stops.map(stop => project(stop, GTFS_SETTINGS.origin));
+        if (synthetic.every(p => p.x >= 0 && p.x < size && p.y >= 0 && p.y < size)) {
+            return new Map(stops.map((stop, i) => [stop.stop_id, { x: Math.floor(synthetic[i].x), y: Math.floor(synthetic[i].y) }]));
+        }
+
+        const lats = stops.map(stop => Number(stop.stop_lat));
+        const lons = stops.map(stop => Number(stop.stop_lon));
+        const origin = { lat: Math.max(...lats), lon: Math.min(...lons) };
+        const points = stops.map(stop => project(stop, origin));
+        const width = Math.max(...points.map(p => p.x));
+        const height = Math.max(...points.map(p => p.y));
+        const span = size - 1 - GTFS_SETTINGS.importMargin * 2;
+        const scale = Math.min(1, span / Math.max(width, height, 1e-6));
+        const offsetX = (size - 1 - width * scale) / 2;
+        const offsetY = (size - 1 - height * scale) / 2;
+
+        return new Map(stops.map((stop, i) => [stop.stop_id, {
+            x: Math.round(offsetX + points[i].x * scale),
+            y: Math.round(offsetY + points[i].y * scale)
+        }]));
+    }
+
+    /**
+     * Seconds from a trip's start to its arrival at and departure from each station,
+     * running along the drawn route at the mode's speed
+     * @param {Array<{x: number, y: number}>} stations
+     * @param {number} speed - km/h
+     * @returns {Array<{arrival: number, departure: number}>}
+     */
+    getStopOffsets(stations, speed) {
+        const metersPerSecond = speed / 3.6;
+        let time = 0;
+        return stations.map((station, index) => {
+            if (index > 0) {
+                const previous = stations[index - 1];
+                const dx = Math.abs(station.x - previous.x);
+                const dy = Math.abs(station.y - previous.y);
+                // Diagonal then straight, as the line is drawn
+                const cells = Math.min(dx, dy) * Math.SQRT2 + Math.abs(dx - dy);
+                time += Math.round(cells * this.city.cellSize / metersPerSecond);
+            }
+            const arrival = time;
+            if (index > 0 && index < stations.length - 1) time += GTFS_SETTINGS.dwellSeconds;
+            return { arrival, departure: time };
+        });
+    }
+}
+
+/**
+ * @returns {string}
+ */
+function getStopId(x, y) {
+    return `hub_${x}_${y}`;
+}
+
+/**
+ * Map a GTFS route_type, basic or extended, onto the nearest transit mode
+ * @param {number} type
+ * @returns {string} Key of TRANSIT_MODES
+ */
+function getModeForRouteType(type) {
+    const exact = Object.keys(TRANSIT_MODES).find(id => TRANSIT_MODES[id].gtfsRouteType === type);
+    if (exact) return exact;
+    // Rail, monorail and extended rail and urban rail types
+    if (type === 2 || type === 12 || (type >= 100 && type < 500)) return DEFAULT_TRANSIT_MODE;
+    // Cable tram and extended tram types
+    if (type === 5 || (type >= 900 && type < 1000)) return 'tram';
+    return 'brt';
+}
+
+/**
+ * Minutes between vehicles on a route: frequencies.txt when the feed has it,
+ * otherwise the median gap between departures in the longest trip's direction
+ * @returns {number|null}
+ */
+function getHeadway(longest, routeTrips, stopTimes, frequencies) {
+    const frequency = frequencies
+        .filter(row => row.trip_id === longest.trip_id)
+        .map(row => Number(row.headway_secs))
+        .filter(secs => secs > 0);
+    if (frequency.length) return Math.min(...frequency) / 60;
+
+    const starts = routeTrips
+        .filter(trip => trip.direction_id === longest.direction_id)
+        .map(trip => stopTimes.get(trip.trip_id)[0].time)
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b);
+    const gaps = starts.slice(1).map((start, i) => start - starts[i]).filter(gap => gap > 0).sort((a, b) => a - b);
+    return gaps.length ? gaps[Math.floor(gaps.length / 2)] / 60 : null;
+}
+
+/**
+ * @param {number} seconds - From midnight; may pass 24:00 for trips after midnight
+ * @returns {string} HH:MM:SS
+ */
+function formatTime(seconds) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+/**
+ * @param {string} time - HH:MM:SS
+ * @returns {number} Seconds from midnight, NaN when empty
+ */
+function parseTime(time) {
+    const parts = (time || '').trim().split(':').map(Number);
+    return parts.length === 3 ? parts[0] * 3600 + parts[1] * 60 + parts[2] : NaN;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(date) {
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<string>} [columns] - Defaults to the first row's keys
+ * @returns {string}
+ */
+function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escape).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records;
+    const columns = header.map(column => column.trim());
+    return rows
+        .filter(row => row.some(value => value !== ''))
+        .map(row => Object.fromEntries(columns.map((column, i) => [column, (row[i] ?? '').trim()])));
+}
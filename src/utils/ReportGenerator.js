@@ -118,11 +118,20 @@ export class ReportGenerator {
             ['Green Coverage', allMetrics.greenCoverage.label, this.getRating(allMetrics.greenCoverage.value * 2.5)],
             ['Transit Score', allMetrics.transitScore.label, this.getRating(allMetrics.transitScore.value)],
             ['Walkability', allMetrics.walkability.label, this.getRating(allMetrics.walkability.value)],
-            ['Air Quality', allMetrics.airQuality.label, allMetrics.airQuality.status]
+            ['Air Quality', allMetrics.airQuality.label, allMetrics.airQuality.status],
+            ['Jobs per Household', allMetrics.jobsHousing.label, allMetrics.jobsHousing.status],
+            ['Avg Commute', allMetrics.jobsHousing.avgCommuteKm === null ? '-' : `${allMetrics.jobsHousing.avgCommuteKm} km`, allMetrics.jobsHousing.commuteStatus],
+            ...allMetrics.noise.thresholds.map(t => [`Residents Above ${t.db} dB`, `${t.share}%`, t.status]),
+            ['Heat-Vulnerable Residents', allMetrics.heat.label, allMetrics.heat.status]
         ];
 
         pdf.setFontSize(10);
         metricsData.forEach(([label, value, status]) => {
+            if (y > pageHeight - 25) {
+                pdf.addPage();
+                y = margin;
+            }
+
             pdf.setFont('helvetica', 'normal');
             pdf.setTextColor(...mutedColor);
             pdf.text(label, margin, y);
@@ -168,6 +177,11 @@ export class ReportGenerator {
             const pct = zoneData.data[i];
             const color = this.hexToRgb(zoneData.colors[i]);
 
+            if (y > pageHeight - margin - barHeight) {
+                pdf.addPage();
+                y = margin;
+            }
+
             // Label
             pdf.setFont('helvetica', 'normal');
             pdf.setTextColor(...mutedColor);
@@ -190,6 +204,61 @@ export class ReportGenerator {
 
         y += 10;
 
+        // ========== DISTRICTS ==========
+        const districts = allMetrics.districts.filter(d => d.area > 0);
+        if (districts.length > 0) {
+            if (y > pageHeight - 50) {
+                pdf.addPage();
+                y = margin;
+            }
+
+            pdf.setTextColor(...textColor);
+            pdf.setFontSize(16);
+            pdf.setFont('helvetica', 'bold');
+            pdf.text('Districts', margin, y);
+            y += 10;
+
+            // Name, area, population, jobs, jobs per household, green coverage, sustainability
+            const columns = [0, 50, 70, 97, 120, 142, 160];
+            const drawHeader = () => {
+                pdf.setFontSize(9);
+                pdf.setFont('helvetica', 'bold');
+                pdf.setTextColor(...mutedColor);
+                ['District', 'Cells', 'Population', 'Jobs', 'Jobs/HH', 'Green', 'Score'].forEach((heading, i) => {
+                    pdf.text(heading, margin + columns[i], y);
+                });
+                y += 2;
+                pdf.setDrawColor(220, 220, 220);
+                pdf.line(margin, y, pageWidth - margin, y);
+                y += 5;
+            };
+
+            drawHeader();
+            districts.forEach(district => {
+                if (y > pageHeight - 25) {
+                    pdf.addPage();
+                    y = margin;
+                    drawHeader();
+                }
+
+                pdf.setFillColor(...this.hexToRgb(district.color));
+                pdf.rect(margin, y - 3, 3, 3, 'F');
+
+                pdf.setFont('helvetica', 'normal');
+                pdf.setTextColor(...textColor);
+                pdf.text(pdf.splitTextToSize(district.name, columns[1] - 8)[0], margin + 5, y);
+                pdf.text(formatNumber(district.area), margin + columns[1], y);
+                pdf.text(formatNumber(district.population), margin + columns[2], y);
+                pdf.text(formatNumber(district.jobs), margin + columns[3], y);
+                pdf.text(district.jobsHousingRatio === null ? '-' : district.jobsHousingRatio.toFixed(2), margin + columns[4], y);
+                pdf.text(`${district.greenCoverage}%`, margin + columns[5], y);
+                pdf.text(`${district.sustainabilityScore}/100`, margin + columns[6], y);
+                y += 7;
+            });
+
+            y += 10;
+        }
+
         // ========== RECOMMENDATIONS ==========
         if (y > pageHeight - 50) {
             pdf.addPage();
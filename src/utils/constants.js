@@ -9,6 +9,7 @@ export const ZONE_TYPES = {
         color: '#1f2937',
         population: 0,
         energy: 0,
+        jobs: 0,
         sustainability: 0
     },
     residential: {
@@ -17,6 +18,7 @@ export const ZONE_TYPES = {
         lightColor: 'rgba(59, 130, 246, 0.3)',
         population: 1000,
         energy: 50,
+        jobs: 20,
         sustainability: 60
     },
     commercial: {
@@ -25,6 +27,7 @@ export const ZONE_TYPES = {
         lightColor: 'rgba(245, 158, 11, 0.3)',
         population: 200,
         energy: 150,
+        jobs: 800,
         sustainability: 40
     },
     industrial: {
@@ -33,6 +36,7 @@ export const ZONE_TYPES = {
         lightColor: 'rgba(107, 114, 128, 0.3)',
         population: 100,
         energy: 300,
+        jobs: 400,
         sustainability: 20
     },
     green: {
@@ -41,6 +45,7 @@ export const ZONE_TYPES = {
         lightColor: 'rgba(34, 197, 94, 0.3)',
         population: 0,
         energy: -20,
+        jobs: 5,
         sustainability: 100
     },
     transit: {
@@ -49,6 +54,7 @@ export const ZONE_TYPES = {
         lightColor: 'rgba(236, 72, 153, 0.3)',
         population: 50,
         energy: 80,
+        jobs: 40,
         sustainability: 80
     },
     road: {
@@ -57,7 +63,482 @@ export const ZONE_TYPES = {
         lightColor: 'rgba(55, 65, 81, 0.3)',
         population: 0,
         energy: 10,
+        jobs: 0,
         sustainability: 30
+    },
+
+    // Mixed-use cells take population, energy and jobs from their composition
+    mixed: {
+        name: 'Mixed Use',
+        composite: true,
+        color: '#14b8a6',
+        lightColor: 'rgba(20, 184, 166, 0.3)',
+        population: 0,
+        energy: 0,
+        jobs: 0,
+        sustainability: 75
+    },
+
+    // Civic services: capacity is the number of residents one facility serves
+    school: {
+        name: 'School',
+        category: 'service',
+        color: '#8b5cf6',
+        lightColor: 'rgba(139, 92, 246, 0.3)',
+        glyph: 'S',
+        population: 0,
+        energy: 60,
+        jobs: 60,
+        sustainability: 70,
+        capacity: 50000,
+        footprint: 2
+    },
+    hospital: {
+        name: 'Hospital',
+        category: 'service',
+        color: '#ef4444',
+        lightColor: 'rgba(239, 68, 68, 0.3)',
+        glyph: 'H',
+        population: 0,
+        energy: 200,
+        jobs: 150,
+        sustainability: 60,
+        capacity: 200000,
+        footprint: 3
+    },
+    police: {
+        name: 'Police Station',
+        category: 'service',
+        color: '#1d4ed8',
+        lightColor: 'rgba(29, 78, 216, 0.3)',
+        glyph: 'P',
+        population: 0,
+        energy: 50,
+        jobs: 40,
+        sustainability: 50,
+        capacity: 100000,
+        footprint: 2
+    },
+    fire: {
+        name: 'Fire Station',
+        category: 'service',
+        color: '#f97316',
+        lightColor: 'rgba(249, 115, 22, 0.3)',
+        glyph: 'F',
+        population: 0,
+        energy: 50,
+        jobs: 30,
+        sustainability: 50,
+        capacity: 100000,
+        footprint: 2
+    },
+
+    // Utilities: capacity is energy supplied (power) or residents served (water)
+    power: {
+        name: 'Power Plant',
+        category: 'utility',
+        color: '#facc15',
+        lightColor: 'rgba(250, 204, 21, 0.3)',
+        glyph: '⚡',
+        population: 0,
+        energy: 40,
+        jobs: 50,
+        sustainability: 25,
+        capacity: 100000,
+        serves: 'energy',
+        footprint: 3
+    },
+    water: {
+        name: 'Water Treatment',
+        category: 'utility',
+        color: '#06b6d4',
+        lightColor: 'rgba(6, 182, 212, 0.3)',
+        glyph: 'W',
+        population: 0,
+        energy: 120,
+        jobs: 25,
+        sustainability: 55,
+        capacity: 250000,
+        footprint: 2
+    }
+};
+
+// Zone types that provide a capacity-limited service or utility
+export const FACILITY_TYPES = Object.keys(ZONE_TYPES).filter(type => ZONE_TYPES[type].capacity);
+
+// Service areas: how far along the street grid each kind of facility reaches, in meters, and how many
+// residents one facility serves
+export const SERVICE_AREAS = {
+    distanceRange: { min: 100, max: 20000 },
+    types: {
+        school: { distance: 1500, capacity: ZONE_TYPES.school.capacity },
+        hospital: { distance: 5000, capacity: ZONE_TYPES.hospital.capacity },
+        fire: { distance: 3000, capacity: ZONE_TYPES.fire.capacity },
+        transit: { distance: 800, capacity: 20000 }
+    }
+};
+
+// Density tiers for built-up zones: multiplier scales population, energy and jobs,
+// height scales 3D buildings, opacity shades the 2D zone color
+export const DENSITY_LEVELS = {
+    low: { name: 'Low', multiplier: 0.5, height: 0.6, opacity: 0.55 },
+    medium: { name: 'Medium', multiplier: 1, height: 1, opacity: 1 },
+    high: { name: 'High', multiplier: 2.5, height: 2.2, opacity: 1 }
+};
+
+export const DEFAULT_DENSITY = 'medium';
+
+// Zone types whose cells carry a density tier
+export const DENSITY_ZONE_TYPES = ['residential', 'commercial', 'industrial', 'mixed'];
+
+// Building height by zone type, before the density tier's height; scales 3D buildings and urban heat
+export const BUILDING_HEIGHTS = {
+    empty: 0,
+    residential: 2,
+    commercial: 4,
+    industrial: 1.5,
+    green: 0.2,
+    transit: 1,
+    road: 0,
+    school: 1.2,
+    hospital: 2.5,
+    police: 1.2,
+    fire: 1.2,
+    power: 1.8,
+    water: 0.6,
+    mixed: 3
+};
+
+// Road hierarchy: capacity in vehicles per hour each way, design speed in km/h,
+// width of the carriageway in meters and share of the cell it is drawn across.
+// Rank orders the classes; a road is never downgraded by painting a lesser one across it.
+export const ROAD_CLASSES = {
+    highway: { name: 'Highway', rank: 4, capacity: 6000, speed: 100, width: 32, drawWidth: 0.95, lanes: 6, color: '#fb7185' },
+    arterial: { name: 'Arterial', rank: 3, capacity: 2400, speed: 60, width: 22, drawWidth: 0.8, lanes: 4, color: '#fcd34d' },
+    collector: { name: 'Collector', rank: 2, capacity: 1200, speed: 50, width: 14, drawWidth: 0.6, lanes: 2, color: '#cbd5e1' },
+    local: { name: 'Local Street', rank: 1, capacity: 600, speed: 30, width: 9, drawWidth: 0.42, lanes: 2, color: '#6b7280' }
+};
+
+export const DEFAULT_ROAD_CLASS = 'local';
+
+// Trip-based traffic model settings
+export const TRAFFIC_MODEL = {
+    // Trips per resident in the morning peak hour loaded onto the cell-level road network,
+    // before the mode split takes out those not made by car
+    peakTripRate: 0.0028,
+    // Gravity model deterrence exp(-beta * minutes)
+    deterrence: 0.08,
+    // The grid is split into at most this many square traffic zones per side
+    maxZonesPerSide: 14,
+    // BPR volume-delay function: t = t0 * (1 + alpha * (v/c)^beta)
+    bprAlpha: 0.15,
+    bprBeta: 4,
+    // Demand is loaded in increments, re-routing on congested times between them
+    increments: 4,
+    // Busiest origin-destination pairs turned into routes for animated vehicles
+    animatedRoutes: 150
+};
+
+// Mode choice: multinomial logit over generalized minutes, with trips distributed by
+// straight-line distance between traffic zones
+export const MODE_CHOICE = {
+    modes: ['car', 'transit', 'bike', 'walk'],
+    // Person trips per resident in the morning peak hour
+    peakTripRate: 0.1,
+    // Door-to-door speeds in km/h; real paths are longer than straight lines by the circuity factor
+    walkSpeed: 4.8,
+    bikeSpeed: 15,
+    carSpeed: 30,
+    circuity: 1.3,
+    // Parking and walking to and from the car, minutes
+    carTerminalMinutes: 6,
+    // Utility per generalized minute, and how much longer walking, waiting and transferring feel than riding
+    timeWeight: -0.07,
+    outOfVehicleWeight: 1.5,
+    // Preference for each mode all else being equal; transit's makes up for the running and
+    // parking costs of a car, which travel time leaves out
+    constants: { car: 0, transit: 1.2, bike: -1.8, walk: -0.4 },
+    // Gravity distribution exp(-decay * km)
+    distanceDecay: 0.3,
+    // Furthest walk to a station, cells; a transfer's extra penalty, minutes
+    stationWalkCells: 12,
+    transferMinutes: 4,
+    stopDwellSeconds: 30,
+    // Transit share at which the transit score reaches 100
+    fullScoreTransitShare: 0.3
+};
+
+// Jobs-housing balance: residents per household and the jobs per household counted as balanced.
+// Commutes match each zone's workers to the nearest jobs left, between the traffic model's zones
+export const JOBS_HOUSING = {
+    householdSize: 2.4,
+    balancedRatio: { min: 1.3, max: 1.7 },
+    // Share of residents in work
+    employmentRate: 0.5,
+    // Average commute in km rated good and fair
+    commuteKm: { good: 5, fair: 10 }
+};
+
+// Air pollution dispersion, stepped to a steady state on the grid. Each step lasts as long as the
+// fastest wind takes to cross a cell: industry and road traffic emit, the wind carries the air
+// downwind, it mixes with the four neighbours, and pollution decays and is taken up by green cells
+export const AIR_DISPERSION = {
+    // Prevailing wind: the direction it blows from in degrees (0 = north, 90 = east) and its speed in m/s
+    wind: { direction: 270, speed: 3 },
+    windSpeedRange: { min: 0, max: 10 },
+    // Emissions in µg/m³ per second: a fully industrial cell at medium density, and one vehicle per hour
+    // on a road cell, which emits up to congestionEmission times more in stop-and-go traffic at capacity
+    industrialEmission: 0.04,
+    vehicleEmission: 0.00001,
+    congestionEmission: 1,
+    // Share of each cell's air exchanged with each neighbour per step
+    diffusion: 0.12,
+    // Seconds for pollution to fall to 1/e by deposition and mixing aloft, and over a fully green cell
+    lifetimeSeconds: 900,
+    greenSeconds: 120,
+    // Concentrations in µg/m³ PM2.5: clean background, the level residents are exposed above,
+    // and the average exposure at which the air quality score reaches 0
+    background: 5,
+    threshold: 15,
+    zeroScoreConcentration: 25,
+    // The air is stepped on blocks at least this many meters wide and at most this many to a side,
+    // until the total changes by less than the tolerance per step
+    blockMeters: 200,
+    maxBlocksPerSide: 40,
+    maxSteps: 500,
+    tolerance: 1e-4
+};
+
+// Noise: every source is given as its level 10 m away in dB(A), averaged over the day. Levels fall
+// with distance, lose more over green space on the way, and add up as sound energy
+export const NOISE = {
+    // Roads, as lines: the level for 1,000 vehicles an hour at 50 km/h, 10 dB more per tenfold
+    // traffic and 30 dB more per tenfold speed. Streets the traffic model leaves empty still carry minVehicles
+    road: { level: 69, vehicles: 1000, speed: 50, minVehicles: 20 },
+    // A hectare of industry at medium density, as a point
+    industrial: 68,
+    // Transit lines, as lines, with a vehicle every headway minutes
+    transit: { headway: 5, levels: { metro: 50, brt: 64, tram: 62 } },
+    background: 35,
+    // Sources are not heard beyond this many meters; green space takes greenDbPerMeter off every
+    // meter of it the sound crosses, up to maxGreenDb
+    maxDistance: 1000,
+    greenDbPerMeter: 0.05,
+    maxGreenDb: 10,
+    // Residents are counted above each level; good and fair are the highest shares, in percent,
+    // still rated that way
+    thresholds: [
+        { db: 55, good: 20, fair: 40 },
+        { db: 65, good: 5, fair: 15 }
+    ]
+};
+
+// Urban heat island: surface temperature on a hot summer afternoon, in °C above or below the
+// surrounding countryside, from each cell's land cover plus its buildings, spread over the
+// neighbouring cells within smoothingMeters
+export const URBAN_HEAT = {
+    ruralTemperature: 32,
+    landCover: {
+        empty: 0,
+        residential: 2,
+        commercial: 3,
+        industrial: 4.5,
+        green: -3,
+        transit: 2.5,
+        road: 4,
+        school: 1.5,
+        hospital: 2,
+        police: 2,
+        fire: 2,
+        power: 4,
+        water: 1
+    },
+    // Open water, whatever is built over it
+    water: -4,
+    // Degrees per unit of BUILDING_HEIGHTS times the density tier's height: heat stored in and
+    // trapped between buildings
+    buildingDegrees: 0.6,
+    smoothingMeters: 200,
+    // Residents are heat-vulnerable this many degrees above the countryside; good and fair are the
+    // highest shares, in percent, still rated that way
+    vulnerableAbove: 4,
+    vulnerableShare: { good: 10, fair: 25 }
+};
+
+// Traffic by hour of day as a share of the morning peak (index = hour)
+export const HOURLY_TRAFFIC_PROFILE = [
+    0.06, 0.04, 0.03, 0.03, 0.05, 0.15, 0.45, 0.85,
+    1.0, 0.75, 0.6, 0.62, 0.7, 0.68, 0.65, 0.72,
+    0.85, 0.95, 0.8, 0.55, 0.4, 0.3, 0.2, 0.1
+];
+
+// Intersection control and delay settings
+export const SIGNAL_SETTINGS = {
+    // Signal cycle length in seconds
+    defaultCycle: 90,
+    minCycle: 40,
+    maxCycle: 150,
+    // Lost time per phase change and shortest green, seconds
+    lostTime: 4,
+    minGreen: 7,
+    // Saturation flow per lane on a green, vehicles per hour
+    saturationFlow: 1800,
+    // Total throughput of a stop-controlled junction, vehicles per hour
+    stopCapacity: 1400,
+    // Hours of sustained demand over which oversaturation queues build
+    analysisPeriod: 0.25,
+    // Junctions get signals when the ranks of their two most important roads add up to this
+    signalRank: 5,
+    // Seconds of signal time per animation frame
+    secondsPerFrame: 1
+};
+
+// Control delay upper bounds in seconds for levels of service A-E; anything slower is F
+export const LEVEL_OF_SERVICE = {
+    signal: [10, 20, 35, 55, 80],
+    stop: [10, 15, 25, 35, 50]
+};
+
+// Volume/capacity ratios at which a road counts as moderately or heavily congested
+export const CONGESTION_LEVELS = {
+    moderate: 0.5,
+    heavy: 0.85
+};
+
+// Zone types a mixed-use cell can be composed of
+export const MIXED_USE_COMPONENTS = ['residential', 'commercial', 'industrial'];
+
+// Compositions offered by the mixed-use tool (shares sum to 1)
+export const MIXED_USE_PRESETS = {
+    'live-work': {
+        name: 'Live/Work 60/40',
+        composition: { residential: 0.6, commercial: 0.4 }
+    },
+    'residential-led': {
+        name: 'Residential-Led 80/20',
+        composition: { residential: 0.8, commercial: 0.2 }
+    },
+    'main-street': {
+        name: 'Main Street 30/70',
+        composition: { residential: 0.3, commercial: 0.7 }
+    },
+    'maker': {
+        name: 'Maker District 40/30/30',
+        composition: { residential: 0.4, commercial: 0.3, industrial: 0.3 }
+    }
+};
+
+export const DEFAULT_MIXED_USE = 'live-work';
+
+// Terrain kinds under the zone grid; `allowed` lists the zones that may be placed on them
+export const TERRAIN_TYPES = {
+    land: { name: 'Land', code: '.' },
+    water: { name: 'Water', code: '~', color: '#1e3a5f', allowed: ['empty', 'road'] },
+    protected: { name: 'Protected Land', code: '#', color: '#166534', allowed: ['empty', 'green'] }
+};
+
+// Rise in meters between neighboring cells above which land is too steep to build on
+export const MAX_BUILDABLE_SLOPE = 8;
+
+// Zones that may still go on steep slopes
+export const STEEP_SLOPE_ZONES = ['empty', 'green', 'road'];
+
+// Site templates for generated terrain
+export const TERRAIN_PRESETS = {
+    flat: { name: 'Flat Plain', description: 'Fully buildable level site', relief: 4 },
+    river: { name: 'River Valley', description: 'A meandering river crosses the site', relief: 18 },
+    lake: { name: 'Lakeside', description: 'A lake with a protected wetland shore', relief: 14 },
+    coast: { name: 'Coastline', description: 'Sea along the eastern edge', relief: 16 },
+    harbor: { name: 'Harbor', description: 'Coastline with a harbor channel reaching into the center', relief: 10 },
+    hills: { name: 'Hills', description: 'Steep terrain with protected ridgelines', relief: 50 }
+};
+
+export const DEFAULT_TERRAIN = 'flat';
+
+// Outline colors handed to new districts in turn
+export const DISTRICT_COLORS = [
+    '#f472b6', '#60a5fa', '#facc15', '#34d399', '#fb923c',
+    '#a78bfa', '#f87171', '#2dd4bf', '#e879f9', '#a3e635'
+];
+
+// Transit modes: average operating speed in km/h, passengers per vehicle, default headway in minutes
+// and the GTFS route_type used in exported feeds
+export const TRANSIT_MODES = {
+    metro: { name: 'Metro', speed: 35, vehicleCapacity: 1000, headway: 4, lineWidth: 5, gtfsRouteType: 1 },
+    brt: { name: 'BRT', speed: 22, vehicleCapacity: 120, headway: 6, lineWidth: 4, gtfsRouteType: 3 },
+    tram: { name: 'Tram', speed: 18, vehicleCapacity: 200, headway: 8, lineWidth: 3, gtfsRouteType: 0 }
+};
+
+export const DEFAULT_TRANSIT_MODE = 'metro';
+
+// Shortest and longest headway a line can run, minutes
+export const TRANSIT_HEADWAY_RANGE = { min: 1, max: 60 };
+
+export const TRANSIT_LINE_COLORS = [
+    '#ef4444', '#3b82f6', '#22c55e', '#f59e0b', '#a855f7',
+    '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'
+];
+
+// GTFS feeds: the grid's north-west corner sits at a synthetic origin, service runs
+// between the given times every day, and vehicles dwell at each stop
+export const GTFS_SETTINGS = {
+    origin: { lat: 40, lon: -100 },
+    agencyName: 'Smart City Transit',
+    timezone: 'Etc/UTC',
+    serviceStart: 5 * 60,
+    serviceEnd: 24 * 60,
+    dwellSeconds: 30,
+    // Imported feeds that do not fit the grid are scaled to leave this many cells of margin
+    importMargin: 2
+};
+
+// Edge length of one grid cell in meters, used for road and travel distances
+export const DEFAULT_CELL_SIZE = 100;
+export const CELL_SIZE_RANGE = { min: 25, max: 500 };
+
+// Travel-time reach areas: modes that can be analyzed, and the bands drawn, in minutes
+export const ISOCHRONE_MODES = {
+    walk: { name: 'Walking' },
+    bike: { name: 'Cycling' },
+    transit: { name: 'Transit' },
+    car: { name: 'Car' }
+};
+
+export const DEFAULT_ISOCHRONE_MODE = 'walk';
+
+export const ISOCHRONE_BANDS = [
+    { minutes: 5, color: '#22c55e' },
+    { minutes: 10, color: '#a3e635' },
+    { minutes: 15, color: '#facc15' },
+    { minutes: 30, color: '#f97316' }
+];
+
+// Walking and cycling speeds the isochrone controls allow, km/h
+export const ISOCHRONE_SPEED_RANGE = {
+    walk: { min: 2, max: 8 },
+    bike: { min: 8, max: 30 }
+};
+
+// 15-minute city: essential amenities a resident should reach on foot, and the zone types that provide them
+export const FIFTEEN_MINUTE_CITY = {
+    minutes: 15,
+    amenities: {
+        shop: { name: 'Shops', types: ['commercial'] },
+        park: { name: 'Parks', types: ['green'] },
+        school: { name: 'Schools', types: ['school'] },
+        clinic: { name: 'Clinics', types: ['hospital'] },
+        transit: { name: 'Transit', types: ['transit'] }
+    }
+};
+
+// Everyday destinations measured by straight grid distance from homes; each has a heatmap
+// layer named after it that runs from green next to one to red at heatmapMeters or more
+export const ACCESSIBILITY = {
+    heatmapMeters: 1500,
+    targets: {
+        green: { name: 'Green Space', types: ['green'], layer: 'greenAccess' },
+        transit: { name: 'Transit Hub', types: ['transit'], layer: 'transitAccess' },
+        commercial: { name: 'Commercial', types: ['commercial'], layer: 'commercialAccess' }
     }
 };
 
@@ -82,7 +563,8 @@ export const CITY_PRESETS = {
         prompt: 'Design a modern tech hub city with innovation districts, smart infrastructure, mixed-use development, and efficient public transit.',
         commercialRatio: 0.35,
         transitRatio: 0.15,
-        greenRatio: 0.2
+        greenRatio: 0.2,
+        mixedUseRatio: 0.2
     },
     transit: {
         name: 'Transit-First',
@@ -96,7 +578,8 @@ export const CITY_PRESETS = {
         prompt: 'Design a balanced mixed-use city with integrated residential, commercial, and recreational areas in walkable neighborhoods.',
         residentialRatio: 0.35,
         commercialRatio: 0.2,
-        greenRatio: 0.25
+        greenRatio: 0.25,
+        mixedUseRatio: 0.4
     }
 };
 
@@ -169,13 +652,39 @@ export const LAYER_COLORS = {
         primary: '#7c3aed',
         secondary: '#a855f7',
         node: '#c084fc'
+    },
+    walkability: {
+        low: '#ef4444',
+        medium: '#fbbf24',
+        high: '#22c55e'
+    },
+    pollution: {
+        low: '#a3e635',
+        medium: '#f59e0b',
+        high: '#7c2d12'
+    },
+    noise: {
+        low: '#38bdf8',
+        medium: '#c084fc',
+        high: '#e11d48'
+    },
+    heat: {
+        low: '#2563eb',
+        medium: '#fde047',
+        high: '#dc2626'
     }
 };
 
 // Animation settings
 export const ANIMATION = {
-    trafficParticleSpeed: 2,
+    // Cells a vehicle advances per frame at 100 km/h in free flow
+    trafficParticleSpeed: 0.4,
+    // Vehicles drawn per 50 cells of grid side at the morning peak
     trafficParticleCount: 100,
+    // Most vehicles to add in one frame
+    trafficSpawnRate: 3,
+    // Frames a queued vehicle waits before squeezing into a full cell
+    trafficQueuePatience: 90,
     pulseSpeed: 0.02,
     transitionDuration: 300
 };
@@ -2,6 +2,8 @@
    Smart City Planner - Helper Functions
    ======================================== */
 
+import { ZONE_TYPES } from './constants.js';
+
 /**
  * Format a number with commas
  * @param {number} num 
@@ -11,6 +13,16 @@ export function formatNumber(num) {
     return new Intl.NumberFormat().format(Math.round(num));
 }
 
+/**
+ * Format a compass bearing as its nearest of the 16 points, e.g. 'WSW (248°)'
+ * @param {number} degrees - 0 = north, clockwise
+ * @returns {string}
+ */
+export function formatWindDirection(degrees) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return `${points[Math.round(degrees / 22.5) % 16]} (${degrees}°)`;
+}
+
 /**
  * Clamp a value between min and max
  * @param {number} value 
@@ -50,19 +62,85 @@ export function mapRange(value, inMin, inMax, outMin, outMax) {
  * Generate a random integer between min and max (inclusive)
  * @param {number} min 
  * @param {number} max 
+ * @param {Function} random - Source of uniform numbers in [0, 1)
  * @returns {number}
  */
-export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, random = Math.random) {
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Pick a random item from an array
  * @param {Array} arr 
+ * @param {Function} random - Source of uniform numbers in [0, 1)
  * @returns {*}
  */
-export function randomPick(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+export function randomPick(arr, random = Math.random) {
+    return arr[Math.floor(random() * arr.length)];
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} Returns uniform numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Normalize a user-supplied seed to a 32-bit unsigned integer.
+ * Numeric strings are used as-is, any other text is hashed.
+ * @param {number|string} seed 
+ * @returns {number}
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number}
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Derive a stable per-cell seed from a city seed and grid coordinates
+ * @param {number} seed 
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {number}
+ */
+export function cellSeed(seed, x, y) {
+    let h = (seed ^ Math.imul(x + 1, 0x27d4eb2d)) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h ^= Math.imul(y + 1, 0x165667b1);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
 }
 
 /**
@@ -158,6 +236,20 @@ export function deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Generate unique ID
  * @returns {string}
@@ -166,6 +258,24 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Whether a value is a #rrggbb color, safe to put in inline styles
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Whether a value is a plain id like generateId makes, safe to put in markup and handlers
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPlainId(value) {
+    return typeof value === 'string' && /^[a-z0-9_-]{1,64}$/i.test(value);
+}
+
 /**
  * Sleep for a specified duration
  * @param {number} ms 
@@ -190,37 +300,86 @@ export function create2DArray(rows, cols, fill = null) {
     );
 }
 
+/**
+ * Smooth 2D value noise on a coarse random lattice
+ * @param {Function} random
+ * @param {number} size - Grid size
+ * @param {number} span - Lattice spacing in cells
+ * @returns {Function} (x, y) => value in [0, 1)
+ */
+export function createValueNoise(random, size, span) {
+    const n = Math.ceil(size / span) + 2;
+    const lattice = Array.from({ length: n * n }, () => random());
+    const at = (i, j) => lattice[j * n + i];
+    const smooth = t => t * t * (3 - 2 * t);
+
+    return (x, y) => {
+        const gx = x / span;
+        const gy = y / span;
+        const i = Math.floor(gx);
+        const j = Math.floor(gy);
+        const tx = smooth(gx - i);
+        const ty = smooth(gy - j);
+        const top = at(i, j) + (at(i + 1, j) - at(i, j)) * tx;
+        const bottom = at(i, j + 1) + (at(i + 1, j + 1) - at(i, j + 1)) * tx;
+        return top + (bottom - top) * ty;
+    };
+}
+
 /**
  * Calculate sustainability score from zone distribution
- * @param {Object} distribution 
+ * @param {Object} distribution - Land use per zone type, mixed-use cells split into their shares
+ * @param {number} mixedCells - Number of mixed-use cells, rewarded for mixing uses
  * @returns {number}
  */
-export function calculateSustainabilityScore(distribution) {
-    const { residential, commercial, industrial, green, transit, road } = distribution;
-    const total = residential + commercial + industrial + green + transit + road;
+export function calculateSustainabilityScore(distribution, mixedCells = 0) {
+    const { residential = 0, commercial = 0, industrial = 0, green = 0, transit = 0, road = 0 } = distribution;
+    const services = countZoneCategory(distribution, 'service');
+    const utilities = countZoneCategory(distribution, 'utility');
+    const total = residential + commercial + industrial + green + transit + road + services + utilities;
 
     if (total === 0) return 0;
 
     // Weights for sustainability calculation
     const greenWeight = 2.5;
     const transitWeight = 2.0;
+    const serviceWeight = 1.5;
     const residentialWeight = 1.0;
     const commercialWeight = 0.8;
     const roadWeight = 0.5;
+    const utilityWeight = 0.4;
     const industrialWeight = 0.3;
+    const mixingWeight = 0.6;
 
+    // Civic cells and mixing are small shares of the grid, so they add to the
+    // score without widening the normaliser used for the land-use mix
     const score = (
         (green / total) * 100 * greenWeight +
         (transit / total) * 100 * transitWeight +
+        (services / total) * 100 * serviceWeight +
         (residential / total) * 100 * residentialWeight +
         (commercial / total) * 100 * commercialWeight +
         (road / total) * 100 * roadWeight +
-        (industrial / total) * 100 * industrialWeight
+        (utilities / total) * 100 * utilityWeight +
+        (industrial / total) * 100 * industrialWeight +
+        (mixedCells / total) * 100 * mixingWeight
     ) / (greenWeight + transitWeight + residentialWeight + commercialWeight + roadWeight + industrialWeight);
 
     return Math.round(clamp(score * 1.5, 0, 100));
 }
 
+/**
+ * Count cells of every zone type in a category
+ * @param {Object} distribution
+ * @param {string} category - 'service' | 'utility'
+ * @returns {number}
+ */
+export function countZoneCategory(distribution, category) {
+    return Object.entries(distribution).reduce((sum, [type, count]) => {
+        return ZONE_TYPES[type]?.category === category ? sum + count : sum;
+    }, 0);
+}
+
 /**
  * Show toast notification
  * @param {string} message 
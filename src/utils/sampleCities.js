@@ -9,6 +9,7 @@ export const SAMPLE_CITIES = {
         description: 'Based on Copenhagen, Denmark - a world leader in sustainable urban planning',
         population: 650000,
         gridSize: 80,
+        terrain: 'harbor',
         ratios: {
             residentialRatio: 0.30,
             commercialRatio: 0.12,
@@ -30,6 +31,7 @@ export const SAMPLE_CITIES = {
         description: 'Based on Singapore - high-density, transit-oriented smart city',
         population: 5900000,
         gridSize: 120,
+        terrain: 'coast',
         ratios: {
             residentialRatio: 0.35,
             commercialRatio: 0.20,
@@ -51,6 +53,7 @@ export const SAMPLE_CITIES = {
         description: 'Based on Curitiba, Brazil - pioneer of Bus Rapid Transit',
         population: 1900000,
         gridSize: 100,
+        strategy: 'linear',
         ratios: {
             residentialRatio: 0.38,
             commercialRatio: 0.15,
@@ -72,6 +75,7 @@ export const SAMPLE_CITIES = {
         description: 'Based on Amsterdam, Netherlands - bicycle-friendly canal city',
         population: 870000,
         gridSize: 80,
+        terrain: 'river',
         ratios: {
             residentialRatio: 0.32,
             commercialRatio: 0.15,
@@ -93,6 +97,7 @@ export const SAMPLE_CITIES = {
         description: 'Based on Portland, Oregon - urban growth boundary pioneer',
         population: 650000,
         gridSize: 80,
+        terrain: 'river',
         ratios: {
             residentialRatio: 0.35,
             commercialRatio: 0.12,
@@ -135,13 +140,15 @@ export const SAMPLE_CITIES = {
         description: 'Based on Barcelona\'s superblock (superilles) model',
         population: 1600000,
         gridSize: 100,
+        strategy: 'superblock',
         ratios: {
             residentialRatio: 0.35,
             commercialRatio: 0.18,
             industrialRatio: 0.05,
             greenRatio: 0.22,
             transitRatio: 0.15,
-            roadRatio: 0.05
+            roadRatio: 0.05,
+            mixedUseRatio: 0.3
         },
         features: [
             'Superblock grid pattern',
@@ -156,6 +163,8 @@ export const SAMPLE_CITIES = {
         description: 'Based on Tokyo, Japan - transit-oriented mega-city',
         population: 14000000,
         gridSize: 120,
+        strategy: 'polycentric',
+        terrain: 'coast',
         ratios: {
             residentialRatio: 0.35,
             commercialRatio: 0.22,
@@ -0,0 +1,173 @@
+/* ========================================
+   Smart City Planner - Zone Cell Utilities
+   Per-cell attributes and the quantities they yield
+   ======================================== */
+
+import {
+    ZONE_TYPES,
+    DENSITY_LEVELS,
+    DEFAULT_DENSITY,
+    DENSITY_ZONE_TYPES,
+    MIXED_USE_COMPONENTS,
+    MIXED_USE_PRESETS,
+    DEFAULT_MIXED_USE,
+    ROAD_CLASSES,
+    DEFAULT_ROAD_CLASS
+} from './constants.js';
+
+// Land uses whose jobs attract commuting trips
+const COMMUTE_DESTINATION_TYPES = ['commercial', 'industrial'];
+
+/**
+ * Whether a zone type carries a density tier
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasDensity(type) {
+    return DENSITY_ZONE_TYPES.includes(type);
+}
+
+/**
+ * Density tier of a cell, falling back to the default for older saves
+ * @param {Object} cell
+ * @returns {string|null} Density key, or null for zones without density
+ */
+export function getCellDensity(cell) {
+    if (!cell || !hasDensity(cell.type)) return null;
+    return DENSITY_LEVELS[cell.density] ? cell.density : DEFAULT_DENSITY;
+}
+
+/**
+ * Road class of a cell, falling back to local streets for older saves
+ * @param {Object} cell
+ * @returns {string|null} Road class key, or null for non-road cells
+ */
+export function getCellRoadClass(cell) {
+    if (cell?.type !== 'road') return null;
+    return ROAD_CLASSES[cell.roadClass] ? cell.roadClass : DEFAULT_ROAD_CLASS;
+}
+
+/**
+ * Clean up a mixed-use composition: known components only, shares summing to 1
+ * @param {Object} composition - Zone type -> share
+ * @returns {Object}
+ */
+export function normalizeComposition(composition) {
+    const entries = Object.entries(composition || {})
+        .filter(([type, share]) => MIXED_USE_COMPONENTS.includes(type) && share > 0);
+    const total = entries.reduce((sum, [, share]) => sum + share, 0);
+
+    if (total === 0) return { ...MIXED_USE_PRESETS[DEFAULT_MIXED_USE].composition };
+
+    const normalized = {};
+    entries.forEach(([type, share]) => {
+        normalized[type] = Math.round((share / total) * 1000) / 1000;
+    });
+    return normalized;
+}
+
+/**
+ * Land-use shares of a cell: the composition of a mixed-use cell, or its own type
+ * @param {Object} cell
+ * @returns {Object} Zone type -> share
+ */
+export function getCellComposition(cell) {
+    if (cell?.type === 'mixed') return normalizeComposition(cell.composition);
+    return { [cell?.type || 'empty']: 1 };
+}
+
+/**
+ * Population, energy and jobs a cell contributes
+ * @param {Object} cell
+ * @returns {{population: number, energy: number, jobs: number}}
+ */
+export function getCellMetrics(cell) {
+    const metrics = { population: 0, energy: 0, jobs: 0 };
+    if (!ZONE_TYPES[cell?.type]) return metrics;
+
+    const density = getCellDensity(cell);
+    const multiplier = density ? DENSITY_LEVELS[density].multiplier : 1;
+
+    Object.entries(getCellComposition(cell)).forEach(([type, share]) => {
+        const zone = ZONE_TYPES[type];
+        metrics.population += zone.population * share * multiplier;
+        metrics.energy += zone.energy * share * multiplier;
+        metrics.jobs += (zone.jobs || 0) * share * multiplier;
+    });
+
+    return metrics;
+}
+
+/**
+ * Commercial and industrial jobs in a cell, including mixed-use shares: the
+ * destinations of peak-hour commuting trips
+ * @param {Object} cell
+ * @returns {number}
+ */
+export function getCellDestinationJobs(cell) {
+    const density = getCellDensity(cell);
+    const multiplier = density ? DENSITY_LEVELS[density].multiplier : 1;
+
+    return Object.entries(getCellComposition(cell)).reduce((jobs, [type, share]) =>
+        COMMUTE_DESTINATION_TYPES.includes(type) ? jobs + ZONE_TYPES[type].jobs * share * multiplier : jobs, 0);
+}
+
+/**
+ * Create a grid cell
+ * @param {string} type
+ * @param {string} id
+ * @param {Object} attrs
+ * @param {string} [attrs.density] - Density tier for residential, commercial, industrial and mixed cells
+ * @param {Object} [attrs.composition] - Zone type -> share for mixed cells
+ * @param {string} [attrs.roadClass] - Road class for road cells
+ * @returns {Object}
+ */
+export function createCell(type, id, attrs = {}) {
+    const cell = { type, id };
+    if (type === 'road') {
+        cell.roadClass = ROAD_CLASSES[attrs.roadClass] ? attrs.roadClass : DEFAULT_ROAD_CLASS;
+    }
+    if (hasDensity(type)) {
+        cell.density = DENSITY_LEVELS[attrs.density] ? attrs.density : DEFAULT_DENSITY;
+    }
+    if (type === 'mixed') {
+        cell.composition = normalizeComposition(attrs.composition);
+    }
+    return cell;
+}
+
+/**
+ * Whether two cells hold the same zone, density, road class and composition
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameCell(a, b) {
+    if (a.type !== b.type || a.density !== b.density) return false;
+    if (getCellRoadClass(a) !== getCellRoadClass(b)) return false;
+    if (a.type !== 'mixed') return true;
+
+    const compA = getCellComposition(a);
+    const compB = getCellComposition(b);
+    const types = new Set([...Object.keys(compA), ...Object.keys(compB)]);
+    return [...types].every(type => compA[type] === compB[type]);
+}
+
+/**
+ * Display color of a cell's composition, blending mixed-use shares
+ * @param {Object} cell
+ * @returns {string} Hex color
+ */
+export function getCompositionColor(cell) {
+    if (cell?.type !== 'mixed') return ZONE_TYPES[cell?.type]?.color || ZONE_TYPES.empty.color;
+
+    const rgb = [0, 0, 0];
+    Object.entries(getCellComposition(cell)).forEach(([type, share]) => {
+        const hex = parseInt(ZONE_TYPES[type].color.slice(1), 16);
+        rgb[0] += ((hex >> 16) & 255) * share;
+        rgb[1] += ((hex >> 8) & 255) * share;
+        rgb[2] += (hex & 255) * share;
+    });
+
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}